@@ -1,5 +1,30 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+
+// Resolve the user and login session a JWT belongs to; throws on invalid or
+// expired tokens. Tokens from a revoked session resolve to no user.
+const resolveToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = decoded.sid ? await AuthSession.findActive(decoded.sid, decoded.userId) : null;
+
+  if (!session) {
+    return { user: null, session: null };
+  }
+
+  session.touch().catch(error => console.error('Session touch error:', error));
+
+  const user = await User.findById(decoded.userId).select('-password');
+  return { user, session };
+};
+
+const getUserFromToken = async (token) => (await resolveToken(token)).user;
+
+const suspendedResponse = (user) => ({
+  message: 'Your account has been suspended',
+  reason: user.suspensionReason,
+  suspendedUntil: user.suspendedUntil
+});
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -9,14 +34,18 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session } = await resolveToken(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    if (user.isCurrentlySuspended()) {
+      return res.status(403).json(suspendedResponse(user));
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -35,9 +64,8 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user) {
+      const user = await getUserFromToken(token);
+      if (user && !user.isCurrentlySuspended()) {
         req.user = user;
       }
     }
@@ -49,4 +77,22 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, optionalAuth };
+// Restrict a route to users with at least the given role. Use after authMiddleware.
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token provided, authorization denied' });
+  }
+
+  if (!req.user.hasRole(role)) {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+
+  next();
+};
+
+// Owners manage their own content; admins can manage anyone's, including
+// content whose owner is gone
+const canManage = (user, ownerId) => !!user &&
+  ((!!ownerId && user._id.toString() === (ownerId._id || ownerId).toString()) || user.hasRole('admin'));
+
+module.exports = { authMiddleware, optionalAuth, requireRole, canManage, resolveToken, getUserFromToken, suspendedResponse };
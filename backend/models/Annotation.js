@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { similarity, splitLines } = require('../utils/text');
+
+// Minimum average line similarity for an annotation to follow edited lyrics
+const REANCHOR_THRESHOLD = 0.75;
+
+const annotationSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startLine: {
+    type: Number, // 1-based, inclusive
+    required: true,
+    min: 1
+  },
+  endLine: {
+    type: Number, // 1-based, inclusive
+    required: true,
+    min: 1
+  },
+  anchorText: {
+    type: String, // The annotated lines, used to re-anchor after lyric edits
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['meaning', 'pronunciation', 'chord-hint'],
+    default: 'meaning'
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  isOrphaned: {
+    type: Boolean,
+    default: false // Set when the annotated lines no longer exist in the lyrics
+  }
+}, {
+  timestamps: true
+});
+
+annotationSchema.index({ song: 1, startLine: 1 });
+annotationSchema.index({ song: 1, score: -1 });
+
+// Find where the annotated lines now sit in edited lyrics; prefers the
+// closest match to the old position when the same lines appear more than once
+function locateAnchor(lyricLines, annotation) {
+  const anchorLines = splitLines(annotation.anchorText);
+  const length = anchorLines.length;
+  let best = null;
+
+  for (let start = 0; start + length <= lyricLines.length; start++) {
+    let total = 0;
+    for (let offset = 0; offset < length; offset++) {
+      total += similarity(anchorLines[offset], lyricLines[start + offset]);
+    }
+
+    const score = total / length;
+    const distance = Math.abs(start + 1 - annotation.startLine);
+
+    if (score >= REANCHOR_THRESHOLD &&
+        (!best || score > best.score || (score === best.score && distance < best.distance))) {
+      best = { start, score, distance };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    startLine: best.start + 1,
+    endLine: best.start + length,
+    anchorText: lyricLines.slice(best.start, best.start + length).join('\n')
+  };
+}
+
+// Move a song's annotations to follow its current lyrics
+annotationSchema.statics.reanchorForSong = async function(song) {
+  const lyricLines = splitLines(song.officialLyrics);
+  const annotations = await this.find({ song: song._id });
+
+  for (const annotation of annotations) {
+    const anchor = locateAnchor(lyricLines, annotation);
+
+    if (anchor) {
+      annotation.set({ ...anchor, isOrphaned: false });
+    } else {
+      annotation.isOrphaned = true;
+    }
+
+    if (annotation.isModified()) {
+      await annotation.save();
+    }
+  }
+};
+
+module.exports = mongoose.model('Annotation', annotationSchema);
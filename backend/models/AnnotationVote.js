@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const annotationVoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  annotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Annotation',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['up', 'down']
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure a user can only have one vote per annotation
+annotationVoteSchema.index({ user: 1, annotation: 1 }, { unique: true });
+
+// Update annotation vote counts when a vote is added/updated/removed
+annotationVoteSchema.post('save', async function() {
+  await updateAnnotationVotes(this.annotation);
+});
+
+annotationVoteSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await updateAnnotationVotes(doc.annotation);
+  }
+});
+
+async function updateAnnotationVotes(annotationId) {
+  const Annotation = mongoose.model('Annotation');
+  const AnnotationVote = mongoose.model('AnnotationVote');
+
+  const upvotes = await AnnotationVote.countDocuments({ annotation: annotationId, type: 'up' });
+  const downvotes = await AnnotationVote.countDocuments({ annotation: annotationId, type: 'down' });
+
+  await Annotation.updateOne(
+    { _id: annotationId },
+    { upvotes, downvotes, score: upvotes - downvotes },
+    { timestamps: false }
+  );
+}
+
+module.exports = mongoose.model('AnnotationVote', annotationVoteSchema);
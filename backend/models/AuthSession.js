@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { closeSessionStreams } = require('../utils/realtime');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Rotated-out refresh tokens remembered per session to spot reuse
+const MAX_PREVIOUS_TOKENS = 20;
+
+// lastSeenAt is only written when it is at least this stale
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// A login. Access tokens carry the session's id and stop working once it is
+// revoked; its refresh token is stored hashed and replaced on every use.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String, // Where the session was last refreshed from
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_reset', 'revoked', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB drops sessions once their refresh token has expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<session id>.<secret>"
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+authSessionSchema.statics.hashToken = hashToken;
+
+// Start a session for a device; resolves to { session, refreshToken }
+authSessionSchema.statics.start = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const session = new this({
+    user: userId,
+    expiresAt: nextExpiry(),
+    userAgent: userAgent.slice(0, 500),
+    ip
+  });
+  const refreshToken = `${session._id}.${newSecret()}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// The session a refresh token names, or null if it is malformed
+authSessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+  return this.findById(sessionId);
+};
+
+// The session behind an access token, if it can still be used
+authSessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+authSessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  closeSessionStreams({ userId });
+  return result.modifiedCount;
+};
+
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Whether a refresh token was issued for this session and already rotated out
+authSessionSchema.methods.wasRotatedOut = function(refreshToken) {
+  return this.previousTokenHashes.includes(hashToken(refreshToken));
+};
+
+// Swap the refresh token for a new one and extend the session. Resolves to
+// the new token, or null if another request rotated it first.
+authSessionSchema.methods.rotate = async function({ ip } = {}) {
+  const refreshToken = `${this._id}.${newSecret()}`;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: nextExpiry(),
+        lastSeenAt: new Date(),
+        ...(ip && { ip })
+      },
+      $push: { previousTokenHashes: { $each: [this.refreshTokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  return updated ? refreshToken : null;
+};
+
+// Record activity without a write on every request
+authSessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastSeenAt < TOUCH_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+  this.lastSeenAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastSeenAt: this.lastSeenAt });
+};
+
+authSessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  closeSessionStreams({ sessionId: this._id });
+  return this;
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['Song', 'Composition']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure a user can only save a song or composition once
+bookmarkSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ targetType: 1, target: 1 });
+
+// Saving twice is not an error, so bookmarking is an upsert
+bookmarkSchema.statics.add = function(user, targetType, target) {
+  return this.updateOne(
+    { user, targetType, target },
+    { $setOnInsert: { user, targetType, target } },
+    { upsert: true }
+  );
+};
+
+bookmarkSchema.statics.isBookmarked = async function(user, targetType, target) {
+  if (!user) return false;
+  return !!(await this.exists({ user: user._id || user, targetType, target }));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
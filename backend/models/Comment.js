@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  composition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null // Top-level comment of the thread, null for top-level comments
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  editedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  isHidden: {
+    type: Boolean,
+    default: false // Removed by moderators
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ composition: 1, root: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+
+// Update composition comments count when a comment is added/updated
+commentSchema.post('save', async function() {
+  await updateCompositionCommentsCount(this.composition);
+});
+
+commentSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await updateCompositionCommentsCount(doc.composition);
+  }
+});
+
+// After a reply is removed, remove the deleted comments above it that no
+// longer have any replies, walking up the thread from parentId
+commentSchema.statics.pruneDeletedParents = async function(parentId) {
+  let id = parentId;
+  while (id) {
+    const parent = await this.findById(id).select('parent isDeleted');
+    if (!parent || !parent.isDeleted || await this.exists({ parent: parent._id })) return;
+
+    await this.findOneAndDelete({ _id: parent._id });
+    id = parent.parent;
+  }
+};
+
+async function updateCompositionCommentsCount(compositionId) {
+  const Composition = mongoose.model('Composition');
+  const Comment = mongoose.model('Comment');
+
+  const commentsCount = await Comment.countDocuments({
+    composition: compositionId,
+    isDeleted: false,
+    isHidden: { $ne: true }
+  });
+
+  await Composition.updateOne({ _id: compositionId }, { commentsCount }, { timestamps: false });
+}
+
+module.exports = mongoose.model('Comment', commentSchema);
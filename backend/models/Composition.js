@@ -31,6 +31,10 @@ const compositionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  notationFormat: {
+    type: String,
+    enum: ['abc', 'musicxml'] // For sheet-music compositions
+  },
   instrument: {
     type: String,
     required: true,
@@ -74,6 +78,10 @@ const compositionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   rating: {
     type: Number,
     default: 0,
@@ -101,9 +109,41 @@ const compositionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isHidden: {
+    type: Boolean,
+    default: false // Hidden by moderators; the owner cannot make it public again
+  },
   attachments: [{
     type: String // URLs to audio/video files
-  }]
+  }],
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition',
+    default: null
+  },
+  // Ancestors of a fork, nearest first; names are copied so attribution
+  // survives when an ancestor is deleted
+  lineage: [{
+    composition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Composition'
+    },
+    title: String,
+    composer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    composerName: String,
+    deleted: {
+      type: Boolean,
+      default: false
+    },
+    _id: false
+  }],
+  forkCount: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -115,6 +155,7 @@ compositionSchema.index({ instrument: 1 });
 compositionSchema.index({ difficulty: 1 });
 compositionSchema.index({ likes: -1 });
 compositionSchema.index({ rating: -1 });
+compositionSchema.index({ forkedFrom: 1, createdAt: -1 });
 
 // Calculate rating based on likes and dislikes
 compositionSchema.methods.calculateRating = function() {
@@ -126,6 +167,42 @@ compositionSchema.methods.calculateRating = function() {
   return this.rating;
 };
 
+// Update forks count
+compositionSchema.methods.updateForkCount = async function() {
+  this.forkCount = await mongoose.model('Composition').countDocuments({ forkedFrom: this._id });
+  return this.save();
+};
+
+// Delete a composition with everything that belongs to it. Forks keep their
+// attribution but lose the link to it.
+compositionSchema.statics.deleteWithRelated = async function(composition) {
+  const model = (name) => mongoose.model(name);
+
+  await model('LikeDislike').deleteMany({ composition: composition._id });
+  await model('CompositionRevision').deleteMany({ composition: composition._id });
+  await model('Comment').deleteMany({ composition: composition._id });
+
+  await this.updateMany(
+    { 'lineage.composition': composition._id },
+    { $set: { 'lineage.$[ancestor].deleted': true } },
+    { arrayFilters: [{ 'ancestor.composition': composition._id }] }
+  );
+  await this.updateMany({ forkedFrom: composition._id }, { $set: { forkedFrom: null } });
+
+  await model('Bookmark').deleteMany({ targetType: 'Composition', target: composition._id });
+  await model('Setlist').updateMany({ 'items.composition': composition._id }, { $pull: { items: { composition: composition._id } } });
+
+  await this.findByIdAndDelete(composition._id);
+
+  // Update the parent's fork count
+  if (composition.forkedFrom) {
+    const parent = await this.findById(composition.forkedFrom);
+    if (parent) {
+      await parent.updateForkCount();
+    }
+  }
+};
+
 // Update user's compositions count when a composition is saved
 compositionSchema.post('save', async function() {
   const User = mongoose.model('User');
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Fields captured in every revision snapshot (the editable fields of a composition)
+const TRACKED_FIELDS = [
+  'title', 'description', 'content', 'notationFormat', 'difficulty', 'style',
+  'tuning', 'capo', 'tempo', 'key', 'tags', 'isPublic', 'attachments'
+];
+
+const compositionRevisionSchema = new mongoose.Schema({
+  composition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedFields: [{
+    type: String
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  restoredFrom: {
+    type: Number // Revision number this one was restored from
+  }
+}, {
+  timestamps: true
+});
+
+// Revision numbers are sequential per composition
+compositionRevisionSchema.index({ composition: 1, revision: -1 }, { unique: true });
+
+// Copy the tracked fields of a composition
+compositionRevisionSchema.statics.snapshotOf = function(composition) {
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    const value = composition.get(field);
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+    return snapshot;
+  }, {});
+};
+
+// Store the composition's current state as its next revision
+compositionRevisionSchema.statics.record = async function(composition, authorId, changedFields = [], restoredFrom) {
+  const latest = await this.findOne({ composition: composition._id })
+    .sort({ revision: -1 })
+    .select('revision');
+
+  return this.create({
+    composition: composition._id,
+    revision: latest ? latest.revision + 1 : 1,
+    author: authorId,
+    changedFields,
+    snapshot: this.snapshotOf(composition),
+    restoredFrom
+  });
+};
+
+compositionRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('CompositionRevision', compositionRevisionSchema);
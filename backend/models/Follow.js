@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['User', 'Song']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure a user can only follow a user or song once
+followSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+followSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+// Update follower/following counts when a follow is added/removed
+followSchema.post('save', async function() {
+  await updateFollowCounts(this);
+});
+
+followSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await updateFollowCounts(doc);
+  }
+});
+
+async function updateFollowCounts(follow) {
+  const Follow = mongoose.model('Follow');
+  const User = mongoose.model('User');
+  const Target = mongoose.model(follow.targetType);
+
+  const followersCount = await Follow.countDocuments({ targetType: follow.targetType, target: follow.target });
+  const followingCount = await Follow.countDocuments({ follower: follow.follower, targetType: 'User' });
+
+  await Target.updateOne({ _id: follow.target }, { followersCount }, { timestamps: false });
+  await User.updateOne({ _id: follow.follower }, { followingCount }, { timestamps: false });
+}
+
+module.exports = mongoose.model('Follow', followSchema);
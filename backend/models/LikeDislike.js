@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { publish } = require('../utils/realtime');
 
 const likeDislikeSchema = new mongoose.Schema({
   user: {
@@ -32,6 +33,12 @@ likeDislikeSchema.post('remove', async function() {
   await updateCompositionCounts(this.composition);
 });
 
+likeDislikeSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await updateCompositionCounts(doc.composition);
+  }
+});
+
 likeDislikeSchema.post('deleteOne', { document: false, query: true }, async function() {
   const doc = await this.model.findOne(this.getFilter());
   if (doc) {
@@ -59,6 +66,13 @@ async function updateCompositionCounts(compositionId) {
     composition.dislikes = dislikes;
     composition.calculateRating();
     await composition.save();
+
+    publish(`composition:${composition._id}`, 'vote', {
+      compositionId: composition._id,
+      likes: composition.likes,
+      dislikes: composition.dislikes,
+      rating: composition.rating
+    });
   }
 }
 
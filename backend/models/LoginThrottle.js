@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Failed logins per account (keyed by email) and per IP address, and wrong
+// two-factor codes from a signed-in user (keyed by user ID) when changing
+// two-factor settings. After a few free attempts each failure doubles the
+// wait before the next one; enough of them locks the key out for a while.
+// Failures are forgotten after WINDOW_MS without another one.
+const POLICIES = {
+  account: { freeAttempts: 5, lockoutAfter: 10, lockoutMinutes: 15 },
+  ip: { freeAttempts: 20, lockoutAfter: 50, lockoutMinutes: 60 },
+  twoFactor: { freeAttempts: 3, lockoutAfter: 10, lockoutMinutes: 60 }
+};
+
+const WINDOW_MS = 60 * 60 * 1000;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(POLICIES)
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ type: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.statics.POLICIES = POLICIES;
+
+// Seconds until this key may try again; 0 when it may try now
+loginThrottleSchema.methods.retryAfter = function(now = Date.now()) {
+  if (this.lockedUntil && this.lockedUntil > now) {
+    return Math.ceil((this.lockedUntil - now) / 1000);
+  }
+
+  const { freeAttempts } = POLICIES[this.type];
+  if (this.failures < freeAttempts || !this.lastFailureAt) return 0;
+
+  const backoff = Math.min(2 ** (this.failures - freeAttempts), MAX_BACKOFF_SECONDS);
+  const waited = (now - this.lastFailureAt) / 1000;
+  return Math.max(0, Math.ceil(backoff - waited));
+};
+
+// A wait in seconds as text, e.g. "45 seconds" or "3 minutes"
+loginThrottleSchema.statics.describeWait = function(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Longest wait across the given { type, key } pairs, in seconds
+loginThrottleSchema.statics.retryAfter = async function(keys) {
+  const throttles = await this.find({ $or: keys });
+  return Math.max(0, ...throttles.map(throttle => throttle.retryAfter()));
+};
+
+// Count a failed login; resolves to { throttle, lockedOut } where lockedOut is
+// true only for the failure that started a lockout
+loginThrottleSchema.statics.recordFailure = async function({ type, key }) {
+  const now = new Date();
+  const policy = POLICIES[type];
+  const throttle = await this.findOne({ type, key }) || new this({ type, key });
+
+  // A quiet hour starts the count again; after a lockout the backoff resumes
+  // straight away, without the free attempts
+  if (throttle.lastFailureAt && now - throttle.lastFailureAt > WINDOW_MS) {
+    throttle.failures = 0;
+    throttle.lockedUntil = null;
+  } else if (throttle.lockedUntil && throttle.lockedUntil <= now) {
+    throttle.failures = policy.freeAttempts;
+    throttle.lockedUntil = null;
+  }
+
+  throttle.failures += 1;
+  throttle.lastFailureAt = now;
+
+  const lockedOut = throttle.failures === policy.lockoutAfter;
+  if (lockedOut) {
+    throttle.lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * 60 * 1000);
+  }
+
+  throttle.expiresAt = new Date(Math.max(now.getTime() + WINDOW_MS, throttle.lockedUntil?.getTime() || 0));
+
+  try {
+    await throttle.save();
+  } catch (error) {
+    // A concurrent first failure created the record; count against that one
+    if (error.code === 11000 && throttle.isNew) {
+      return this.recordFailure({ type, key });
+    }
+    throw error;
+  }
+
+  return { throttle, lockedOut };
+};
+
+loginThrottleSchema.statics.clear = function({ type, key }) {
+  return this.deleteOne({ type, key });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
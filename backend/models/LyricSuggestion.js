@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One changed block of lyrics; see createPatch in utils/diff
+const hunkSchema = new mongoose.Schema({
+  start: { type: Number, required: true, min: 0 },
+  oldLines: [{ type: String }],
+  newLines: [{ type: String }],
+  before: [{ type: String }],
+  after: [{ type: String }]
+}, {
+  _id: false
+});
+
+const lyricSuggestionSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  hunks: {
+    type: [hunkSchema],
+    validate: [hunks => hunks.length > 0, 'A suggestion must change something']
+  },
+  baseVersion: {
+    type: String, // versionOf() the lyrics the suggestion was made against
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  mergedManually: {
+    type: Boolean, // Accepted with a reviewer's resolution of conflicts
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+lyricSuggestionSchema.index({ song: 1, status: 1, createdAt: -1 });
+lyricSuggestionSchema.index({ author: 1, createdAt: -1 });
+
+// Short fingerprint of a lyrics text, to tell whether it changed
+lyricSuggestionSchema.statics.versionOf = function(text) {
+  return crypto.createHash('sha1')
+    .update(String(text || '').replace(/\r\n?/g, '\n'))
+    .digest('hex')
+    .slice(0, 16);
+};
+
+module.exports = mongoose.model('LyricSuggestion', lyricSuggestionSchema);
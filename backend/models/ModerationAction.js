@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Audit trail of moderator actions; entries are never edited or removed
+const moderationActionSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['hide', 'unhide', 'make_private', 'suspend', 'unsuspend', 'dismiss', 'reopen', 'note', 'review']
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['Song', 'Composition', 'Comment', 'User']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed // e.g. { suspendedUntil }, the report's status change or a song review decision
+  }
+}, {
+  timestamps: true
+});
+
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+moderationActionSchema.index({ targetOwner: 1, createdAt: -1 });
+
+moderationActionSchema.statics.record = function({ moderator, action, targetType, target, targetOwner, report, reason, details }) {
+  return this.create({ moderator, action, targetType, target, targetOwner, report, reason, details });
+};
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { publishToUser } = require('../utils/realtime');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['composition_vote', 'composition_fork', 'composition_comment', 'comment_reply', 'new_follower', 'song_review', 'lyric_suggestion', 'lyric_suggestion_accepted', 'synced_lyrics_cleared']
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song'
+  },
+  reviewDecision: {
+    type: String,
+    enum: ['approve', 'request_changes', 'duplicate']
+  },
+  composition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  fork: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition'
+  },
+  voteType: {
+    type: String,
+    enum: ['like', 'dislike']
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Notify a user about someone else's action. Votes and follows collapse into a
+// single notification per actor so toggling them does not flood the recipient.
+// Failures are logged rather than thrown so they never break the action itself.
+notificationSchema.statics.notify = async function({ recipient, actor, type, ...details }) {
+  if (!recipient || !actor || recipient.toString() === actor.toString()) {
+    return null;
+  }
+
+  try {
+    let notification;
+
+    if (type === 'composition_vote' || type === 'new_follower') {
+      const filter = { recipient, actor, type };
+      if (details.composition) filter.composition = details.composition;
+
+      notification = await this.findOneAndUpdate(
+        filter,
+        { ...details, isRead: false, $unset: { readAt: 1 }, createdAt: new Date() },
+        { upsert: true, new: true, setDefaultsOnInsert: true, timestamps: false }
+      );
+    } else {
+      notification = await this.create({ recipient, actor, type, ...details });
+    }
+
+    const populated = await this.findById(notification._id)
+      .populate('actor', 'username avatar')
+      .populate('composition', 'title')
+      .populate('fork', 'title')
+      .populate('song', 'title')
+      .lean();
+
+    publishToUser(recipient, 'notification', {
+      notification: populated,
+      unreadCount: await this.unreadCount(recipient)
+    });
+
+    return notification;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Content that can be reported, keyed by the name used in the API
+const TARGET_TYPES = {
+  song: 'Song',
+  composition: 'Composition',
+  comment: 'Comment',
+  user: 'User'
+};
+
+const reportNoteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: Object.values(TARGET_TYPES)
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['copyright', 'spam', 'abuse']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'actioned', 'dismissed'],
+    default: 'open'
+  },
+  notes: [reportNoteSchema], // Moderator-only
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 });
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('Report', reportSchema);
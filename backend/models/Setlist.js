@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const setlistItemSchema = new mongoose.Schema({
+  composition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Composition',
+    required: true
+  },
+  key: {
+    type: String, // Overrides the composition's key for this performance
+    enum: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B', 'Cm', 'C#m', 'Dm', 'D#m', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'A#m', 'Bm']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+});
+
+const setlistSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private', 'link'],
+    default: 'private'
+  },
+  shareToken: {
+    type: String // Required to view 'link' setlists
+  },
+  items: [setlistItemSchema] // In performance order
+}, {
+  timestamps: true
+});
+
+setlistSchema.index({ owner: 1, updatedAt: -1 });
+setlistSchema.index({ visibility: 1, updatedAt: -1 });
+setlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// Link-shared setlists always carry a token
+setlistSchema.pre('save', function(next) {
+  if (this.visibility === 'link' && !this.shareToken) {
+    this.regenerateShareToken();
+  }
+  next();
+});
+
+setlistSchema.methods.regenerateShareToken = function() {
+  this.shareToken = crypto.randomBytes(16).toString('hex');
+  return this.shareToken;
+};
+
+// The owner may be missing when populated after their account was deleted
+setlistSchema.methods.isOwner = function(user) {
+  const ownerId = this.owner && (this.owner._id || this.owner);
+  return !!user && !!ownerId && ownerId.toString() === (user._id || user).toString();
+};
+
+// Public setlists are open to all, link setlists to anyone holding the token
+setlistSchema.methods.canView = function(user, shareToken) {
+  if (this.isOwner(user)) return true;
+  if (this.visibility === 'public') return true;
+  return this.visibility === 'link' && !!shareToken && shareToken === this.shareToken;
+};
+
+module.exports = mongoose.model('Setlist', setlistSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { lyricsFingerprint } = require('../utils/songMatch');
 
 const songSchema = new mongoose.Schema({
   title: {
@@ -36,6 +37,14 @@ const songSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  lyricContributors: [{
+    type: mongoose.Schema.Types.ObjectId, // Authors of accepted lyric suggestions
+    ref: 'User'
+  }],
+  syncedLyrics: {
+    type: String, // Normalized (enhanced) LRC timing for officialLyrics
+    default: ''
+  },
   duration: {
     type: Number, // in seconds
     min: 0
@@ -70,6 +79,10 @@ const songSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  followersCount: {
+    type: Number,
+    default: 0
+  },
   averageRating: {
     type: Number,
     default: 0,
@@ -83,7 +96,26 @@ const songSchema = new mongoose.Schema({
   }],
   isVerified: {
     type: Boolean,
-    default: false
+    default: false // Set when a verified editor approves the submission
+  },
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'changes_requested', 'duplicate'],
+    default: 'pending'
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    default: null
+  },
+  isHidden: {
+    type: Boolean,
+    default: false // Hidden by moderators, e.g. after a copyright report
+  },
+  lyricsFingerprint: {
+    type: String, // Finds resubmitted lyrics under another title; see utils/songMatch
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
@@ -95,6 +127,29 @@ songSchema.index({ genre: 1 });
 songSchema.index({ instruments: 1 });
 songSchema.index({ language: 1 });
 songSchema.index({ createdAt: -1 });
+songSchema.index({ reviewStatus: 1, createdAt: 1 });
+songSchema.index({ lyricsFingerprint: 1 }, { sparse: true });
+
+songSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('officialLyrics')) {
+    this.lyricsFingerprint = lyricsFingerprint(this.officialLyrics);
+  }
+  next();
+});
+
+// Songs saved before lyric fingerprints existed; run once at startup
+songSchema.statics.backfillLyricsFingerprints = async function() {
+  const songs = await this.find({ lyricsFingerprint: { $exists: false } }).select('officialLyrics').lean();
+
+  for (const song of songs) {
+    await this.updateOne({ _id: song._id }, { lyricsFingerprint: lyricsFingerprint(song.officialLyrics) });
+  }
+};
+
+// Songs moderators have hidden; their compositions are left out of listings
+songSchema.statics.hiddenIds = function() {
+  return this.distinct('_id', { isHidden: true });
+};
 
 // Update compositions count
 songSchema.methods.updateCompositionsCount = async function() {
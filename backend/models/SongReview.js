@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Decisions verified editors can make on a submitted song
+const DECISIONS = ['approve', 'request_changes', 'duplicate'];
+
+// The song's review status after each decision
+const STATUS_FOR_DECISION = {
+  approve: 'approved',
+  request_changes: 'changes_requested',
+  duplicate: 'duplicate'
+};
+
+const songReviewSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decision: {
+    type: String,
+    required: true,
+    enum: DECISIONS
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song'
+  },
+  mergedCompositions: {
+    type: Number // Compositions moved to duplicateOf
+  }
+}, {
+  timestamps: true
+});
+
+songReviewSchema.index({ song: 1, createdAt: -1 });
+songReviewSchema.index({ reviewer: 1, createdAt: -1 });
+
+songReviewSchema.statics.DECISIONS = DECISIONS;
+songReviewSchema.statics.STATUS_FOR_DECISION = STATUS_FOR_DECISION;
+
+module.exports = mongoose.model('SongReview', songReviewSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyCode, hashRecoveryCode } = require('../utils/totp');
+
+// Ordered from least to most privileged; editors review song submissions
+const ROLES = ['user', 'editor', 'moderator', 'admin'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -49,6 +53,50 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null // null while suspended means until lifted by a moderator
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  // Secrets are only loaded when asked for, see TWO_FACTOR_SECRETS
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // Base32 TOTP secret; see utils/totp
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Set up but not yet confirmed with a code
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: -1, // Time step of the last accepted code, so codes work once
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // sha256 hashes of unused recovery codes
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   compositionsCount: {
     type: Number,
     default: 0
@@ -56,6 +104,14 @@ const userSchema = new mongoose.Schema({
   totalLikes: {
     type: Number,
     default: 0
+  },
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0 // Users followed; followed songs are not counted
   }
 }, {
   timestamps: true
@@ -80,11 +136,52 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+userSchema.statics.ROLES = ROLES;
+
+// Pass to select() to load a user's two-factor secrets
+userSchema.statics.TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// True when the user's role is at least the given role
+userSchema.methods.hasRole = function(role) {
+  return ROLES.indexOf(this.role || 'user') >= ROLES.indexOf(role);
+};
+
+// Check an authenticator code or a recovery code, using it up. Needs the
+// TWO_FACTOR_SECRETS selected; resolves to 'totp', 'recovery' or null and
+// leaves saving to the caller.
+userSchema.methods.useSecondFactor = function(code) {
+  const step = verifyCode(this.twoFactor.secret, code, { afterStep: this.twoFactor.lastUsedStep });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (this.twoFactor.recoveryCodes.includes(hash)) {
+    this.twoFactor.recoveryCodes.pull(hash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Timed suspensions lapse on their own
+userSchema.methods.isCurrentlySuspended = function() {
+  if (!this.isSuspended) return false;
+  return !this.suspendedUntil || this.suspendedUntil > new Date();
+};
+
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.googleId;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
@@ -0,0 +1,373 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const User = require('../models/User');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Everything under /api/admin is for moderators and admins
+router.use(authMiddleware, requireRole('moderator'));
+
+const REPORT_ACTIONS = ['hide', 'unhide', 'make_private', 'suspend', 'unsuspend', 'dismiss', 'reopen'];
+
+// Actions that resolve every open report on the same target
+const RESOLVING_ACTIONS = ['hide', 'make_private', 'suspend'];
+
+// Fields shown for a reported target, whatever its type
+const TARGET_FIELDS = 'title artist body username avatar role song composition composer author addedBy isPublic isHidden isDeleted isSuspended suspendedUntil suspensionReason';
+
+// The user responsible for a piece of content
+const ownerOf = (targetType, target) => {
+  switch (targetType) {
+    case 'Song': return target.addedBy;
+    case 'Composition': return target.composer;
+    case 'Comment': return target.author;
+    case 'User': return target._id;
+    default: return null;
+  }
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @route   GET /api/admin/reports
+// @desc    Get the moderation queue
+// @access  Private (moderator)
+router.get('/reports', [
+  query('status').optional().isIn(['open', 'actioned', 'dismissed', 'all']).withMessage('Invalid status'),
+  query('targetType').optional().isIn(Object.keys(Report.TARGET_TYPES)).withMessage('Invalid target type'),
+  query('reason').optional().isIn(['copyright', 'spam', 'abuse']).withMessage('Invalid reason'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'open';
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (req.query.targetType) filter.targetType = Report.TARGET_TYPES[req.query.targetType];
+    if (req.query.reason) filter.reason = req.query.reason;
+
+    // Open reports are worked oldest first; resolved ones newest first
+    const sort = status === 'open' ? { createdAt: 1 } : { updatedAt: -1 };
+
+    const reports = await Report.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('reporter', 'username avatar')
+      .populate('resolvedBy', 'username')
+      .populate({ path: 'target', select: TARGET_FIELDS })
+      .lean();
+
+    const total = await Report.countDocuments(filter);
+    const openCount = await Report.countDocuments({ status: 'open' });
+
+    res.json({
+      reports,
+      openCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalReports: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Server error while fetching reports' });
+  }
+});
+
+// @route   GET /api/admin/reports/:id
+// @desc    Get a report with its target, other reports on it and its audit trail
+// @access  Private (moderator)
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'username avatar')
+      .populate('resolvedBy', 'username')
+      .populate('notes.author', 'username avatar')
+      .populate({ path: 'target', select: TARGET_FIELDS })
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const targetId = report.target?._id || report.target;
+
+    const relatedReports = await Report.find({
+      targetType: report.targetType,
+      target: targetId,
+      _id: { $ne: report._id }
+    })
+      .sort({ createdAt: -1 })
+      .populate('reporter', 'username')
+      .select('reporter reason details status createdAt')
+      .lean();
+
+    const history = await ModerationAction.find({
+      $or: [
+        { targetType: report.targetType, target: targetId },
+        { report: report._id }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .populate('moderator', 'username')
+      .lean();
+
+    res.json({ report, relatedReports, history });
+  } catch (error) {
+    console.error('Get report error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching report' });
+  }
+});
+
+// @route   POST /api/admin/reports/:id/notes
+// @desc    Add a moderator note to a report
+// @access  Private (moderator)
+router.post('/reports/:id/notes', [
+  body('body').trim().notEmpty().withMessage('Note cannot be empty')
+    .isLength({ max: 2000 }).withMessage('Note must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    report.notes.push({ author: req.user._id, body: req.body.body });
+    await report.save();
+
+    await ModerationAction.record({
+      moderator: req.user._id,
+      action: 'note',
+      targetType: report.targetType,
+      target: report.target,
+      report: report._id,
+      reason: req.body.body
+    });
+
+    await report.populate('notes.author', 'username avatar');
+
+    res.status(201).json({
+      message: 'Note added',
+      note: report.notes[report.notes.length - 1]
+    });
+  } catch (error) {
+    console.error('Add report note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+    res.status(500).json({ message: 'Server error while adding note' });
+  }
+});
+
+// @route   POST /api/admin/reports/:id/actions
+// @desc    Act on a report: hide content, make a composition private,
+//          suspend the owner, or change the report's status
+// @access  Private (moderator)
+router.post('/reports/:id/actions', [
+  body('action').isIn(REPORT_ACTIONS).withMessage(`Action must be one of: ${REPORT_ACTIONS.join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 2000 }).withMessage('Reason must be less than 2000 characters'),
+  body('days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Suspension must be between 1 and 365 days').toInt()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { action } = req.body;
+    const reason = req.body.reason || '';
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const target = await mongoose.model(report.targetType).findById(report.target);
+    if (!target && !['dismiss', 'reopen'].includes(action)) {
+      return res.status(404).json({ message: 'Reported content no longer exists' });
+    }
+
+    const ownerId = target ? ownerOf(report.targetType, target) : null;
+    let details;
+
+    switch (action) {
+      case 'hide':
+      case 'unhide': {
+        if (report.targetType === 'User') {
+          return res.status(400).json({ message: 'Profiles cannot be hidden; suspend the user instead' });
+        }
+        target.isHidden = action === 'hide';
+        // Hidden compositions also go private so every public listing drops them
+        if (action === 'hide' && report.targetType === 'Composition') {
+          target.isPublic = false;
+        }
+        await target.save();
+        break;
+      }
+
+      case 'make_private': {
+        if (report.targetType !== 'Composition') {
+          return res.status(400).json({ message: 'Only compositions can be made private' });
+        }
+        target.isPublic = false;
+        await target.save();
+        break;
+      }
+
+      case 'suspend':
+      case 'unsuspend': {
+        const owner = ownerId && await User.findById(ownerId);
+        if (!owner) {
+          return res.status(404).json({ message: 'The owner of this content no longer exists' });
+        }
+        if (owner._id.equals(req.user._id)) {
+          return res.status(400).json({ message: 'You cannot suspend yourself' });
+        }
+        if (owner.hasRole('admin') || (owner.hasRole('moderator') && !req.user.hasRole('admin'))) {
+          return res.status(403).json({ message: 'Insufficient permissions to suspend this user' });
+        }
+
+        if (action === 'suspend') {
+          owner.isSuspended = true;
+          owner.suspendedUntil = req.body.days ? new Date(Date.now() + req.body.days * 24 * 60 * 60 * 1000) : null;
+          owner.suspensionReason = reason;
+          details = { suspendedUntil: owner.suspendedUntil };
+        } else {
+          owner.isSuspended = false;
+          owner.suspendedUntil = null;
+          owner.suspensionReason = '';
+        }
+        await owner.save();
+        break;
+      }
+
+      case 'dismiss':
+      case 'reopen': {
+        const status = action === 'dismiss' ? 'dismissed' : 'open';
+        details = { from: report.status, to: status };
+        report.status = status;
+        report.resolvedBy = action === 'dismiss' ? req.user._id : undefined;
+        report.resolvedAt = action === 'dismiss' ? new Date() : undefined;
+        await report.save();
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    // Acting on the content settles every open report about it
+    if (RESOLVING_ACTIONS.includes(action)) {
+      await Report.updateMany(
+        { targetType: report.targetType, target: report.target, status: 'open' },
+        { status: 'actioned', resolvedBy: req.user._id, resolvedAt: new Date() }
+      );
+    }
+
+    const entry = await ModerationAction.record({
+      moderator: req.user._id,
+      action,
+      targetType: report.targetType,
+      target: report.target,
+      targetOwner: ownerId,
+      report: report._id,
+      reason,
+      details
+    });
+
+    const updated = await Report.findById(report._id)
+      .populate('reporter', 'username avatar')
+      .populate('resolvedBy', 'username')
+      .populate('notes.author', 'username avatar')
+      .populate({ path: 'target', select: TARGET_FIELDS })
+      .lean();
+
+    res.json({
+      message: 'Action recorded',
+      report: updated,
+      action: entry
+    });
+  } catch (error) {
+    console.error('Report action error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+    res.status(500).json({ message: 'Server error while acting on report' });
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Get the moderation audit trail
+// @access  Private (moderator)
+router.get('/audit', [
+  query('targetType').optional().isIn(Object.keys(Report.TARGET_TYPES)).withMessage('Invalid target type'),
+  query('target').optional().isMongoId().withMessage('Invalid target ID'),
+  query('moderator').optional().isMongoId().withMessage('Invalid moderator ID'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.targetType) filter.targetType = Report.TARGET_TYPES[req.query.targetType];
+    if (req.query.target) filter.target = req.query.target;
+    if (req.query.moderator) filter.moderator = req.query.moderator;
+    if (req.query.user) filter.targetOwner = req.query.user;
+
+    const actions = await ModerationAction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('moderator', 'username')
+      .populate('targetOwner', 'username')
+      .lean();
+
+    const total = await ModerationAction.countDocuments(filter);
+
+    res.json({
+      actions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalActions: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error while fetching audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Annotation = require('../models/Annotation');
+const AnnotationVote = require('../models/AnnotationVote');
+const Song = require('../models/Song');
+const { authMiddleware, optionalAuth, canManage } = require('../middleware/auth');
+const { splitLines } = require('../utils/text');
+
+// Mounted at /api/songs/:id/annotations
+const router = express.Router({ mergeParams: true });
+
+const ANNOTATION_KINDS = ['meaning', 'pronunciation', 'chord-hint'];
+
+// Validate a line range against the song's current lyrics
+function resolveRange(song, startLine, endLine) {
+  const lines = splitLines(song.officialLyrics);
+
+  if (endLine < startLine) {
+    return { error: 'End line must not be before start line' };
+  }
+
+  if (endLine > lines.length) {
+    return { error: `Lyrics only have ${lines.length} lines` };
+  }
+
+  const anchorText = lines.slice(startLine - 1, endLine).join('\n');
+  if (!anchorText.trim()) {
+    return { error: 'Cannot annotate blank lines' };
+  }
+
+  return { anchorText };
+}
+
+// @route   GET /api/songs/:id/annotations
+// @desc    Get annotations on a song's official lyrics
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('includeOrphaned').optional().isBoolean().withMessage('includeOrphaned must be a boolean'),
+  query('kind').optional().isIn(ANNOTATION_KINDS).withMessage('Invalid annotation kind')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await Song.findById(req.params.id).select('addedBy isHidden');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    // Hidden songs stay visible to their owner and to moderators
+    if (song.isHidden && !(req.user && (canManage(req.user, song.addedBy) || req.user.hasRole('moderator')))) {
+      return res.status(403).json({ message: 'This song has been removed by moderators' });
+    }
+
+    const filter = { song: song._id };
+
+    if (req.query.includeOrphaned !== 'true') {
+      filter.isOrphaned = false;
+    }
+
+    if (req.query.kind) {
+      filter.kind = req.query.kind;
+    }
+
+    const annotations = await Annotation.find(filter)
+      .sort({ startLine: 1, score: -1, createdAt: 1 })
+      .populate('author', 'username avatar')
+      .lean();
+
+    // Attach the current user's vote to each annotation
+    if (req.user && annotations.length > 0) {
+      const votes = await AnnotationVote.find({
+        user: req.user._id,
+        annotation: { $in: annotations.map(annotation => annotation._id) }
+      }).lean();
+
+      const voteByAnnotation = new Map(votes.map(vote => [vote.annotation.toString(), vote.type]));
+      annotations.forEach(annotation => {
+        annotation.userVote = voteByAnnotation.get(annotation._id.toString()) || null;
+      });
+    }
+
+    res.json({ annotations });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Get annotations error:', error);
+    res.status(500).json({ message: 'Server error while fetching annotations' });
+  }
+});
+
+// @route   POST /api/songs/:id/annotations
+// @desc    Annotate a range of lines in a song's official lyrics
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  body('startLine').isInt({ min: 1 }).withMessage('Start line must be a positive integer').toInt(),
+  body('endLine').optional().isInt({ min: 1 }).withMessage('End line must be a positive integer').toInt(),
+  body('kind').optional().isIn(ANNOTATION_KINDS).withMessage('Invalid annotation kind'),
+  body('body').trim().notEmpty().withMessage('Annotation cannot be empty').isLength({ max: 2000 }).withMessage('Annotation must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await Song.findById(req.params.id);
+
+    // Songs removed by moderators take no new annotations
+    if (!song || song.isHidden) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const startLine = req.body.startLine;
+    const endLine = req.body.endLine || startLine;
+    const range = resolveRange(song, startLine, endLine);
+
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const annotation = new Annotation({
+      song: song._id,
+      author: req.user._id,
+      startLine,
+      endLine,
+      anchorText: range.anchorText,
+      kind: req.body.kind || 'meaning',
+      body: req.body.body
+    });
+
+    await annotation.save();
+
+    const populatedAnnotation = await Annotation.findById(annotation._id)
+      .populate('author', 'username avatar');
+
+    res.status(201).json({
+      message: 'Annotation added successfully',
+      annotation: populatedAnnotation
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Add annotation error:', error);
+    res.status(500).json({ message: 'Server error while adding annotation' });
+  }
+});
+
+// @route   PUT /api/songs/:id/annotations/:annotationId
+// @desc    Edit an annotation (only by author)
+// @access  Private
+router.put('/:annotationId', [
+  authMiddleware,
+  body('startLine').optional().isInt({ min: 1 }).withMessage('Start line must be a positive integer').toInt(),
+  body('endLine').optional().isInt({ min: 1 }).withMessage('End line must be a positive integer').toInt(),
+  body('kind').optional().isIn(ANNOTATION_KINDS).withMessage('Invalid annotation kind'),
+  body('body').optional().trim().notEmpty().withMessage('Annotation cannot be empty').isLength({ max: 2000 }).withMessage('Annotation must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      song: req.params.id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    // Check if user is the author
+    if (annotation.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this annotation' });
+    }
+
+    // Moving the annotation re-attaches it, which also rescues orphaned ones
+    if (req.body.startLine !== undefined || req.body.endLine !== undefined) {
+      const song = await Song.findById(req.params.id);
+      const startLine = req.body.startLine || annotation.startLine;
+      const endLine = req.body.endLine || (req.body.startLine ? startLine : annotation.endLine);
+      const range = resolveRange(song, startLine, endLine);
+
+      if (range.error) {
+        return res.status(400).json({ message: range.error });
+      }
+
+      annotation.set({ startLine, endLine, anchorText: range.anchorText, isOrphaned: false });
+    }
+
+    ['kind', 'body'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        annotation[field] = req.body[field];
+      }
+    });
+
+    await annotation.save();
+
+    const updatedAnnotation = await Annotation.findById(annotation._id)
+      .populate('author', 'username avatar');
+
+    res.json({
+      message: 'Annotation updated successfully',
+      annotation: updatedAnnotation
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid annotation ID' });
+    }
+    console.error('Update annotation error:', error);
+    res.status(500).json({ message: 'Server error while updating annotation' });
+  }
+});
+
+// @route   DELETE /api/songs/:id/annotations/:annotationId
+// @desc    Delete an annotation (by author, song creator or admin)
+// @access  Private
+router.delete('/:annotationId', authMiddleware, async (req, res) => {
+  try {
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      song: req.params.id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    const song = await Song.findById(req.params.id).select('addedBy');
+
+    if (!canManage(req.user, annotation.author) && !(song && canManage(req.user, song.addedBy))) {
+      return res.status(403).json({ message: 'Not authorized to delete this annotation' });
+    }
+
+    await AnnotationVote.deleteMany({ annotation: annotation._id });
+    await Annotation.findByIdAndDelete(annotation._id);
+
+    res.json({ message: 'Annotation deleted successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid annotation ID' });
+    }
+    console.error('Delete annotation error:', error);
+    res.status(500).json({ message: 'Server error while deleting annotation' });
+  }
+});
+
+// @route   POST /api/songs/:id/annotations/:annotationId/vote
+// @desc    Upvote or downvote an annotation
+// @access  Private
+router.post('/:annotationId/vote', [
+  authMiddleware,
+  body('type').isIn(['up', 'down']).withMessage('Vote type must be up or down')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      song: req.params.id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    if (!(await Song.exists({ _id: annotation.song, isHidden: { $ne: true } }))) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const existingVote = await AnnotationVote.findOne({
+      user: req.user._id,
+      annotation: annotation._id
+    });
+
+    let userVote = req.body.type;
+
+    if (existingVote) {
+      if (existingVote.type === req.body.type) {
+        // Voting the same way again removes the vote
+        await AnnotationVote.findOneAndDelete({ _id: existingVote._id });
+        userVote = null;
+      } else {
+        existingVote.type = req.body.type;
+        await existingVote.save();
+      }
+    } else {
+      await new AnnotationVote({
+        user: req.user._id,
+        annotation: annotation._id,
+        type: req.body.type
+      }).save();
+    }
+
+    const updatedAnnotation = await Annotation.findById(annotation._id);
+
+    res.json({
+      message: userVote ? 'Vote recorded successfully' : 'Vote removed successfully',
+      upvotes: updatedAnnotation.upvotes,
+      downvotes: updatedAnnotation.downvotes,
+      score: updatedAnnotation.score,
+      userVote
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid annotation ID' });
+    }
+    console.error('Vote annotation error:', error);
+    res.status(500).json({ message: 'Server error while voting on annotation' });
+  }
+});
+
+module.exports = router;
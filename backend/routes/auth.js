@@ -5,7 +5,12 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const session = require('express-session');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
+const AuthSession = require('../models/AuthSession');
+const LoginThrottle = require('../models/LoginThrottle');
+const Notification = require('../models/Notification');
+const { authMiddleware, suspendedResponse } = require('../middleware/auth');
+const { signActionToken, readActionToken, matchesActionToken } = require('../utils/actionTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail } = require('../utils/accountEmails');
 
 const router = express.Router();
 
@@ -77,13 +82,51 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Helper function to generate a short-lived access token for a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Start a login session for the requesting device; resolves to { token, refreshToken }
+const issueTokens = async (req, userId) => {
+  const { session, refreshToken } = await AuthSession.start(userId, {
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip
+  });
+  return { token: generateToken(userId, session._id), refreshToken };
+};
+
+// Failed logins are tracked per account and per IP address
+const throttleKeys = (req, email) => [
+  { type: 'account', key: email },
+  { type: 'ip', key: req.ip }
+];
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${LoginThrottle.describeWait(retryAfter)}.`,
+    retryAfter
+  });
+};
+
+// Count a failed login against the account and the IP address. The owner is
+// emailed when it locks their account. Resolves to whether it locked anything.
+const recordLoginFailure = async (req, email, user) => {
+  const [account, ip] = await Promise.all(
+    throttleKeys(req, email).map(key => LoginThrottle.recordFailure(key))
+  );
+
+  if (account.lockedOut && user) {
+    sendAccountLockedEmail(user, { ip: req.ip, minutes: LoginThrottle.POLICIES.account.lockoutMinutes })
+      .catch(error => console.error('Account locked email error:', error));
+  }
+
+  return account.lockedOut || ip.lockedOut;
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -133,12 +176,15 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail outage should not block signing up; the email can be resent
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    const { token, refreshToken } = await issueTokens(req, user._id);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.toJSON()
     });
   } catch (error) {
@@ -164,25 +210,48 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const keys = throttleKeys(req, email);
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    const retryAfter = await LoginThrottle.retryAfter(keys);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    // Find user by email and check password; unknown emails count as
+    // failures too so they behave like any other account
+    const user = await User.findOne({ email });
+    const isMatch = !!user && await user.comparePassword(password);
+
     if (!isMatch) {
+      if (await recordLoginFailure(req, email, user)) {
+        return tooManyAttempts(res, await LoginThrottle.retryAfter(keys));
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.isCurrentlySuspended()) {
+      return res.status(403).json(suspendedResponse(user));
+    }
+
+    // With two-factor authentication the password alone gets a challenge,
+    // exchanged for tokens at /login/2fa. Failures are only cleared once the
+    // second step succeeds.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challenge: signActionToken(user, 'login_2fa')
+      });
+    }
+
+    await LoginThrottle.clear(keys[0]);
+
+    const { token, refreshToken } = await issueTokens(req, user._id);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.toJSON()
     });
   } catch (error) {
@@ -191,6 +260,67 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a two-factor login with the challenge from /login and an
+//          authenticator or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challenge').isString().notEmpty().withMessage('Login challenge is required'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const decoded = readActionToken(req.body.challenge, 'login_2fa');
+    const user = decoded && await User.findById(decoded.userId).select(User.TWO_FACTOR_SECRETS);
+
+    if (!matchesActionToken(user, decoded) || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your login has expired. Please log in again.' });
+    }
+
+    // Wrong codes count against the account like wrong passwords
+    const keys = throttleKeys(req, user.email);
+
+    const retryAfter = await LoginThrottle.retryAfter(keys);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const method = user.useSecondFactor(req.body.code);
+    if (!method) {
+      if (await recordLoginFailure(req, user.email, user)) {
+        return tooManyAttempts(res, await LoginThrottle.retryAfter(keys));
+      }
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    await user.save();
+    await LoginThrottle.clear(keys[0]);
+
+    if (user.isCurrentlySuspended()) {
+      return res.status(403).json(suspendedResponse(user));
+    }
+
+    const { token, refreshToken } = await issueTokens(req, user._id);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.toJSON(),
+      recoveryCodesLeft: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/google
 // @desc    Google OAuth login
 // @access  Public
@@ -203,22 +333,231 @@ router.get('/google', passport.authenticate('google', {
 // @access  Public
 router.get('/google/callback', 
   passport.authenticate('google', { failureRedirect: `${process.env.FRONTEND_URL}/login?error=google_auth_failed` }),
-  (req, res) => {
-    // Generate token
-    const token = generateToken(req.user._id);
-    
-    // Redirect to frontend with token
-    res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}`);
+  async (req, res) => {
+    try {
+      if (req.user.isCurrentlySuspended()) {
+        return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_suspended`);
+      }
+
+      if (req.user.twoFactor?.enabled) {
+        const challenge = signActionToken(req.user, 'login_2fa');
+        return res.redirect(`${process.env.FRONTEND_URL}/auth/success#challenge=${encodeURIComponent(challenge)}`);
+      }
+
+      const { token, refreshToken } = await issueTokens(req, req.user._id);
+
+      // Tokens go in the fragment, which browsers never send to servers, so
+      // they stay out of access logs, proxies and Referer headers
+      const params = new URLSearchParams({ token, refreshToken });
+      res.redirect(`${process.env.FRONTEND_URL}/auth/success#${params.toString()}`);
+    } catch (error) {
+      console.error('Google callback error:', error);
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=google_auth_failed`);
+    }
   }
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token.
+//          Each refresh token works once; presenting a used one again means it
+//          leaked, so the whole session is revoked.
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { refreshToken } = req.body;
+    const session = await AuthSession.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (session.refreshTokenHash !== AuthSession.hashToken(refreshToken)) {
+      if (!session.wasRotatedOut(refreshToken)) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      if (!session.revokedAt) {
+        console.warn(`Refresh token reuse detected for session ${session._id}; revoking it`);
+        await session.revoke('token_reuse');
+      }
+      return res.status(401).json({ message: 'This session has been revoked. Please log in again.' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        message: session.revokedAt ? 'This session has been revoked. Please log in again.' : 'Session has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (user.isCurrentlySuspended()) {
+      return res.status(403).json(suspendedResponse(user));
+    }
+
+    const nextRefreshToken = await session.rotate({ ip: req.ip });
+    if (!nextRefreshToken) {
+      // Another request rotated this token a moment ago
+      return res.status(401).json({ message: 'Refresh token has already been used' });
+    }
+
+    res.json({
+      token: generateToken(user._id, session._id),
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/verify/request
+// @desc    Send (again) the email verification link to the current user
+// @access  Private
+router.post('/verify/request', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/verify
+// @desc    Verify an email address with the token from the emailed link
+// @access  Public
+router.post('/verify', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const decoded = readActionToken(req.body.token, 'verify_email');
+    const user = decoded && await User.findById(decoded.userId);
+
+    if (!matchesActionToken(user, decoded)) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email address verified',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/password-reset/request
+// @desc    Email a password reset link. Always answers the same way so it
+//          cannot be used to find out which emails have accounts.
+// @access  Public
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Sent in the background so the response takes as long whether or not
+    // the account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/password-reset
+// @desc    Set a new password with the token from the emailed link. Every
+//          session of the account is logged out.
+// @access  Public
+router.post('/password-reset', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const decoded = readActionToken(req.body.token, 'password_reset');
+    const user = decoded && await User.findById(decoded.userId);
+
+    if (!matchesActionToken(user, decoded)) {
+      return res.status(400).json({ message: 'This password reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // Following the emailed link proves the address is theirs
+    user.isVerified = true;
+    await user.save();
+
+    await AuthSession.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', authMiddleware, async (req, res) => {
   try {
     res.json({
-      user: req.user.toJSON()
+      user: req.user.toJSON(),
+      unreadNotifications: await Notification.unreadCount(req.user._id)
     });
   } catch (error) {
     console.error('Get current user error:', error);
@@ -284,12 +623,29 @@ router.put('/profile', [
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (optional endpoint for client-side cleanup)
+// @desc    Logout user, revoking the current session and its tokens
 // @access  Private
-router.post('/logout', authMiddleware, (req, res) => {
-  // With JWT, logout is handled client-side by removing the token
-  // This endpoint can be used for server-side cleanup if needed
-  res.json({ message: 'Logout successful' });
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere, revoking every session of the current user
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await AuthSession.revokeAllForUser(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Composition = require('../models/Composition');
+const Notification = require('../models/Notification');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { publish } = require('../utils/realtime');
+
+// Mounted at /api/compositions/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Deleted or moderator-hidden comments keep their place in the thread as
+// placeholders
+const toThreadComment = (comment) => (comment.isDeleted || comment.isHidden
+  ? { ...comment, body: '', author: null }
+  : comment);
+
+// Drop placeholders that no longer lead to a visible reply
+const pruneThread = (comment) => {
+  comment.replies = comment.replies.map(pruneThread).filter(Boolean);
+  return (comment.isDeleted || comment.isHidden) && comment.replies.length === 0 ? null : comment;
+};
+
+// @route   GET /api/compositions/:id/comments
+// @desc    Get threaded comments for a composition
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Paginate top-level comments, then load every reply in those threads
+    const filter = { composition: composition._id, root: null };
+
+    const topLevel = await Comment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'username avatar')
+      .lean();
+
+    const replies = await Comment.find({ root: { $in: topLevel.map(comment => comment._id) } })
+      .sort({ createdAt: 1 })
+      .populate('author', 'username avatar')
+      .lean();
+
+    const byId = new Map();
+    [...topLevel, ...replies].forEach(comment => {
+      byId.set(comment._id.toString(), { ...toThreadComment(comment), replies: [] });
+    });
+
+    replies.forEach(reply => {
+      const parent = byId.get(reply.parent.toString());
+      if (parent) {
+        parent.replies.push(byId.get(reply._id.toString()));
+      }
+    });
+
+    const total = await Comment.countDocuments(filter);
+
+    res.json({
+      comments: topLevel.map(comment => pruneThread(byId.get(comment._id.toString()))).filter(Boolean),
+      commentsCount: composition.commentsCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalComments: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error while fetching comments' });
+  }
+});
+
+// @route   POST /api/compositions/:id/comments
+// @desc    Add a comment or reply to a composition
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  body('body').trim().notEmpty().withMessage('Comment cannot be empty').isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic && req.user._id.toString() !== composition.composer.toString()) {
+      return res.status(403).json({ message: 'This composition is private' });
+    }
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = await Comment.findOne({ _id: req.body.parent, composition: composition._id });
+      if (!parent || parent.isDeleted || parent.isHidden) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+    }
+
+    const comment = new Comment({
+      composition: composition._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      root: parent ? (parent.root || parent._id) : null,
+      body: req.body.body
+    });
+
+    await comment.save();
+
+    // Replies notify the parent's author; the composer hears about everything else
+    if (parent) {
+      await Notification.notify({
+        recipient: parent.author,
+        actor: req.user._id,
+        type: 'comment_reply',
+        composition: composition._id,
+        comment: comment._id
+      });
+    }
+
+    if (!parent || parent.author.toString() !== composition.composer.toString()) {
+      await Notification.notify({
+        recipient: composition.composer,
+        actor: req.user._id,
+        type: 'composition_comment',
+        composition: composition._id,
+        comment: comment._id
+      });
+    }
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'username avatar');
+
+    const { commentsCount } = await Composition.findById(composition._id).select('commentsCount');
+    publish(`composition:${composition._id}`, 'comment', {
+      compositionId: composition._id,
+      comment: populatedComment,
+      commentsCount
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: populatedComment
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Add comment error:', error);
+    res.status(500).json({ message: 'Server error while adding comment' });
+  }
+});
+
+// @route   PUT /api/compositions/:id/comments/:commentId
+// @desc    Edit a comment (only by author)
+// @access  Private
+router.put('/:commentId', [
+  authMiddleware,
+  body('body').trim().notEmpty().withMessage('Comment cannot be empty').isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      composition: req.params.id
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.isHidden) {
+      return res.status(403).json({ message: 'This comment was hidden by moderators' });
+    }
+
+    // Check if user is the author
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    const updatedComment = await Comment.findById(comment._id)
+      .populate('author', 'username avatar');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: updatedComment
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid comment ID' });
+    }
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error while updating comment' });
+  }
+});
+
+// @route   DELETE /api/compositions/:id/comments/:commentId
+// @desc    Delete a comment (by author or composition owner)
+// @access  Private
+router.delete('/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      composition: req.params.id
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+    const userId = req.user._id.toString();
+    const isAuthor = comment.author.toString() === userId;
+    const isOwner = composition && composition.composer.toString() === userId;
+
+    if (!isAuthor && !isOwner) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    // Keep a placeholder when others have replied, so the thread stays intact
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+      comment.isDeleted = true;
+      await comment.save();
+    } else {
+      await Comment.findOneAndDelete({ _id: comment._id });
+      await Comment.pruneDeletedParents(comment.parent);
+    }
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid comment ID' });
+    }
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment' });
+  }
+});
+
+module.exports = router;
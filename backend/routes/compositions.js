@@ -1,12 +1,53 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Composition = require('../models/Composition');
+const CompositionRevision = require('../models/CompositionRevision');
 const Song = require('../models/Song');
 const LikeDislike = require('../models/LikeDislike');
-const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const Bookmark = require('../models/Bookmark');
+const { authMiddleware, optionalAuth, canManage } = require('../middleware/auth');
+const { parseChordPro } = require('../utils/chordpro');
+const { parseKey, prefersFlats, semitonesBetween, transposeKey, transposeContent } = require('../utils/transpose');
+const { validateTablature } = require('../utils/tablature');
+const { NOTATION_FORMATS, FILE_TYPES, parseNotation } = require('../utils/notation');
+const { EXPORT_FORMATS, EXPORT_FILE_TYPES, toChordPro, toText, toJson, writePdf } = require('../utils/export');
+const { diffLines } = require('../utils/diff');
+const { publish } = require('../utils/realtime');
 
 const router = express.Router();
 
+// Convert line-numbered content errors into the validationResult error shape
+const toContentErrors = (contentErrors) => contentErrors.map(err => ({
+  type: 'field',
+  msg: err.line ? `Line ${err.line}: ${err.message}` : err.message,
+  path: err.path || 'content',
+  location: 'body',
+  line: err.line
+}));
+
+// Build a download filename from the composition title
+const attachmentName = (composition, extension) => {
+  const slug = composition.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+  return `${slug || 'composition'}.${extension}`;
+};
+
+// Validate structured content for the composition type; returns the
+// (possibly normalized) content along with any line-numbered errors
+const checkContent = (type, content, { tuning, instrument, notationFormat }) => {
+  if (type === 'chords') {
+    const { errors } = parseChordPro(content);
+    return { content, errors };
+  }
+  if (type === 'tabs') {
+    return validateTablature(content, tuning, instrument);
+  }
+  if (type === 'sheet-music') {
+    return parseNotation(content, notationFormat);
+  }
+  return { content, errors: [] };
+};
+
 // @route   GET /api/compositions
 // @desc    Get compositions with filtering
 // @access  Public
@@ -34,9 +75,9 @@ router.get('/', [
     const skip = (page - 1) * limit;
 
     // Build filter object
-    const filter = { isPublic: true };
+    const filter = { isPublic: true, song: { $nin: await Song.hiddenIds() } };
     
-    if (req.query.song) filter.song = req.query.song;
+    if (req.query.song) filter.song.$eq = req.query.song;
     if (req.query.composer) filter.composer = req.query.composer;
     if (req.query.instrument) filter.instrument = req.query.instrument;
     if (req.query.difficulty) filter.difficulty = req.query.difficulty;
@@ -81,7 +122,8 @@ router.get('/featured', async (req, res) => {
     
     const compositions = await Composition.find({ 
       isPublic: true,
-      isFeatured: true 
+      isFeatured: true,
+      song: { $nin: await Song.hiddenIds() }
     })
       .sort({ rating: -1, likes: -1 })
       .limit(limit)
@@ -129,9 +171,20 @@ router.get('/:id', optionalAuth, async (req, res) => {
       userVote = vote ? vote.type : null;
     }
 
+    // Parse ChordPro content so clients can render chords above lyrics
+    let chordSheet = null;
+    if (composition.type === 'chords') {
+      const { meta, sections } = parseChordPro(composition.content);
+      chordSheet = { meta, sections };
+    }
+
+    const isBookmarked = await Bookmark.isBookmarked(req.user, 'Composition', composition._id);
+
     res.json({
       composition: composition.toObject(),
-      userVote
+      chordSheet,
+      userVote,
+      isBookmarked
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -142,6 +195,198 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/compositions/:id/transpose
+// @desc    Get composition content transposed to another key and/or capo position
+// @access  Public
+router.get('/:id/transpose', [
+  optionalAuth,
+  query('to').optional().isIn(Composition.schema.path('key').enumValues).withMessage('Invalid target key'),
+  query('semitones').optional().isInt({ min: -11, max: 11 }).withMessage('Semitones must be between -11 and 11'),
+  query('capo').optional().isInt({ min: 0, max: 12 }).withMessage('Capo must be between 0 and 12')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.query.to && req.query.semitones !== undefined) {
+      return res.status(400).json({ message: 'Provide either a target key or semitones, not both' });
+    }
+
+    if (!req.query.to && req.query.semitones === undefined && req.query.capo === undefined) {
+      return res.status(400).json({ message: 'Provide a target key, semitones or capo position' });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    // Fall back to the ChordPro {key:} directive when the key field is empty
+    let originalKey = composition.key || null;
+    if (!originalKey && composition.type === 'chords') {
+      const { meta } = parseChordPro(composition.content);
+      originalKey = parseKey(meta.key) ? transposeKey(meta.key, 0) : null;
+    }
+
+    let semitones = 0;
+    if (req.query.to) {
+      if (!originalKey) {
+        return res.status(400).json({ message: 'Composition has no key to transpose from' });
+      }
+      semitones = semitonesBetween(originalKey, req.query.to);
+    } else if (req.query.semitones !== undefined) {
+      semitones = parseInt(req.query.semitones);
+    }
+
+    const key = req.query.to || (originalKey ? transposeKey(originalKey, semitones) : null);
+    const originalCapo = composition.capo || 0;
+    const capo = req.query.capo !== undefined ? parseInt(req.query.capo) : originalCapo;
+
+    // Chord shapes move by the key change plus whatever the capo no longer covers,
+    // and are spelled for the key the shapes are played in
+    const shapeShift = semitones + (originalCapo - capo);
+    const shapeKey = key ? transposeKey(key, -capo) : null;
+    const content = transposeContent(composition.content, shapeShift, prefersFlats(shapeKey));
+
+    let chordSheet = null;
+    if (composition.type === 'chords') {
+      const { meta, sections } = parseChordPro(content);
+      chordSheet = { meta, sections };
+    }
+
+    res.json({
+      compositionId: composition._id,
+      originalKey,
+      key,
+      semitones,
+      originalCapo,
+      capo,
+      content,
+      chordSheet
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Transpose composition error:', error);
+    res.status(500).json({ message: 'Server error while transposing composition' });
+  }
+});
+
+// @route   GET /api/compositions/:id/download
+// @desc    Download sheet music in its stored notation format
+// @access  Public
+router.get('/:id/download', optionalAuth, async (req, res) => {
+  try {
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    if (composition.type !== 'sheet-music' || !composition.notationFormat) {
+      return res.status(400).json({ message: 'Composition has no sheet music to download' });
+    }
+
+    // Increment downloads
+    composition.downloads += 1;
+    await composition.save();
+
+    const fileType = FILE_TYPES[composition.notationFormat];
+
+    res.set({
+      'Content-Type': fileType.contentType,
+      'Content-Disposition': `attachment; filename="${attachmentName(composition, fileType.extension)}"`
+    });
+    res.send(composition.content);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Download composition error:', error);
+    res.status(500).json({ message: 'Server error while downloading composition' });
+  }
+});
+
+// @route   GET /api/compositions/:id/export
+// @desc    Export a printable composition sheet as ChordPro, text, PDF or JSON
+// @access  Public
+router.get('/:id/export', [
+  optionalAuth,
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be chordpro, txt, pdf or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id)
+      .populate('composer', 'username')
+      .populate('song', 'title artist');
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer._id.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    // Increment downloads
+    composition.downloads += 1;
+    await composition.save();
+
+    const format = req.query.format || 'txt';
+    const fileType = EXPORT_FILE_TYPES[format];
+
+    res.set({
+      'Content-Type': fileType.contentType,
+      'Content-Disposition': `attachment; filename="${attachmentName(composition, fileType.extension)}"`
+    });
+
+    switch (format) {
+      case 'chordpro':
+        return res.send(toChordPro(composition));
+      case 'pdf':
+        return writePdf(composition, res);
+      case 'json':
+        return res.send(JSON.stringify(toJson(composition), null, 2));
+      default:
+        return res.send(toText(composition));
+    }
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Export composition error:', error);
+    res.status(500).json({ message: 'Server error while exporting composition' });
+  }
+});
+
 // @route   POST /api/compositions
 // @desc    Create a new composition
 // @access  Private
@@ -152,6 +397,7 @@ router.post('/', [
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
   body('type').notEmpty().withMessage('Type is required'),
   body('content').trim().notEmpty().withMessage('Content is required'),
+  body('notationFormat').optional().isIn(NOTATION_FORMATS).withMessage('Notation format must be abc or musicxml'),
   body('instrument').notEmpty().withMessage('Instrument is required'),
   body('difficulty').notEmpty().withMessage('Difficulty is required'),
   body('style').optional().trim(),
@@ -171,23 +417,59 @@ router.post('/', [
       });
     }
 
+    const checked = checkContent(req.body.type, req.body.content, req.body);
+    if (checked.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: toContentErrors(checked.errors)
+      });
+    }
+    req.body.content = checked.content;
+
+    // Notation format only means something for sheet music; /download picks
+    // the file type from it
+    if (req.body.type !== 'sheet-music') {
+      delete req.body.notationFormat;
+    }
+
+    // Pre-fill key and tempo from sheet music when not given explicitly
+    if (checked.format) {
+      req.body.notationFormat = checked.format;
+      if (!req.body.key && checked.key) req.body.key = checked.key;
+      if (!req.body.tempo && checked.tempo) req.body.tempo = checked.tempo;
+    }
+
     // Verify song exists
     const song = await Song.findById(req.body.song);
     if (!song) {
       return res.status(404).json({ message: 'Song not found' });
     }
 
+    // Fork attribution is only set through the fork route
+    // and featuring only by moderators
+    const { forkedFrom, lineage, forkCount, isFeatured, ...fields } = req.body;
+
     const composition = new Composition({
-      ...req.body,
+      ...fields,
       composer: req.user._id
     });
 
     await composition.save();
 
+    // First revision holds the composition as created
+    await CompositionRevision.record(composition, req.user._id);
+
     const populatedComposition = await Composition.findById(composition._id)
       .populate('composer', 'username avatar')
       .populate('song', 'title artist');
 
+    if (populatedComposition.isPublic) {
+      publish(`song:${song._id}`, 'composition', {
+        songId: song._id,
+        composition: populatedComposition
+      });
+    }
+
     res.status(201).json({
       message: 'Composition created successfully',
       composition: populatedComposition
@@ -199,15 +481,17 @@ router.post('/', [
 });
 
 // @route   PUT /api/compositions/:id
-// @desc    Update composition (only by creator)
+// @desc    Update composition (only by creator or admin; featuring by moderators)
 // @access  Private
 router.put('/:id', [
   authMiddleware,
   body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
   body('content').optional().trim().notEmpty().withMessage('Content cannot be empty'),
+  body('notationFormat').optional().isIn(NOTATION_FORMATS).withMessage('Notation format must be abc or musicxml'),
   body('capo').optional().isInt({ min: 0, max: 12 }).withMessage('Capo must be between 0 and 12'),
-  body('tempo').optional().isInt({ min: 40, max: 200 }).withMessage('Tempo must be between 40 and 200 BPM')
+  body('tempo').optional().isInt({ min: 40, max: 200 }).withMessage('Tempo must be between 40 and 200 BPM'),
+  body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -224,25 +508,80 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Composition not found' });
     }
 
-    // Check if user is the creator
-    if (composition.composer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this composition' });
-    }
-
-    // Update allowed fields
+    // Featuring is for moderators only; a moderator who doesn't own the
+    // composition may change that flag and nothing else
     const allowedUpdates = [
       'title', 'description', 'content', 'difficulty', 'style', 
       'tuning', 'capo', 'tempo', 'key', 'tags', 'isPublic', 'attachments'
     ];
-    
+    const editsContent = allowedUpdates.some(field => req.body[field] !== undefined);
+
+    if (req.body.isFeatured !== undefined && !req.user.hasRole('moderator')) {
+      return res.status(403).json({ message: 'Only moderators can feature compositions' });
+    }
+
+    if (!canManage(req.user, composition.composer) && (editsContent || req.body.isFeatured === undefined)) {
+      return res.status(403).json({ message: 'Not authorized to update this composition' });
+    }
+
+    if (composition.isHidden && req.body.isPublic === true && !req.user.hasRole('moderator')) {
+      return res.status(403).json({ message: 'This composition was hidden by moderators and cannot be made public' });
+    }
+
+    // Compositions created before revision history get their current state as a baseline
+    if (!(await CompositionRevision.exists({ composition: composition._id }))) {
+      await CompositionRevision.record(composition, composition.composer);
+    }
+
+    // Re-check content when it changes, or when a tab's tuning changes
+    let checked = null;
+    if (req.body.content !== undefined || (composition.type === 'tabs' && req.body.tuning !== undefined)) {
+      checked = checkContent(
+        composition.type,
+        req.body.content !== undefined ? req.body.content : composition.content,
+        {
+          tuning: req.body.tuning !== undefined ? req.body.tuning : composition.tuning,
+          instrument: composition.instrument,
+          notationFormat: req.body.notationFormat
+        }
+      );
+      if (checked.errors.length > 0) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: toContentErrors(checked.errors)
+        });
+      }
+      if (req.body.content !== undefined) {
+        req.body.content = checked.content;
+      }
+    }
+
+    // Update allowed fields
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         composition[field] = req.body[field];
       }
     });
 
+    if (req.body.isFeatured !== undefined) {
+      composition.isFeatured = req.body.isFeatured;
+    }
+
+    // Pre-fill key and tempo from sheet music when not given explicitly
+    if (checked && checked.format) {
+      composition.notationFormat = checked.format;
+      if (req.body.key === undefined && checked.key) composition.key = checked.key;
+      if (req.body.tempo === undefined && checked.tempo) composition.tempo = checked.tempo;
+    }
+
+    const changedFields = CompositionRevision.TRACKED_FIELDS.filter(field => composition.isModified(field));
+
     await composition.save();
 
+    if (changedFields.length > 0) {
+      await CompositionRevision.record(composition, req.user._id, changedFields);
+    }
+
     const updatedComposition = await Composition.findById(composition._id)
       .populate('composer', 'username avatar')
       .populate('song', 'title artist');
@@ -261,7 +600,7 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/compositions/:id
-// @desc    Delete composition (only by creator)
+// @desc    Delete composition (only by creator or admin)
 // @access  Private
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
@@ -271,16 +610,13 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Composition not found' });
     }
 
-    // Check if user is the creator
-    if (composition.composer.toString() !== req.user._id.toString()) {
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, composition.composer)) {
       return res.status(403).json({ message: 'Not authorized to delete this composition' });
     }
 
-    // Delete all likes/dislikes for this composition
-    await LikeDislike.deleteMany({ composition: composition._id });
-
-    // Delete the composition
-    await Composition.findByIdAndDelete(req.params.id);
+    // Delete it along with its votes, revisions, comments, bookmarks and setlist entries
+    await Composition.deleteWithRelated(composition);
 
     res.json({ message: 'Composition deleted successfully' });
   } catch (error) {
@@ -339,6 +675,15 @@ router.post('/:id/vote', [
         type: req.body.type
       });
       await newVote.save();
+
+      await Notification.notify({
+        recipient: composition.composer,
+        actor: req.user._id,
+        type: 'composition_vote',
+        composition: composition._id,
+        voteType: req.body.type
+      });
+
       res.json({ message: 'Vote added', action: 'added', type: req.body.type });
     }
   } catch (error) {
@@ -401,6 +746,418 @@ router.get('/:id/votes', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   POST /api/compositions/:id/fork
+// @desc    Fork another user's public composition
+// @access  Private
+router.post('/:id/fork', [
+  authMiddleware,
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty').isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const parent = await Composition.findById(req.params.id)
+      .populate('composer', 'username');
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!parent.isPublic) {
+      return res.status(403).json({ message: 'This composition is private' });
+    }
+
+    if (parent.composer._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot fork your own composition' });
+    }
+
+    const fork = new Composition({
+      song: parent.song,
+      composer: req.user._id,
+      title: req.body.title || parent.title,
+      description: parent.description,
+      type: parent.type,
+      content: parent.content,
+      notationFormat: parent.notationFormat,
+      instrument: parent.instrument,
+      difficulty: parent.difficulty,
+      style: parent.style,
+      tuning: parent.tuning,
+      capo: parent.capo,
+      tempo: parent.tempo,
+      key: parent.key,
+      tags: parent.tags,
+      attachments: parent.attachments,
+      isPublic: req.body.isPublic !== undefined ? req.body.isPublic : true,
+      forkedFrom: parent._id,
+      lineage: [
+        {
+          composition: parent._id,
+          title: parent.title,
+          composer: parent.composer._id,
+          composerName: parent.composer.username
+        },
+        ...parent.lineage.map(ancestor => ancestor.toObject())
+      ]
+    });
+
+    await fork.save();
+
+    // First revision holds the composition as forked
+    await CompositionRevision.record(fork, req.user._id);
+
+    // Update the parent's fork count
+    await parent.updateForkCount();
+
+    await Notification.notify({
+      recipient: parent.composer,
+      actor: req.user._id,
+      type: 'composition_fork',
+      composition: parent._id,
+      fork: fork._id
+    });
+
+    const populatedFork = await Composition.findById(fork._id)
+      .populate('composer', 'username avatar')
+      .populate('song', 'title artist');
+
+    res.status(201).json({
+      message: 'Composition forked successfully',
+      composition: populatedFork
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Fork composition error:', error);
+    res.status(500).json({ message: 'Server error while forking composition' });
+  }
+});
+
+// @route   GET /api/compositions/:id/forks
+// @desc    Get public forks of a composition
+// @access  Public
+router.get('/:id/forks', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { forkedFrom: composition._id, isPublic: true };
+
+    const forks = await Composition.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('composer', 'username avatar')
+      .populate('song', 'title artist')
+      .lean();
+
+    const total = await Composition.countDocuments(filter);
+
+    res.json({
+      forks,
+      forkCount: composition.forkCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalCompositions: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Get composition forks error:', error);
+    res.status(500).json({ message: 'Server error while fetching forks' });
+  }
+});
+
+// @route   GET /api/compositions/:id/revisions
+// @desc    Get revision history of a composition
+// @access  Public
+router.get('/:id/revisions', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await CompositionRevision.find({ composition: composition._id })
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-snapshot')
+      .populate('author', 'username avatar')
+      .lean();
+
+    const total = await CompositionRevision.countDocuments({ composition: composition._id });
+
+    res.json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRevisions: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Get composition revisions error:', error);
+    res.status(500).json({ message: 'Server error while fetching revisions' });
+  }
+});
+
+// @route   GET /api/compositions/:id/revisions/diff
+// @desc    Get a line-level diff between two revisions
+// @access  Public
+router.get('/:id/revisions/diff', [
+  optionalAuth,
+  query('from').isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').isInt({ min: 1 }).withMessage('To must be a revision number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const [fromRevision, toRevision] = await Promise.all([
+      CompositionRevision.findOne({ composition: composition._id, revision: from }).lean(),
+      CompositionRevision.findOne({ composition: composition._id, revision: to }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // Field-level changes for everything except the content itself
+    const fields = {};
+    CompositionRevision.TRACKED_FIELDS
+      .filter(field => field !== 'content')
+      .forEach(field => {
+        const before = fromRevision.snapshot[field];
+        const after = toRevision.snapshot[field];
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          fields[field] = { from: before, to: after };
+        }
+      });
+
+    res.json({
+      compositionId: composition._id,
+      from,
+      to,
+      fields,
+      content: diffLines(fromRevision.snapshot.content, toRevision.snapshot.content)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Diff composition revisions error:', error);
+    res.status(500).json({ message: 'Server error while comparing revisions' });
+  }
+});
+
+// @route   GET /api/compositions/:id/revisions/:rev
+// @desc    Get a single revision with its full snapshot
+// @access  Public
+router.get('/:id/revisions/:rev', [
+  optionalAuth,
+  param('rev').isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic) {
+      if (!req.user || req.user._id.toString() !== composition.composer.toString()) {
+        return res.status(403).json({ message: 'This composition is private' });
+      }
+    }
+
+    const revision = await CompositionRevision.findOne({
+      composition: composition._id,
+      revision: parseInt(req.params.rev)
+    })
+      .populate('author', 'username avatar')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Get composition revision error:', error);
+    res.status(500).json({ message: 'Server error while fetching revision' });
+  }
+});
+
+// @route   POST /api/compositions/:id/revisions/:rev/restore
+// @desc    Restore a composition to an earlier revision (only by creator or admin)
+// @access  Private
+router.post('/:id/revisions/:rev/restore', [
+  authMiddleware,
+  param('rev').isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const composition = await Composition.findById(req.params.id);
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, composition.composer)) {
+      return res.status(403).json({ message: 'Not authorized to update this composition' });
+    }
+
+    const revision = await CompositionRevision.findOne({
+      composition: composition._id,
+      revision: parseInt(req.params.rev)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // A composition hidden by moderators stays private, whatever the revision says
+    const keepsVisibility = composition.isHidden && !req.user.hasRole('moderator');
+
+    CompositionRevision.TRACKED_FIELDS.forEach(field => {
+      if (field === 'isPublic' && keepsVisibility) return;
+      composition.set(field, revision.snapshot[field]);
+    });
+
+    const changedFields = CompositionRevision.TRACKED_FIELDS.filter(field => composition.isModified(field));
+
+    if (changedFields.length === 0) {
+      return res.status(400).json({ message: 'Composition already matches this revision' });
+    }
+
+    await composition.save();
+
+    const restored = await CompositionRevision.record(composition, req.user._id, changedFields, revision.revision);
+
+    const updatedComposition = await Composition.findById(composition._id)
+      .populate('composer', 'username avatar')
+      .populate('song', 'title artist');
+
+    res.json({
+      message: `Restored revision ${revision.revision}`,
+      revision: restored.revision,
+      composition: updatedComposition
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Restore composition revision error:', error);
+    res.status(500).json({ message: 'Server error while restoring revision' });
+  }
+});
+
 // @route   GET /api/compositions/user/:userId
 // @desc    Get compositions by user
 // @access  Public
@@ -455,4 +1212,54 @@ router.get('/user/:userId', [
   }
 });
 
+// @route   POST /api/compositions/:id/bookmark
+// @desc    Save a composition for later
+// @access  Private
+router.post('/:id/bookmark', authMiddleware, async (req, res) => {
+  try {
+    const composition = await Composition.findById(req.params.id).select('composer isPublic');
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!composition.isPublic && composition.composer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'This composition is private' });
+    }
+
+    await Bookmark.add(req.user._id, 'Composition', composition._id);
+
+    res.json({
+      message: 'Composition saved',
+      isBookmarked: true
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Bookmark composition error:', error);
+    res.status(500).json({ message: 'Server error while saving composition' });
+  }
+});
+
+// @route   DELETE /api/compositions/:id/bookmark
+// @desc    Remove a composition from saved items
+// @access  Private
+router.delete('/:id/bookmark', authMiddleware, async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, targetType: 'Composition', target: req.params.id });
+
+    res.json({
+      message: 'Composition removed from saved items',
+      isBookmarked: false
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid composition ID' });
+    }
+    console.error('Remove composition bookmark error:', error);
+    res.status(500).json({ message: 'Server error while removing saved composition' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Composition = require('../models/Composition');
+const Song = require('../models/Song');
+const { resolveToken } = require('../middleware/auth');
+const { addClient } = require('../utils/realtime');
+
+const router = express.Router();
+
+const CHANNEL_TYPES = ['composition', 'song'];
+const MAX_CHANNELS = 20;
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of live updates. Subscribe with
+//          ?channels=composition:<id>,song:<id>. EventSource cannot send
+//          headers, so the JWT may also be passed as ?token=
+// @access  Public (personal events need a token)
+router.get('/', async (req, res) => {
+  try {
+    let user = null;
+    let session = null;
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+
+    if (token) {
+      try {
+        ({ user, session } = await resolveToken(token));
+      } catch (error) {
+        return res.status(401).json({
+          message: error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+        });
+      }
+
+      if (!user) {
+        return res.status(401).json({ message: 'Token is not valid' });
+      }
+    }
+
+    const channels = [...new Set(String(req.query.channels || '')
+      .split(',')
+      .map(channel => channel.trim())
+      .filter(Boolean))];
+
+    if (channels.length > MAX_CHANNELS) {
+      return res.status(400).json({ message: `Cannot subscribe to more than ${MAX_CHANNELS} channels` });
+    }
+
+    for (const channel of channels) {
+      const [type, id] = channel.split(':');
+
+      if (!CHANNEL_TYPES.includes(type) || !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid channel "${channel}"` });
+      }
+
+      if (type === 'composition') {
+        const composition = await Composition.findById(id).select('composer isPublic');
+        if (!composition) {
+          return res.status(404).json({ message: 'Composition not found' });
+        }
+        if (!composition.isPublic && (!user || user._id.toString() !== composition.composer.toString())) {
+          return res.status(403).json({ message: 'This composition is private' });
+        }
+      } else if (!(await Song.exists({ _id: id, isHidden: { $ne: true } }))) {
+        return res.status(404).json({ message: 'Song not found' });
+      }
+    }
+
+    // The stream ends when its session is revoked; see AuthSession
+    addClient(req, res, { user, session, channels });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error while opening event stream' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Follow = require('../models/Follow');
+const Composition = require('../models/Composition');
+const Song = require('../models/Song');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Cursors point just past the last item returned, ordered by createdAt then _id
+const encodeCursor = (item) => Buffer.from(JSON.stringify({
+  createdAt: item.createdAt.getTime(),
+  id: item._id.toString()
+})).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(createdAt) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { createdAt: new Date(createdAt), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+const beforeCursor = (cursor) => (cursor ? {
+  $or: [
+    { createdAt: { $lt: cursor.createdAt } },
+    { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+  ]
+} : {});
+
+const compareNewestFirst = (a, b) => (b.createdAt - a.createdAt) ||
+  b._id.toString().localeCompare(a._id.toString());
+
+// @route   GET /api/feed
+// @desc    Get new compositions and songs from followed users and songs
+// @access  Private
+router.get('/', [
+  authMiddleware,
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Invalid feed cursor' });
+    }
+
+    const follows = await Follow.find({ follower: req.user._id }).lean();
+    const followedUsers = follows.filter(follow => follow.targetType === 'User').map(follow => follow.target);
+    const followedSongs = follows.filter(follow => follow.targetType === 'Song').map(follow => follow.target);
+
+    if (follows.length === 0) {
+      return res.json({ items: [], nextCursor: null, hasNext: false, following: 0 });
+    }
+
+    // Fetch one extra of each kind so we know whether another page exists
+    const compositions = await Composition.find({
+      ...beforeCursor(cursor),
+      isPublic: true,
+      composer: { $ne: req.user._id },
+      song: { $nin: await Song.hiddenIds() },
+      $and: [{ $or: [{ composer: { $in: followedUsers } }, { song: { $in: followedSongs } }] }]
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('song', 'title artist genre')
+      .populate('composer', 'username avatar')
+      .lean();
+
+    const songs = followedUsers.length > 0
+      ? await Song.find({ ...beforeCursor(cursor), addedBy: { $in: followedUsers }, isHidden: { $ne: true }, reviewStatus: { $ne: 'duplicate' } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('addedBy', 'username avatar')
+        .lean()
+      : [];
+
+    const followedUserIds = new Set(followedUsers.map(id => id.toString()));
+
+    const merged = [
+      ...compositions.map(composition => ({
+        type: 'composition',
+        reason: followedUserIds.has(composition.composer?._id.toString()) ? 'user' : 'song',
+        createdAt: composition.createdAt,
+        _id: composition._id,
+        composition
+      })),
+      ...songs.map(song => ({
+        type: 'song',
+        reason: 'user',
+        createdAt: song.createdAt,
+        _id: song._id,
+        song
+      }))
+    ].sort(compareNewestFirst);
+
+    const page = merged.slice(0, limit);
+    const hasNext = merged.length > limit;
+
+    res.json({
+      items: page.map(({ _id, ...item }) => item),
+      nextCursor: hasNext ? encodeCursor(page[page.length - 1]) : null,
+      hasNext,
+      following: follows.length
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error while fetching feed' });
+  }
+});
+
+module.exports = router;
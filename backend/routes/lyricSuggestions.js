@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const LyricSuggestion = require('../models/LyricSuggestion');
+const Song = require('../models/Song');
+const Annotation = require('../models/Annotation');
+const Notification = require('../models/Notification');
+const { authMiddleware, optionalAuth, canManage } = require('../middleware/auth');
+const { createPatch, applyPatch } = require('../utils/diff');
+const { timingFits } = require('../utils/lrc');
+
+// Mounted at /api/songs/:id/suggestions
+const router = express.Router({ mergeParams: true });
+
+// The song's owner, admins and moderators decide on suggestions
+const canReview = (user, song) => canManage(user, song.addedBy) || user.hasRole('moderator');
+
+// A suggestion with its merge against the song's current lyrics
+const withMergeState = (suggestion, song) => {
+  const isStale = suggestion.baseVersion !== LyricSuggestion.versionOf(song.officialLyrics);
+  const result = { ...suggestion, isStale };
+
+  if (suggestion.status === 'pending' && isStale) {
+    result.conflicts = applyPatch(song.officialLyrics, suggestion.hunks).conflicts.length;
+  }
+
+  return result;
+};
+
+const findSong = (id) => Song.findById(id).select('title officialLyrics syncedLyrics addedBy isHidden reviewStatus lyricContributors');
+
+// @route   GET /api/songs/:id/suggestions
+// @desc    Get suggested lyric edits for a song
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'all']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await findSong(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const status = req.query.status || 'pending';
+    const filter = { song: song._id };
+    if (status !== 'all') filter.status = status;
+
+    const suggestions = await LyricSuggestion.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('author', 'username avatar')
+      .populate('reviewedBy', 'username')
+      .lean();
+
+    res.json({
+      suggestions: suggestions.map(suggestion => withMergeState(suggestion, song)),
+      canReview: !!req.user && canReview(req.user, song)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Get lyric suggestions error:', error);
+    res.status(500).json({ message: 'Server error while fetching suggestions' });
+  }
+});
+
+// @route   POST /api/songs/:id/suggestions
+// @desc    Suggest an edit to a song's official lyrics
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  body('lyrics').trim().notEmpty().withMessage('Lyrics cannot be empty'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await findSong(req.params.id);
+
+    if (!song || song.isHidden || song.reviewStatus === 'duplicate') {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const hunks = createPatch(song.officialLyrics, req.body.lyrics);
+    if (hunks.length === 0) {
+      return res.status(400).json({ message: 'The suggested lyrics are the same as the current lyrics' });
+    }
+
+    const suggestion = await LyricSuggestion.create({
+      song: song._id,
+      author: req.user._id,
+      message: req.body.message || '',
+      hunks,
+      baseVersion: LyricSuggestion.versionOf(song.officialLyrics)
+    });
+
+    await Notification.notify({
+      recipient: song.addedBy,
+      actor: req.user._id,
+      type: 'lyric_suggestion',
+      song: song._id
+    });
+
+    await suggestion.populate('author', 'username avatar');
+
+    res.status(201).json({
+      message: 'Edit suggested. The song owner will review it.',
+      suggestion
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Create lyric suggestion error:', error);
+    res.status(500).json({ message: 'Server error while suggesting edit' });
+  }
+});
+
+// @route   POST /api/songs/:id/suggestions/:suggestionId/accept
+// @desc    Accept a suggested edit. If the lyrics changed since it was made,
+//          the edit is merged; conflicts return a 409 with the partial merge
+//          unless the reviewer sends their own resolved `lyrics`
+// @access  Private (song owner or moderator)
+router.post('/:suggestionId/accept', [
+  authMiddleware,
+  body('lyrics').optional().trim().notEmpty().withMessage('Lyrics cannot be empty'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await findSong(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    if (!canReview(req.user, song)) {
+      return res.status(403).json({ message: 'Not authorized to review suggestions for this song' });
+    }
+
+    const suggestion = await LyricSuggestion.findOne({ _id: req.params.suggestionId, song: song._id });
+
+    if (!suggestion) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(400).json({ message: `This suggestion was already ${suggestion.status}` });
+    }
+
+    let lyrics = req.body.lyrics;
+
+    if (lyrics === undefined) {
+      const merged = applyPatch(song.officialLyrics, suggestion.hunks);
+
+      if (merged.conflicts.length > 0) {
+        return res.status(409).json({
+          message: 'The lyrics have changed since this edit was suggested and parts of it no longer apply',
+          merged: merged.text,
+          conflicts: merged.conflicts
+        });
+      }
+
+      lyrics = merged.text;
+    }
+
+    const lyricsChanged = lyrics !== song.officialLyrics;
+
+    // LRC timing made for the old lines would no longer match; it has to be
+    // synced again
+    const syncedLyricsCleared = !!song.syncedLyrics && !timingFits(song.officialLyrics, lyrics);
+    if (syncedLyricsCleared) {
+      song.syncedLyrics = '';
+    }
+
+    song.officialLyrics = lyrics;
+    song.lyricContributors.addToSet(suggestion.author);
+    await song.save();
+
+    // Keep annotations attached to their lines
+    if (lyricsChanged) {
+      await Annotation.reanchorForSong(song);
+    }
+
+    suggestion.status = 'accepted';
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = new Date();
+    suggestion.reviewNote = req.body.note || '';
+    suggestion.mergedManually = req.body.lyrics !== undefined;
+    await suggestion.save();
+
+    await Notification.notify({
+      recipient: suggestion.author,
+      actor: req.user._id,
+      type: 'lyric_suggestion_accepted',
+      song: song._id
+    });
+
+    if (syncedLyricsCleared) {
+      await Notification.notify({
+        recipient: song.addedBy,
+        actor: req.user._id,
+        type: 'synced_lyrics_cleared',
+        song: song._id
+      });
+    }
+
+    res.json({
+      message: syncedLyricsCleared
+        ? 'Suggested edit accepted. The synced lyrics no longer matched and were removed; upload new LRC timing.'
+        : 'Suggested edit accepted',
+      suggestion,
+      officialLyrics: song.officialLyrics,
+      syncedLyricsCleared
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid suggestion ID' });
+    }
+    console.error('Accept lyric suggestion error:', error);
+    res.status(500).json({ message: 'Server error while accepting suggestion' });
+  }
+});
+
+// @route   POST /api/songs/:id/suggestions/:suggestionId/reject
+// @desc    Reject a suggested edit
+// @access  Private (song owner or moderator)
+router.post('/:suggestionId/reject', [
+  authMiddleware,
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await findSong(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    if (!canReview(req.user, song)) {
+      return res.status(403).json({ message: 'Not authorized to review suggestions for this song' });
+    }
+
+    const suggestion = await LyricSuggestion.findOne({ _id: req.params.suggestionId, song: song._id });
+
+    if (!suggestion) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(400).json({ message: `This suggestion was already ${suggestion.status}` });
+    }
+
+    suggestion.status = 'rejected';
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = new Date();
+    suggestion.reviewNote = req.body.note || '';
+    await suggestion.save();
+
+    res.json({
+      message: 'Suggested edit rejected',
+      suggestion
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid suggestion ID' });
+    }
+    console.error('Reject lyric suggestion error:', error);
+    res.status(500).json({ message: 'Server error while rejecting suggestion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications
+// @access  Private
+router.get('/', [
+  authMiddleware,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'username avatar')
+      .populate('composition', 'title')
+      .populate('fork', 'title')
+      .populate('song', 'title')
+      .populate('comment', 'body')
+      .lean();
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.unreadCount(req.user._id);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error while fetching notifications' });
+  }
+});
+
+// @route   PATCH /api/notifications
+// @desc    Mark notifications as read (all of them, or the given ids)
+// @access  Private
+router.patch('/', [
+  authMiddleware,
+  body('ids').optional().isArray().withMessage('ids must be an array'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  body('isRead').optional().isBoolean().withMessage('isRead must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const isRead = req.body.isRead !== false;
+    const filter = { recipient: req.user._id, isRead: !isRead };
+    if (req.body.ids) {
+      filter._id = { $in: req.body.ids };
+    }
+
+    const result = await Notification.updateMany(filter, isRead
+      ? { isRead: true, readAt: new Date() }
+      : { isRead: false, $unset: { readAt: 1 } });
+
+    res.json({
+      message: isRead ? 'Notifications marked as read' : 'Notifications marked as unread',
+      modified: result.modifiedCount,
+      unreadCount: await Notification.unreadCount(req.user._id)
+    });
+  } catch (error) {
+    console.error('Update notifications error:', error);
+    res.status(500).json({ message: 'Server error while updating notifications' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id
+// @desc    Mark a single notification as read or unread
+// @access  Private
+router.patch('/:id', [
+  authMiddleware,
+  body('isRead').optional().isBoolean().withMessage('isRead must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    notification.isRead = req.body.isRead !== false;
+    notification.readAt = notification.isRead ? new Date() : undefined;
+    await notification.save();
+
+    res.json({
+      message: 'Notification updated successfully',
+      notification,
+      unreadCount: await Notification.unreadCount(req.user._id)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+    console.error('Update notification error:', error);
+    res.status(500).json({ message: 'Server error while updating notification' });
+  }
+});
+
+module.exports = router;
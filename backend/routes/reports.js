@@ -0,0 +1,69 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   POST /api/reports
+// @desc    Report a song, composition, comment or profile
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  body('targetType').isIn(Object.keys(Report.TARGET_TYPES)).withMessage('targetType must be song, composition, comment or user'),
+  body('target').isMongoId().withMessage('Invalid target ID'),
+  body('reason').isIn(['copyright', 'spam', 'abuse']).withMessage('Reason must be copyright, spam or abuse'),
+  body('details').optional().trim().isLength({ max: 2000 }).withMessage('Details must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const targetType = Report.TARGET_TYPES[req.body.targetType];
+    const target = await mongoose.model(targetType).exists({ _id: req.body.target });
+    if (!target) {
+      return res.status(404).json({ message: 'Reported content not found' });
+    }
+
+    const alreadyReported = await Report.exists({
+      reporter: req.user._id,
+      targetType,
+      target: req.body.target,
+      status: 'open'
+    });
+    if (alreadyReported) {
+      return res.status(400).json({ message: 'You have already reported this' });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      target: req.body.target,
+      reason: req.body.reason,
+      details: req.body.details || ''
+    });
+
+    res.status(201).json({
+      message: 'Report submitted. Thank you for letting us know.',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ message: 'Server error while submitting report' });
+  }
+});
+
+module.exports = router;
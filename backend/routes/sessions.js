@@ -0,0 +1,76 @@
+const express = require('express');
+const AuthSession = require('../models/AuthSession');
+const { authMiddleware } = require('../middleware/auth');
+const { describeUserAgent, isMobileUserAgent } = require('../utils/userAgent');
+
+// Mounted at /api/auth/sessions
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// A session as shown to its owner; token hashes stay on the server
+const toSessionSummary = (session, currentId) => ({
+  _id: session._id,
+  device: describeUserAgent(session.userAgent),
+  isMobile: isMobileUserAgent(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.equals(currentId)
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the devices the current user is logged in on
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .select('userAgent ip createdAt lastSeenAt')
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => toSessionSummary(session, req.authSession._id))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out one device; its tokens stop working straight away
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await AuthSession.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      message: 'Session revoked',
+      current: session._id.equals(req.authSession._id)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+module.exports = router;
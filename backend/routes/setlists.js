@@ -0,0 +1,569 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Setlist = require('../models/Setlist');
+const Composition = require('../models/Composition');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { parseChordPro } = require('../utils/chordpro');
+const { parseKey, prefersFlats, semitonesBetween, transposeKey, transposeContent } = require('../utils/transpose');
+const {
+  EXPORT_FORMATS,
+  EXPORT_FILE_TYPES,
+  setlistToText,
+  setlistToChordPro,
+  setlistToJson,
+  writeSetlistPdf
+} = require('../utils/export');
+
+const router = express.Router();
+
+const KEYS = Composition.schema.path('key').enumValues;
+const VISIBILITIES = ['public', 'private', 'link'];
+const MAX_ITEMS = 100;
+
+const ITEM_POPULATE = {
+  path: 'items.composition',
+  select: 'title type key capo tuning tempo instrument difficulty content notationFormat isPublic composer song',
+  populate: [
+    { path: 'song', select: 'title artist' },
+    { path: 'composer', select: 'username avatar' }
+  ]
+};
+
+// Build a download filename from the setlist title
+const attachmentName = (setlist, extension) => {
+  const slug = setlist.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+  return `${slug || 'setlist'}.${extension}`;
+};
+
+const canUseComposition = (composition, user) => !!composition &&
+  (composition.isPublic || (!!user && (composition.composer._id || composition.composer).toString() === user._id.toString()));
+
+// Play a composition in another key. Sheet music and tabs keep their content
+// since their notes are not chord symbols.
+function applyKeyOverride(composition, targetKey) {
+  const sheet = { ...composition };
+  if (!targetKey) return sheet;
+
+  let originalKey = composition.key || null;
+  if (!originalKey && composition.type === 'chords') {
+    const { meta } = parseChordPro(composition.content);
+    originalKey = parseKey(meta.key) ? transposeKey(meta.key, 0) : null;
+  }
+
+  sheet.key = targetKey;
+
+  const semitones = originalKey ? semitonesBetween(originalKey, targetKey) : null;
+  if (semitones && !composition.notationFormat && composition.type !== 'tabs') {
+    sheet.content = transposeContent(composition.content, semitones, prefersFlats(transposeKey(targetKey, -(composition.capo || 0))));
+  }
+
+  return sheet;
+}
+
+// Shape a populated setlist for a viewer: private or deleted compositions are
+// blanked out, the share token is only shown to the owner, and each item
+// carries its content in the key it will be performed in
+function toSetlistResponse(setlist, user) {
+  const data = setlist.toObject();
+
+  if (!setlist.isOwner(user)) delete data.shareToken;
+
+  data.items = data.items.map(item => {
+    if (!canUseComposition(item.composition, user)) {
+      return { ...item, composition: null, unavailable: true };
+    }
+    const { key, content } = applyKeyOverride(item.composition, item.key);
+    let chordSheet = null;
+    if (item.composition.type === 'chords') {
+      const { meta, sections } = parseChordPro(content);
+      chordSheet = { meta, sections };
+    }
+    return { ...item, performance: { key, content, chordSheet } };
+  });
+
+  return data;
+}
+
+async function findViewableSetlist(req, res) {
+  const setlist = await Setlist.findById(req.params.id)
+    .populate('owner', 'username avatar')
+    .populate(ITEM_POPULATE);
+
+  if (!setlist) {
+    res.status(404).json({ message: 'Setlist not found' });
+    return null;
+  }
+
+  if (!setlist.canView(req.user, req.query.share)) {
+    res.status(403).json({ message: 'This setlist is private' });
+    return null;
+  }
+
+  return setlist;
+}
+
+async function findOwnSetlist(req, res) {
+  const setlist = await Setlist.findById(req.params.id);
+
+  if (!setlist) {
+    res.status(404).json({ message: 'Setlist not found' });
+    return null;
+  }
+
+  if (!setlist.isOwner(req.user)) {
+    res.status(403).json({ message: 'Not authorized to modify this setlist' });
+    return null;
+  }
+
+  return setlist;
+}
+
+async function respondWithSetlist(res, setlist, user, message, status = 200) {
+  const populated = await Setlist.findById(setlist._id)
+    .populate('owner', 'username avatar')
+    .populate(ITEM_POPULATE);
+
+  res.status(status).json({
+    message,
+    setlist: toSetlistResponse(populated, user)
+  });
+}
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const itemValidators = (prefix = '') => [
+  body(`${prefix}key`).optional({ values: 'falsy' }).isIn(KEYS).withMessage('Invalid key'),
+  body(`${prefix}notes`).optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+];
+
+// @route   GET /api/setlists
+// @desc    Get public setlists, or the current user's setlists with ?mine=true
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('mine').optional().isBoolean().withMessage('mine must be a boolean'),
+  query('owner').optional().isMongoId().withMessage('Invalid owner ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let filter;
+    if (req.query.mine === 'true') {
+      if (!req.user) {
+        return res.status(401).json({ message: 'No token provided, authorization denied' });
+      }
+      filter = { owner: req.user._id };
+    } else {
+      filter = { visibility: 'public' };
+      if (req.query.owner) filter.owner = req.query.owner;
+    }
+
+    const setlists = await Setlist.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('owner', 'username avatar')
+      .lean();
+
+    const total = await Setlist.countDocuments(filter);
+
+    res.json({
+      setlists: setlists.map(({ items, shareToken, ...setlist }) => ({
+        ...setlist,
+        ...(req.query.mine === 'true' ? { shareToken } : {}),
+        itemsCount: items.length
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSetlists: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get setlists error:', error);
+    res.status(500).json({ message: 'Server error while fetching setlists' });
+  }
+});
+
+// @route   GET /api/setlists/:id
+// @desc    Get a setlist with its compositions in performance order
+// @access  Public (public setlists), share link (?share=) or owner
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const setlist = await findViewableSetlist(req, res);
+    if (!setlist) return;
+
+    res.json({
+      setlist: toSetlistResponse(setlist, req.user),
+      isOwner: setlist.isOwner(req.user)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Get setlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching setlist' });
+  }
+});
+
+// @route   GET /api/setlists/:id/export
+// @desc    Export a whole setlist as one document, with key overrides applied
+// @access  Public (public setlists), share link (?share=) or owner
+router.get('/:id/export', [
+  optionalAuth,
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const setlist = await findViewableSetlist(req, res);
+    if (!setlist) return;
+
+    const items = setlist.items
+      .filter(item => canUseComposition(item.composition, req.user))
+      .map(item => ({
+        composition: applyKeyOverride(item.composition.toObject(), item.key),
+        notes: item.notes
+      }));
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'This setlist has no compositions to export' });
+    }
+
+    const format = req.query.format || 'pdf';
+    const fileType = EXPORT_FILE_TYPES[format];
+
+    res.set({
+      'Content-Type': fileType.contentType,
+      'Content-Disposition': `attachment; filename="${attachmentName(setlist, fileType.extension)}"`
+    });
+
+    if (format === 'pdf') {
+      return writeSetlistPdf(setlist, items, res);
+    }
+
+    if (format === 'json') {
+      return res.send(JSON.stringify(setlistToJson(setlist, items), null, 2));
+    }
+
+    res.send(format === 'chordpro' ? setlistToChordPro(setlist, items) : setlistToText(setlist, items));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Export setlist error:', error);
+    res.status(500).json({ message: 'Server error while exporting setlist' });
+  }
+});
+
+// @route   POST /api/setlists
+// @desc    Create a setlist
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('visibility').optional().isIn(VISIBILITIES).withMessage('Visibility must be public, private or link'),
+  body('items').optional().isArray({ max: MAX_ITEMS }).withMessage(`Items must be an array of at most ${MAX_ITEMS}`),
+  body('items.*.composition').isMongoId().withMessage('Valid composition ID is required'),
+  ...itemValidators('items.*.')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const items = req.body.items || [];
+    const compositions = await Composition.find({ _id: { $in: items.map(item => item.composition) } })
+      .select('composer isPublic');
+    const usable = new Set(compositions
+      .filter(composition => canUseComposition(composition, req.user))
+      .map(composition => composition._id.toString()));
+
+    if (items.some(item => !usable.has(String(item.composition)))) {
+      return res.status(400).json({ message: 'Setlists can only contain public compositions or your own' });
+    }
+
+    const setlist = new Setlist({
+      owner: req.user._id,
+      title: req.body.title,
+      description: req.body.description,
+      visibility: req.body.visibility,
+      items: items.map(({ composition, key, notes }) => ({ composition, key: key || undefined, notes }))
+    });
+
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Setlist created successfully', 201);
+  } catch (error) {
+    console.error('Create setlist error:', error);
+    res.status(500).json({ message: 'Server error while creating setlist' });
+  }
+});
+
+// @route   PUT /api/setlists/:id
+// @desc    Update setlist details and sharing (only by owner)
+// @access  Private
+router.put('/:id', [
+  authMiddleware,
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty').isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('visibility').optional().isIn(VISIBILITIES).withMessage('Visibility must be public, private or link'),
+  body('regenerateShareLink').optional().isBoolean().withMessage('regenerateShareLink must be a boolean')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    ['title', 'description', 'visibility'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        setlist[field] = req.body[field];
+      }
+    });
+
+    // Revokes the old link for anyone who had it
+    if (req.body.regenerateShareLink === true) {
+      setlist.regenerateShareToken();
+    }
+
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Setlist updated successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Update setlist error:', error);
+    res.status(500).json({ message: 'Server error while updating setlist' });
+  }
+});
+
+// @route   DELETE /api/setlists/:id
+// @desc    Delete a setlist (only by owner)
+// @access  Private
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    await Setlist.findByIdAndDelete(setlist._id);
+
+    res.json({ message: 'Setlist deleted successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Delete setlist error:', error);
+    res.status(500).json({ message: 'Server error while deleting setlist' });
+  }
+});
+
+// @route   POST /api/setlists/:id/items
+// @desc    Add a composition to a setlist, at the end or at a given position
+// @access  Private
+router.post('/:id/items', [
+  authMiddleware,
+  body('composition').isMongoId().withMessage('Valid composition ID is required'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  ...itemValidators()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    if (setlist.items.length >= MAX_ITEMS) {
+      return res.status(400).json({ message: `Setlists can hold at most ${MAX_ITEMS} compositions` });
+    }
+
+    const composition = await Composition.findById(req.body.composition).select('composer isPublic');
+
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+
+    if (!canUseComposition(composition, req.user)) {
+      return res.status(403).json({ message: 'This composition is private' });
+    }
+
+    const item = {
+      composition: composition._id,
+      key: req.body.key || undefined,
+      notes: req.body.notes
+    };
+    const position = req.body.position !== undefined
+      ? Math.min(req.body.position, setlist.items.length)
+      : setlist.items.length;
+
+    setlist.items.splice(position, 0, item);
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Composition added to setlist', 201);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Add setlist item error:', error);
+    res.status(500).json({ message: 'Server error while adding to setlist' });
+  }
+});
+
+// @route   PUT /api/setlists/:id/items/:itemId
+// @desc    Change an item's key override or notes
+// @access  Private
+router.put('/:id/items/:itemId', [
+  authMiddleware,
+  body('key').optional({ nullable: true }).custom(value => value === '' || KEYS.includes(value)).withMessage('Invalid key'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    const item = setlist.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Setlist item not found' });
+    }
+
+    // An empty or null key clears the override
+    if (req.body.key !== undefined) {
+      item.key = req.body.key || undefined;
+    }
+    if (req.body.notes !== undefined) {
+      item.notes = req.body.notes;
+    }
+
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Setlist item updated successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist item ID' });
+    }
+    console.error('Update setlist item error:', error);
+    res.status(500).json({ message: 'Server error while updating setlist item' });
+  }
+});
+
+// @route   DELETE /api/setlists/:id/items/:itemId
+// @desc    Remove an item from a setlist
+// @access  Private
+router.delete('/:id/items/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    const item = setlist.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Setlist item not found' });
+    }
+
+    item.deleteOne();
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Composition removed from setlist');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist item ID' });
+    }
+    console.error('Remove setlist item error:', error);
+    res.status(500).json({ message: 'Server error while removing from setlist' });
+  }
+});
+
+// @route   PUT /api/setlists/:id/reorder
+// @desc    Reorder a setlist; takes every item ID in the new performance order
+// @access  Private
+router.put('/:id/reorder', [
+  authMiddleware,
+  body('order').isArray().withMessage('Order must be an array of item IDs'),
+  body('order.*').isMongoId().withMessage('Invalid setlist item ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const setlist = await findOwnSetlist(req, res);
+    if (!setlist) return;
+
+    const order = req.body.order.map(String);
+    const current = setlist.items.map(item => item._id.toString());
+
+    if (order.length !== current.length || new Set(order).size !== order.length ||
+        order.some(id => !current.includes(id))) {
+      return res.status(400).json({ message: 'Order must list every setlist item exactly once' });
+    }
+
+    const byId = new Map(setlist.items.map(item => [item._id.toString(), item.toObject()]));
+    setlist.items = order.map(id => byId.get(id));
+    await setlist.save();
+
+    await respondWithSetlist(res, setlist, req.user, 'Setlist reordered successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Reorder setlist error:', error);
+    res.status(500).json({ message: 'Server error while reordering setlist' });
+  }
+});
+
+// @route   POST /api/setlists/:id/duplicate
+// @desc    Copy a setlist you can view into a new private setlist of your own
+// @access  Private
+router.post('/:id/duplicate', [
+  authMiddleware,
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty').isLength({ max: 200 }).withMessage('Title must be less than 200 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const original = await findViewableSetlist(req, res);
+    if (!original) return;
+
+    // Compositions the new owner cannot see are left out of the copy
+    const copy = new Setlist({
+      owner: req.user._id,
+      title: req.body.title || `${original.title} (copy)`.slice(0, 200),
+      description: original.description,
+      visibility: 'private',
+      items: original.items
+        .filter(item => canUseComposition(item.composition, req.user))
+        .map(item => ({ composition: item.composition._id, key: item.key, notes: item.notes }))
+    });
+
+    await copy.save();
+
+    await respondWithSetlist(res, copy, req.user, 'Setlist duplicated successfully', 201);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid setlist ID' });
+    }
+    console.error('Duplicate setlist error:', error);
+    res.status(500).json({ message: 'Server error while duplicating setlist' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,79 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Song = require('../models/Song');
 const Composition = require('../models/Composition');
-const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const Annotation = require('../models/Annotation');
+const AnnotationVote = require('../models/AnnotationVote');
+const Follow = require('../models/Follow');
+const Bookmark = require('../models/Bookmark');
+const SongReview = require('../models/SongReview');
+const LyricSuggestion = require('../models/LyricSuggestion');
+const Notification = require('../models/Notification');
+const ModerationAction = require('../models/ModerationAction');
+const { parseLrc, formatLrc, timingFits } = require('../utils/lrc');
+const { normalizeSongField, lyricsFingerprint, rankSongMatches } = require('../utils/songMatch');
+const { authMiddleware, optionalAuth, requireRole, canManage } = require('../middleware/auth');
 
 const router = express.Router();
 
+const LYRICS_FORMATS = ['text', 'lrc', 'json'];
+
+const toLrcErrors = (lrcErrors) => lrcErrors.map(err => ({
+  type: 'field',
+  msg: `Line ${err.line}: ${err.message}`,
+  path: 'lrc',
+  location: 'body',
+  line: err.line
+}));
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// Existing songs that a submission probably duplicates, best match first.
+// The text index on title and artist narrows the field, and the lyrics
+// fingerprint adds the same lyrics under another name; each candidate is
+// then scored on title, artist and lyrics.
+const findDuplicateCandidates = async (submitted) => {
+  const terms = `${normalizeSongField(submitted.title)} ${normalizeSongField(submitted.artist)}`.trim();
+  const fingerprint = lyricsFingerprint(submitted.officialLyrics);
+  const fields = { title: 1, artist: 1, album: 1, officialLyrics: 1, isVerified: 1, compositionsCount: 1 };
+
+  const [byName, byLyrics] = await Promise.all([
+    terms
+      ? Song.find(
+        { $text: { $search: terms }, reviewStatus: { $ne: 'duplicate' } },
+        { ...fields, score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(50)
+        .lean()
+      : [],
+    fingerprint
+      ? Song.find({ lyricsFingerprint: fingerprint, reviewStatus: { $ne: 'duplicate' } }, fields)
+        .limit(20)
+        .lean()
+      : []
+  ]);
+
+  const seen = new Set(byName.map(song => song._id.toString()));
+  const songs = [...byName, ...byLyrics.filter(song => !seen.has(song._id.toString()))];
+
+  return rankSongMatches(submitted, songs).map(({ song, match }) => ({
+    song: {
+      _id: song._id,
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      isVerified: song.isVerified,
+      compositionsCount: song.compositionsCount
+    },
+    score: roundScore(match.score),
+    matches: {
+      title: roundScore(match.title),
+      artist: roundScore(match.artist),
+      lyrics: roundScore(match.lyrics)
+    }
+  }));
+};
+
 // @route   GET /api/songs
 // @desc    Get all songs with filtering and search
 // @access  Public
@@ -16,6 +85,7 @@ router.get('/', [
   query('genre').optional().trim(),
   query('instrument').optional().trim(),
   query('language').optional().trim(),
+  query('verified').optional().isBoolean().withMessage('verified must be a boolean'),
   query('sortBy').optional().isIn(['createdAt', 'title', 'artist', 'views', 'compositionsCount']).withMessage('Invalid sort field')
 ], async (req, res) => {
   try {
@@ -31,8 +101,9 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
+    // Build filter object; songs hidden by moderators or merged into
+    // another song as duplicates are left out
+    const filter = { isHidden: { $ne: true }, reviewStatus: { $ne: 'duplicate' } };
     
     if (req.query.genre) {
       filter.genre = req.query.genre;
@@ -46,6 +117,10 @@ router.get('/', [
       filter.language = req.query.language;
     }
 
+    if (req.query.verified !== undefined) {
+      filter.isVerified = req.query.verified === 'true';
+    }
+
     // Build search query
     let query = Song.find(filter);
     
@@ -92,7 +167,7 @@ router.get('/trending', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     
-    const songs = await Song.find()
+    const songs = await Song.find({ isHidden: { $ne: true }, reviewStatus: { $ne: 'duplicate' } })
       .sort({ views: -1, compositionsCount: -1, createdAt: -1 })
       .limit(limit)
       .populate('addedBy', 'username avatar')
@@ -105,31 +180,108 @@ router.get('/trending', async (req, res) => {
   }
 });
 
+// @route   GET /api/songs/submissions
+// @desc    Get songs waiting for review
+// @access  Private (editor)
+router.get('/submissions', [
+  authMiddleware,
+  requireRole('editor'),
+  query('status').optional().isIn(['pending', 'changes_requested']).withMessage('Status must be pending or changes_requested'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Songs added before reviews existed have no status and count as pending
+    const status = req.query.status || 'pending';
+    const filter = {
+      isHidden: { $ne: true },
+      reviewStatus: status === 'pending' ? { $in: ['pending', null] } : status
+    };
+
+    // Oldest submissions first
+    const songs = await Song.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-officialLyrics -syncedLyrics')
+      .populate('addedBy', 'username avatar')
+      .lean();
+
+    const total = await Song.countDocuments(filter);
+
+    res.json({
+      songs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSongs: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get song submissions error:', error);
+    res.status(500).json({ message: 'Server error while fetching submissions' });
+  }
+});
+
 // @route   GET /api/songs/:id
 // @desc    Get single song with compositions
 // @access  Public
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const song = await Song.findById(req.params.id)
-      .populate('addedBy', 'username avatar joinDate');
+      .populate('addedBy', 'username avatar joinDate')
+      .populate('lyricContributors', 'username avatar');
 
     if (!song) {
       return res.status(404).json({ message: 'Song not found' });
     }
 
+    // Hidden songs stay visible to their owner and to moderators
+    if (song.isHidden && !(req.user && (canManage(req.user, song.addedBy) || req.user.hasRole('moderator')))) {
+      return res.status(403).json({ message: 'This song has been removed by moderators' });
+    }
+
     // Increment views
     song.views += 1;
     await song.save();
 
-    // Get compositions for this song
-    const compositions = await Composition.find({ song: song._id })
+    // Get compositions for this song: private and hidden ones only for their
+    // composer, or for moderators
+    const compositionFilter = { song: song._id };
+    if (!req.user?.hasRole('moderator')) {
+      const visible = { isPublic: true, isHidden: { $ne: true } };
+      compositionFilter.$or = req.user ? [visible, { composer: req.user._id }] : [visible];
+    }
+
+    const compositions = await Composition.find(compositionFilter)
       .populate('composer', 'username avatar')
       .sort({ likes: -1, createdAt: -1 })
       .lean();
 
+    const isFollowing = req.user
+      ? !!(await Follow.exists({ follower: req.user._id, targetType: 'Song', target: song._id }))
+      : false;
+    const isBookmarked = await Bookmark.isBookmarked(req.user, 'Song', song._id);
+
     res.json({
       song: song.toObject(),
-      compositions
+      compositions,
+      isFollowing,
+      isBookmarked
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -141,7 +293,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // @route   POST /api/songs
-// @desc    Add a new song
+// @desc    Add a new song; likely duplicates are returned with a 409 unless
+//          force=true is passed (in the query or body)
 // @access  Private
 router.post('/', [
   authMiddleware,
@@ -153,7 +306,9 @@ router.post('/', [
   body('instruments').isArray().withMessage('Instruments must be an array'),
   body('officialLyrics').trim().notEmpty().withMessage('Official lyrics are required'),
   body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive number'),
-  body('releaseYear').optional().isInt({ min: 1900 }).withMessage('Release year must be valid')
+  body('releaseYear').optional().isInt({ min: 1900 }).withMessage('Release year must be valid'),
+  body('force').optional().isBoolean().withMessage('force must be a boolean').toBoolean(),
+  query('force').optional().isBoolean().withMessage('force must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -164,18 +319,23 @@ router.post('/', [
       });
     }
 
-    // Check if song already exists
-    const existingSong = await Song.findOne({
-      title: new RegExp(`^${req.body.title}$`, 'i'),
-      artist: new RegExp(`^${req.body.artist}$`, 'i')
-    });
-
-    if (existingSong) {
-      return res.status(400).json({ message: 'Song already exists' });
+    // Check whether the song already exists
+    const skipDuplicateCheck = req.body.force === true || req.query.force === 'true';
+    if (!skipDuplicateCheck) {
+      const candidates = await findDuplicateCandidates(req.body);
+      if (candidates.length > 0) {
+        return res.status(409).json({
+          message: 'This song may already exist',
+          candidates
+        });
+      }
     }
 
+    // New songs go into the review queue; only editors' decisions set these
+    const { isVerified, reviewStatus, duplicateOf, force, ...fields } = req.body;
+
     const song = new Song({
-      ...req.body,
+      ...fields,
       addedBy: req.user._id
     });
 
@@ -219,28 +379,69 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Song not found' });
     }
 
-    // Check if user is the creator
-    if (song.addedBy.toString() !== req.user._id.toString()) {
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, song.addedBy)) {
       return res.status(403).json({ message: 'Not authorized to update this song' });
     }
 
-    // Update allowed fields
+    // Update allowed fields; verification goes through POST /:id/review
     const allowedUpdates = ['title', 'artist', 'album', 'genre', 'language', 'instruments', 'officialLyrics', 'duration', 'releaseYear', 'coverImage', 'tags'];
-    
+    const previousLyrics = song.officialLyrics;
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         song[field] = req.body[field];
       }
     });
 
+    // Addressing requested changes puts the song back in the review queue
+    if (song.reviewStatus === 'changes_requested' && allowedUpdates.some(field => song.isModified(field))) {
+      song.reviewStatus = 'pending';
+    }
+
+    const lyricsChanged = song.isModified('officialLyrics');
+
+    // LRC timing made for the old lines would no longer match
+    const syncedLyricsCleared = lyricsChanged && !!song.syncedLyrics && !timingFits(previousLyrics, song.officialLyrics);
+    if (syncedLyricsCleared) {
+      song.syncedLyrics = '';
+    }
+
+    // Shortening the song must not leave timed lyrics past its end
+    if (song.isModified('duration') && song.syncedLyrics) {
+      const synced = parseLrc(song.syncedLyrics, { duration: song.duration });
+      if (synced.errors.length > 0) {
+        return res.status(400).json({
+          message: 'Synced lyrics run past the new duration',
+          errors: toLrcErrors(synced.errors)
+        });
+      }
+    }
+
     await song.save();
 
+    // Keep annotations attached to their lines after lyric edits
+    if (lyricsChanged) {
+      await Annotation.reanchorForSong(song);
+    }
+
+    if (syncedLyricsCleared) {
+      await Notification.notify({
+        recipient: song.addedBy,
+        actor: req.user._id,
+        type: 'synced_lyrics_cleared',
+        song: song._id
+      });
+    }
+
     const updatedSong = await Song.findById(song._id)
       .populate('addedBy', 'username avatar');
 
     res.json({
-      message: 'Song updated successfully',
-      song: updatedSong
+      message: syncedLyricsCleared
+        ? 'Song updated successfully. The synced lyrics no longer matched and were removed; upload new LRC timing.'
+        : 'Song updated successfully',
+      song: updatedSong,
+      syncedLyricsCleared
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -262,13 +463,29 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Song not found' });
     }
 
-    // Check if user is the creator
-    if (song.addedBy.toString() !== req.user._id.toString()) {
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, song.addedBy)) {
       return res.status(403).json({ message: 'Not authorized to delete this song' });
     }
 
-    // Delete all compositions for this song
-    await Composition.deleteMany({ song: song._id });
+    // Delete all compositions for this song with everything that belongs to them
+    const compositions = await Composition.find({ song: song._id }).select('forkedFrom');
+    for (const composition of compositions) {
+      await Composition.deleteWithRelated(composition);
+    }
+
+    // Delete annotations and their votes
+    const annotationIds = await Annotation.find({ song: song._id }).distinct('_id');
+    await AnnotationVote.deleteMany({ annotation: { $in: annotationIds } });
+    await Annotation.deleteMany({ song: song._id });
+
+    // Delete follows and bookmarks of this song
+    await Follow.deleteMany({ targetType: 'Song', target: song._id });
+    await Bookmark.deleteMany({ targetType: 'Song', target: song._id });
+
+    // Delete its review history and suggested lyric edits
+    await SongReview.deleteMany({ song: song._id });
+    await LyricSuggestion.deleteMany({ song: song._id });
 
     // Delete the song
     await Song.findByIdAndDelete(req.params.id);
@@ -283,6 +500,148 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/songs/:id/reviews
+// @desc    Get the review decisions made on a song
+// @access  Public
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('reviewStatus isVerified duplicateOf');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const reviews = await SongReview.find({ song: song._id })
+      .sort({ createdAt: -1 })
+      .populate('reviewer', 'username avatar')
+      .populate('duplicateOf', 'title artist')
+      .lean();
+
+    res.json({
+      reviewStatus: song.reviewStatus,
+      isVerified: song.isVerified,
+      duplicateOf: song.duplicateOf,
+      reviews
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Get song reviews error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// @route   POST /api/songs/:id/review
+// @desc    Approve a song, request changes, or mark it as a duplicate of
+//          another song and move its compositions there. Approving verifies
+//          the song; other decisions only remove the badge with unverify.
+// @access  Private (editor)
+router.post('/:id/review', [
+  authMiddleware,
+  requireRole('editor'),
+  body('decision').isIn(SongReview.DECISIONS).withMessage(`Decision must be one of: ${SongReview.DECISIONS.join(', ')}`),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+    .isLength({ max: 1000 }).withMessage('Reason must be less than 1000 characters'),
+  body('duplicateOf').if(body('decision').equals('duplicate'))
+    .isMongoId().withMessage('duplicateOf must be the ID of the original song'),
+  body('unverify').optional().isBoolean().withMessage('unverify must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await Song.findById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    if (song.reviewStatus === 'duplicate') {
+      return res.status(400).json({ message: 'This song has already been merged into another song' });
+    }
+
+    const { decision, reason } = req.body;
+    const review = new SongReview({ song: song._id, reviewer: req.user._id, decision, reason });
+
+    if (decision === 'duplicate') {
+      const original = await Song.findById(req.body.duplicateOf);
+
+      if (!original || original.reviewStatus === 'duplicate') {
+        return res.status(404).json({ message: 'Original song not found' });
+      }
+      if (original._id.equals(song._id)) {
+        return res.status(400).json({ message: 'A song cannot be a duplicate of itself' });
+      }
+
+      // Move compositions to the original, then recount both songs
+      const merged = await Composition.updateMany({ song: song._id }, { song: original._id });
+      await original.updateCompositionsCount();
+
+      song.duplicateOf = original._id;
+      song.compositionsCount = 0;
+      review.duplicateOf = original._id;
+      review.mergedCompositions = merged.modifiedCount;
+    }
+
+    song.reviewStatus = SongReview.STATUS_FOR_DECISION[decision];
+    if (decision === 'approve') {
+      song.isVerified = true;
+    } else if (req.body.unverify) {
+      song.isVerified = false;
+    }
+    await song.save();
+    await review.save();
+
+    await ModerationAction.record({
+      moderator: req.user._id,
+      action: 'review',
+      targetType: 'Song',
+      target: song._id,
+      targetOwner: song.addedBy,
+      reason,
+      details: {
+        decision,
+        isVerified: song.isVerified,
+        ...(review.duplicateOf && { duplicateOf: review.duplicateOf, mergedCompositions: review.mergedCompositions })
+      }
+    });
+
+    await Notification.notify({
+      recipient: song.addedBy,
+      actor: req.user._id,
+      type: 'song_review',
+      song: song._id,
+      reviewDecision: decision
+    });
+
+    const populatedReview = await SongReview.findById(review._id)
+      .populate('reviewer', 'username avatar')
+      .populate('duplicateOf', 'title artist');
+
+    res.json({
+      message: {
+        approve: 'Song approved',
+        request_changes: 'Changes requested',
+        duplicate: 'Song merged into the original'
+      }[decision],
+      song,
+      review: populatedReview
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Review song error:', error);
+    res.status(500).json({ message: 'Server error while reviewing song' });
+  }
+});
+
 // @route   GET /api/songs/:id/stats
 // @desc    Get song statistics
 // @access  Public
@@ -344,4 +703,271 @@ router.get('/:id/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/songs/:id/lyrics
+// @desc    Get song lyrics as plain text, LRC or parsed timing
+// @access  Public
+router.get('/:id/lyrics', [
+  query('format').optional().isIn(LYRICS_FORMATS).withMessage(`Format must be one of: ${LYRICS_FORMATS.join(', ')}`),
+  query('download').optional().isBoolean().withMessage('download must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await Song.findById(req.params.id).select('title artist album duration officialLyrics syncedLyrics isHidden');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    if (song.isHidden) {
+      return res.status(403).json({ message: 'This song has been removed by moderators' });
+    }
+
+    const format = req.query.format || 'text';
+
+    if (format !== 'text' && !song.syncedLyrics) {
+      return res.status(404).json({ message: 'This song has no synced lyrics' });
+    }
+
+    if (format === 'json') {
+      const { meta, lines } = parseLrc(song.syncedLyrics);
+      return res.json({ songId: song._id, duration: song.duration, meta, lines });
+    }
+
+    const body = format === 'lrc' ? song.syncedLyrics : song.officialLyrics;
+    const slug = song.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'lyrics';
+
+    res.type('text/plain; charset=utf-8');
+    if (req.query.download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="${slug}.${format === 'lrc' ? 'lrc' : 'txt'}"`);
+    }
+    res.send(body);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Get lyrics error:', error);
+    res.status(500).json({ message: 'Server error while fetching lyrics' });
+  }
+});
+
+// @route   PUT /api/songs/:id/lyrics/sync
+// @desc    Upload LRC timing for a song's lyrics; the timed lines must sing the
+//          official lyrics in order (only by creator or admin)
+// @access  Private
+router.put('/:id/lyrics/sync', [
+  authMiddleware,
+  body('lrc').isString().withMessage('LRC text is required').bail().trim().notEmpty().withMessage('LRC text is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const song = await Song.findById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, song.addedBy)) {
+      return res.status(403).json({ message: 'Not authorized to update this song' });
+    }
+
+    const parsed = parseLrc(req.body.lrc, { duration: song.duration, lyrics: song.officialLyrics });
+
+    if (parsed.errors.length === 0 && parsed.lines.length === 0) {
+      parsed.errors.push({ line: 1, message: 'No timed lyric lines found' });
+    }
+
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid LRC timing',
+        errors: toLrcErrors(parsed.errors)
+      });
+    }
+
+    song.syncedLyrics = formatLrc(parsed);
+    await song.save();
+
+    res.json({
+      message: 'Synced lyrics saved successfully',
+      lines: parsed.lines,
+      syncedLyrics: song.syncedLyrics
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Save synced lyrics error:', error);
+    res.status(500).json({ message: 'Server error while saving synced lyrics' });
+  }
+});
+
+// @route   DELETE /api/songs/:id/lyrics/sync
+// @desc    Remove LRC timing from a song (only by creator or admin)
+// @access  Private
+router.delete('/:id/lyrics/sync', authMiddleware, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    // Check if user is the creator or an admin
+    if (!canManage(req.user, song.addedBy)) {
+      return res.status(403).json({ message: 'Not authorized to update this song' });
+    }
+
+    song.syncedLyrics = '';
+    await song.save();
+
+    res.json({ message: 'Synced lyrics removed successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Remove synced lyrics error:', error);
+    res.status(500).json({ message: 'Server error while removing synced lyrics' });
+  }
+});
+
+// @route   POST /api/songs/:id/follow
+// @desc    Follow a song to see its new compositions in the feed
+// @access  Private
+router.post('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('_id');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    const existingFollow = await Follow.findOne({
+      follower: req.user._id,
+      targetType: 'Song',
+      target: song._id
+    });
+
+    if (!existingFollow) {
+      await new Follow({
+        follower: req.user._id,
+        targetType: 'Song',
+        target: song._id
+      }).save();
+    }
+
+    const updatedSong = await Song.findById(song._id).select('followersCount');
+
+    res.json({
+      message: 'Song followed successfully',
+      isFollowing: true,
+      followersCount: updatedSong.followersCount
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Follow song error:', error);
+    res.status(500).json({ message: 'Server error while following song' });
+  }
+});
+
+// @route   DELETE /api/songs/:id/follow
+// @desc    Unfollow a song
+// @access  Private
+router.delete('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('_id');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    await Follow.findOneAndDelete({
+      follower: req.user._id,
+      targetType: 'Song',
+      target: song._id
+    });
+
+    const updatedSong = await Song.findById(song._id).select('followersCount');
+
+    res.json({
+      message: 'Song unfollowed successfully',
+      isFollowing: false,
+      followersCount: updatedSong.followersCount
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Unfollow song error:', error);
+    res.status(500).json({ message: 'Server error while unfollowing song' });
+  }
+});
+
+// @route   POST /api/songs/:id/bookmark
+// @desc    Save a song for later
+// @access  Private
+router.post('/:id/bookmark', authMiddleware, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('_id');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    await Bookmark.add(req.user._id, 'Song', song._id);
+
+    res.json({
+      message: 'Song saved',
+      isBookmarked: true
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Bookmark song error:', error);
+    res.status(500).json({ message: 'Server error while saving song' });
+  }
+});
+
+// @route   DELETE /api/songs/:id/bookmark
+// @desc    Remove a song from saved items
+// @access  Private
+router.delete('/:id/bookmark', authMiddleware, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('_id');
+
+    if (!song) {
+      return res.status(404).json({ message: 'Song not found' });
+    }
+
+    await Bookmark.deleteOne({ user: req.user._id, targetType: 'Song', target: song._id });
+
+    res.json({
+      message: 'Song removed from saved items',
+      isBookmarked: false
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid song ID' });
+    }
+    console.error('Remove song bookmark error:', error);
+    res.status(500).json({ message: 'Server error while removing saved song' });
+  }
+});
+
 module.exports = router;
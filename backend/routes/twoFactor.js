@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const { authMiddleware } = require('../middleware/auth');
+const { generateSecret, otpauthUri, generateRecoveryCodes, hashRecoveryCode } = require('../utils/totp');
+
+// Mounted at /api/auth/2fa
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const ISSUER = 'Ly';
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// The current user with their two-factor secrets
+const loadUser = (req) => User.findById(req.user._id).select(User.TWO_FACTOR_SECRETS);
+
+// Wrong codes (and passwords) are throttled per user, so a stolen session
+// can't be used to guess its way into the two-factor settings
+const throttleKey = (req) => ({ type: 'twoFactor', key: req.user._id.toString() });
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many wrong codes. Try again in ${LoginThrottle.describeWait(retryAfter)}.`,
+    retryAfter
+  });
+};
+
+// Resolves to the wait in seconds before the user may try another code
+const checkThrottle = (req) => LoginThrottle.retryAfter([throttleKey(req)]);
+
+// Count a wrong code and answer with a 400, or a 429 once the wait kicks in
+const rejectCode = async (req, res, message) => {
+  await LoginThrottle.recordFailure(throttleKey(req));
+
+  const retryAfter = await checkThrottle(req);
+  if (retryAfter > 0) {
+    return tooManyAttempts(res, retryAfter);
+  }
+  return res.status(400).json({ message });
+};
+
+// Replace the recovery codes; resolves to the new codes, shown to the user once
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor status
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error while fetching two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: a new secret as an otpauth URI and QR code.
+//          Nothing changes until it is confirmed with /enable.
+// @access  Private
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const uri = otpauthUri({ secret, account: user.email, issuer: ISSUER });
+
+    res.json({
+      secret,
+      otpauthUri: uri,
+      qrCode: await QRCode.toDataURL(uri)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/enable', [
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = await loadUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const retryAfter = await checkThrottle(req);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    // Checked against the pending secret before it becomes the real one
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.lastUsedStep = -1;
+    if (user.useSecondFactor(req.body.code) !== 'totp') {
+      return rejectCode(req, res, 'Invalid code. Check the time on your device and try again.');
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.pendingSecret = undefined;
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+    await LoginThrottle.clear(throttleKey(req));
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off. Needs a current code or a
+//          recovery code, and the password on accounts that have one.
+// @access  Private
+router.post('/disable', [
+  body('code').trim().notEmpty().withMessage('Code is required'),
+  body('password').optional().isString()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = await loadUser(req);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const retryAfter = await checkThrottle(req);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return rejectCode(req, res, 'Incorrect password');
+    }
+
+    if (!user.useSecondFactor(req.body.code)) {
+      return rejectCode(req, res, 'Invalid code');
+    }
+
+    user.twoFactor = { enabled: false, lastUsedStep: -1, recoveryCodes: [] };
+    await user.save();
+    await LoginThrottle.clear(throttleKey(req));
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+// @access  Private
+router.post('/recovery-codes', [
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = await loadUser(req);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const retryAfter = await checkThrottle(req);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    if (user.useSecondFactor(req.body.code) !== 'totp') {
+      return rejectCode(req, res, 'Invalid code');
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+    await LoginThrottle.clear(throttleKey(req));
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+});
+
+module.exports = router;
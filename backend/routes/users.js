@@ -1,16 +1,19 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Composition = require('../models/Composition');
 const Song = require('../models/Song');
-const { authMiddleware } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Bookmark = require('../models/Bookmark');
+const { authMiddleware, optionalAuth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/users/:id
 // @desc    Get user profile
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password -googleId');
     
@@ -45,9 +48,18 @@ router.get('/:id', async (req, res) => {
       { $limit: 5 }
     ]);
 
+    const isFollowing = req.user
+      ? !!(await Follow.exists({ follower: req.user._id, targetType: 'User', target: user._id }))
+      : false;
+
     res.json({
       user: user.toObject(),
-      stats: userStats,
+      stats: {
+        ...userStats,
+        followersCount: user.followersCount,
+        followingCount: user.followingCount
+      },
+      isFollowing,
       topInstruments: instrumentStats.map(item => ({
         instrument: item._id,
         count: item.count
@@ -141,7 +153,7 @@ router.get('/:id/songs', [
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const songs = await Song.find({ addedBy: req.params.id })
+    const songs = await Song.find({ addedBy: req.params.id, isHidden: { $ne: true } })
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -168,6 +180,239 @@ router.get('/:id/songs', [
   }
 });
 
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/:id/role', [
+  authMiddleware,
+  requireRole('admin'),
+  body('role').isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Keeps at least one admin around
+    if (req.params.id === req.user._id.toString() && req.body.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findById(req.params.id).select('username avatar role');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'admin' && req.body.role !== 'admin' &&
+        (await User.countDocuments({ role: 'admin', _id: { $ne: user._id } })) === 0) {
+      return res.status(400).json({ message: 'The last admin cannot be demoted' });
+    }
+
+    await User.updateOne({ _id: user._id }, { role: req.body.role });
+    user.role = req.body.role;
+
+    res.json({
+      message: 'Role updated successfully',
+      user
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error while updating role' });
+  }
+});
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const existingFollow = await Follow.findOne({
+      follower: req.user._id,
+      targetType: 'User',
+      target: user._id
+    });
+
+    if (!existingFollow) {
+      await new Follow({
+        follower: req.user._id,
+        targetType: 'User',
+        target: user._id
+      }).save();
+
+      await Notification.notify({
+        recipient: user._id,
+        actor: req.user._id,
+        type: 'new_follower'
+      });
+    }
+
+    const updatedUser = await User.findById(user._id).select('followersCount');
+
+    res.json({
+      message: 'User followed successfully',
+      isFollowing: true,
+      followersCount: updatedUser.followersCount
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error while following user' });
+  }
+});
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await Follow.findOneAndDelete({
+      follower: req.user._id,
+      targetType: 'User',
+      target: user._id
+    });
+
+    const updatedUser = await User.findById(user._id).select('followersCount');
+
+    res.json({
+      message: 'User unfollowed successfully',
+      isFollowing: false,
+      followersCount: updatedUser.followersCount
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error while unfollowing user' });
+  }
+});
+
+// @route   GET /api/users/:id/followers
+// @desc    Get users following a user
+// @access  Public
+router.get('/:id/followers', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { targetType: 'User', target: req.params.id };
+
+    const follows = await Follow.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('follower', 'username avatar bio followersCount')
+      .lean();
+
+    const total = await Follow.countDocuments(filter);
+
+    res.json({
+      users: follows.map(follow => follow.follower).filter(Boolean),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    console.error('Get followers error:', error);
+    res.status(500).json({ message: 'Server error while fetching followers' });
+  }
+});
+
+// @route   GET /api/users/:id/following
+// @desc    Get users followed by a user
+// @access  Public
+router.get('/:id/following', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { follower: req.params.id, targetType: 'User' };
+
+    const follows = await Follow.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('target', 'username avatar bio followersCount')
+      .lean();
+
+    const total = await Follow.countDocuments(filter);
+
+    res.json({
+      users: follows.map(follow => follow.target).filter(Boolean),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    console.error('Get following error:', error);
+    res.status(500).json({ message: 'Server error while fetching followed users' });
+  }
+});
+
 // @route   GET /api/users
 // @desc    Get users list (for discovery)
 // @access  Public
@@ -284,6 +529,38 @@ router.get('/me/dashboard', authMiddleware, async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Saved songs and compositions, newest first. Compositions that have
+    // since been made private by someone else are left out.
+    const bookmarks = await Bookmark.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    const idsOf = (type) => bookmarks.filter(bookmark => bookmark.targetType === type).map(bookmark => bookmark.target);
+
+    const savedSongs = await Song.find({ _id: { $in: idsOf('Song') }, isHidden: { $ne: true } })
+      .select('title artist genre album views followersCount')
+      .lean();
+
+    const savedCompositions = await Composition.find({
+      _id: { $in: idsOf('Composition') },
+      $or: [{ isPublic: true }, { composer: userId }]
+    })
+      .select('title instrument type difficulty likes song composer')
+      .populate('song', 'title artist')
+      .populate('composer', 'username avatar')
+      .lean();
+
+    const savedById = new Map([...savedSongs, ...savedCompositions].map(item => [item._id.toString(), item]));
+
+    const saved = bookmarks
+      .filter(bookmark => savedById.has(bookmark.target.toString()))
+      .map(bookmark => ({
+        type: bookmark.targetType === 'Song' ? 'song' : 'composition',
+        savedAt: bookmark.createdAt,
+        [bookmark.targetType === 'Song' ? 'song' : 'composition']: savedById.get(bookmark.target.toString())
+      }));
+
     const stats = compositionStats[0] || {
       totalCompositions: 0,
       totalLikes: 0,
@@ -301,6 +578,7 @@ router.get('/me/dashboard', authMiddleware, async (req, res) => {
       songStats: songData,
       recentCompositions,
       recentSongs,
+      saved,
       instrumentActivity: instrumentActivity.map(item => ({
         instrument: item._id,
         count: item.count
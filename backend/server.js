@@ -8,6 +8,12 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address; login throttling is tracked per IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -21,7 +27,8 @@ app.use(limiter);
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition', 'Retry-After']
 }));
 
 // Body parser middleware
@@ -33,14 +40,28 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ly-platfo
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  return require('./models/Song').backfillLyricsFingerprints();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth/sessions', require('./routes/sessions'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/songs/:id/annotations', require('./routes/annotations'));
+app.use('/api/songs/:id/suggestions', require('./routes/lyricSuggestions'));
 app.use('/api/songs', require('./routes/songs'));
+app.use('/api/compositions/:id/comments', require('./routes/comments'));
 app.use('/api/compositions', require('./routes/compositions'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/setlists', require('./routes/setlists'));
+app.use('/api/feed', require('./routes/feed'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChordPro, parseLyricLine, renderChordSheetText } = require('../utils/chordpro');
+
+test('places chords at their positions in the lyrics', () => {
+  assert.deepEqual(parseLyricLine('[G]Hello [Em]world', 1, []), {
+    type: 'lyrics',
+    lyrics: 'Hello world',
+    chords: [{ chord: 'G', position: 0 }, { chord: 'Em', position: 6 }]
+  });
+});
+
+test('reads metadata, sections and comments', () => {
+  const { meta, sections, errors } = parseChordPro([
+    '{title: Hello}',
+    '{key: G}',
+    '# not shown',
+    '[G]Verse line',
+    '',
+    '{soc: Chorus 1}',
+    '{c: softly}',
+    '[C]Sing it',
+    '{eoc}'
+  ].join('\n'));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(meta, { title: 'Hello', key: 'G' });
+  assert.deepEqual(sections.map(section => [section.type, section.label]), [['verse', ''], ['chorus', 'Chorus 1']]);
+  assert.deepEqual(sections[1].lines[0], { type: 'comment', text: 'softly' });
+  assert.equal(sections[1].lines[1].lyrics, 'Sing it');
+});
+
+test('keeps tab blocks verbatim', () => {
+  const { sections } = parseChordPro('{sot}\ne|--[x]--|\n\n{eot}');
+  assert.deepEqual(sections[0].lines, [
+    { type: 'tab', text: 'e|--[x]--|' },
+    { type: 'tab', text: '' }
+  ]);
+});
+
+test('reports brackets, directives and sections that do not close', () => {
+  const { errors } = parseChordPro([
+    '[G]Hello [Em world',
+    '[ ]Empty',
+    '{title: broken',
+    '{sov}',
+    '{soc}',
+    '{eov}'
+  ].join('\n'));
+
+  assert.deepEqual(errors, [
+    { line: 1, message: 'Unclosed chord bracket' },
+    { line: 2, message: 'Empty chord' },
+    { line: 3, message: 'Malformed directive' },
+    { line: 5, message: 'Section "chorus" started before "verse" was ended' },
+    { line: 6, message: 'Unexpected end of verse' },
+    { line: 5, message: 'Section "chorus" is never ended' }
+  ]);
+});
+
+test('renders chords above the lyrics as plain text', () => {
+  const parsed = parseChordPro('[G]Hello [Em]world\n\n{soc}\n[Cmaj7][D]Hi\n{eoc}');
+  assert.equal(renderChordSheetText(parsed), [
+    'G     Em',
+    'Hello world',
+    '',
+    'Chorus:',
+    'Cmaj7 D',
+    '      Hi'
+  ].join('\n'));
+});
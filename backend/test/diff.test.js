@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, createPatch, applyPatch } = require('../utils/diff');
+
+const BASE = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'].join('\n');
+
+test('diffs lines into equal, removed and added changes', () => {
+  const { changes, stats } = diffLines('a\nb\nc', 'a\nB\nc\nd');
+  assert.deepEqual(changes, [
+    { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'removed', text: 'b', oldLine: 2, newLine: null },
+    { type: 'added', text: 'B', oldLine: null, newLine: 2 },
+    { type: 'equal', text: 'c', oldLine: 3, newLine: 3 },
+    { type: 'added', text: 'd', oldLine: null, newLine: 4 }
+  ]);
+  assert.deepEqual(stats, { added: 2, removed: 1 });
+});
+
+test('treats CRLF and LF line endings alike', () => {
+  assert.deepEqual(diffLines('a\r\nb', 'a\nb').stats, { added: 0, removed: 0 });
+});
+
+test('records hunks with surrounding context', () => {
+  const hunks = createPatch(BASE, BASE.replace('four', 'FOUR'));
+  assert.deepEqual(hunks, [{
+    start: 3,
+    oldLines: ['four'],
+    newLines: ['FOUR'],
+    before: ['two', 'three'],
+    after: ['five', 'six']
+  }]);
+});
+
+test('applies a patch to the text it was made from', () => {
+  const edited = BASE.replace('two', 'TWO').replace('seven', 'seven\nseven and a half');
+  assert.deepEqual(applyPatch(BASE, createPatch(BASE, edited)), { text: edited, conflicts: [] });
+});
+
+test('applies a patch after unrelated lines moved it', () => {
+  const hunks = createPatch(BASE, BASE.replace('six', 'SIX'));
+  const changed = 'zero\n' + BASE;
+  assert.deepEqual(applyPatch(changed, hunks), { text: changed.replace('six', 'SIX'), conflicts: [] });
+});
+
+test('reports hunks whose lines changed in the meantime as conflicts', () => {
+  const hunks = createPatch(BASE, BASE.replace('two', 'TWO').replace('six', 'SIX'));
+  const changed = BASE.replace('six', 'half past six');
+  const result = applyPatch(changed, hunks);
+
+  assert.equal(result.text, changed.replace('two', 'TWO'));
+  assert.deepEqual(result.conflicts.map(hunk => hunk.oldLines), [['six']]);
+});
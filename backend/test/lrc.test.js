@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLrc, formatLrc, formatTimestamp, timingFits } = require('../utils/lrc');
+
+test('parses metadata and timed lines', () => {
+  const { meta, lines, errors } = parseLrc('[ar: Artist]\n[ti:Song]\n[00:12.30]Hello darkness\n[00:15.1]my old friend');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(meta, { ar: 'Artist', ti: 'Song' });
+  assert.deepEqual(lines, [
+    { time: 12300, text: 'Hello darkness', words: [] },
+    { time: 15100, text: 'my old friend', words: [] }
+  ]);
+});
+
+test('parses enhanced word timestamps', () => {
+  const { lines, errors } = parseLrc('[00:15.10]<00:15.10>my <00:15.60>old <00:16.00>friend');
+  assert.deepEqual(errors, []);
+  assert.equal(lines[0].text, 'my old friend');
+  assert.deepEqual(lines[0].words, [
+    { time: 15100, text: 'my ' },
+    { time: 15600, text: 'old ' },
+    { time: 16000, text: 'friend' }
+  ]);
+});
+
+test('expands repeated lines and applies the offset', () => {
+  const { lines } = parseLrc('[offset:500]\n[00:10.00][00:30.00]Chorus\n[00:20.00]Verse');
+  assert.deepEqual(lines.map(line => [line.time, line.text]), [[9500, 'Chorus'], [19500, 'Verse'], [29500, 'Chorus']]);
+});
+
+test('reports lines out of order, bad timestamps and lines past the end', () => {
+  const { errors } = parseLrc('[00:20.00]Two\n[00:10.00]One\n[00:75.00]Bad\nNo time\n[03:10.00]Late', { duration: 180 });
+  assert.deepEqual(errors, [
+    { line: 3, message: 'Invalid timestamp "[00:75.00]"' },
+    { line: 4, message: 'Line has no timestamp' },
+    { line: 2, message: 'Timestamp 00:10.00 is earlier than the line before' },
+    { line: 5, message: 'Timestamp 03:10.00 is past the end of the song (03:00.00)' }
+  ]);
+});
+
+test('checks timed lines against the song lyrics', () => {
+  const lyrics = 'Hello darkness, my old friend\n\nI\'ve come to talk with you again';
+
+  assert.deepEqual(parseLrc('[00:01.00]hello darkness my old friend\n[00:03.00]\n[00:05.00]I\'ve come to talk with you again', { lyrics }).errors, []);
+
+  assert.deepEqual(parseLrc('[00:01.00]Hello darkness, my old friend\n[00:05.00]Something else', { lyrics }).errors, [
+    { line: 2, message: '"Something else" does not match lyric line 2 ("I\'ve come to talk with you again")' }
+  ]);
+  assert.deepEqual(parseLrc('[00:01.00]Hello darkness, my old friend\n', { lyrics }).errors, [
+    { line: 2, message: 'Timing ends before the lyrics do; lyric line 2 ("I\'ve come to talk with you again") has no timestamp' }
+  ]);
+  assert.deepEqual(parseLrc('[00:01.00]Hello darkness, my old friend\n[00:05.00]I\'ve come to talk with you again\n[00:09.00]Encore', { lyrics }).errors, [
+    { line: 3, message: '"Encore" comes after the end of the lyrics' }
+  ]);
+});
+
+test('matches repeated lines to the lyrics in time order', () => {
+  const lyrics = 'Chorus\nVerse\nChorus';
+  assert.deepEqual(parseLrc('[00:10.00][00:30.00]Chorus\n[00:20.00]Verse', { lyrics }).errors, []);
+});
+
+test('formats parsed lyrics back to normalized LRC', () => {
+  const parsed = parseLrc('[ti:Song]\n[0:5.5]<0:5.5>Hi <0:6>there\n[00:07]Bye');
+  assert.equal(formatLrc(parsed), '[ti:Song]\n[00:05.50]<00:05.50>Hi <00:06.00>there\n[00:07.00]Bye');
+  assert.equal(formatTimestamp(61234), '01:01.23');
+});
+
+test('keeps timing only while the sung lines are unchanged', () => {
+  assert.equal(timingFits('Hello\n\nWorld', 'Hello,  \nworld\n'), true);
+  assert.equal(timingFits('Hello\nWorld', 'Hello\nthere World'), false);
+  assert.equal(timingFits('Hello\nWorld', 'Hello\nWorld\nAgain'), false);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNotation } = require('../utils/notation');
+
+const MUSICXML = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="4.0">
+  <part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><key><fifths>-3</fifths><mode>minor</mode></key></attributes>
+      <sound tempo="96"/>
+      <note><rest/><duration>4</duration></note>
+    </measure>
+  </part>
+</score-partwise>`;
+
+test('reads key and tempo from ABC headers', () => {
+  const result = parseNotation('X:1\nT:Tune\nM:6/8\nL:1/8\nQ:1/4=120\nK:Em\nEGB e2d|\n');
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.format, 'abc');
+  assert.equal(result.key, 'Em');
+  assert.equal(result.tempo, 120);
+});
+
+test('normalizes ABC, adding a missing reference number', () => {
+  const result = parseNotation('T:Tune  \r\nK:G\r\n\r\nGABc|\r\n', 'abc');
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.content, 'X:1\nT:Tune\nK:G\nGABc|\n');
+});
+
+test('reads the key only from major and minor ABC modes', () => {
+  const keyOf = (field) => {
+    const result = parseNotation(`X:1\nT:Tune\nK:${field}\nABcd|\n`, 'abc');
+    assert.deepEqual(result.errors, [], field);
+    return result.key;
+  };
+
+  assert.equal(keyOf('Gmaj'), 'G');
+  assert.equal(keyOf('Bb ionian'), 'A#');
+  assert.equal(keyOf('Amin'), 'Am');
+  assert.equal(keyOf('F#aeo'), 'F#m');
+  assert.equal(keyOf('Amix'), null);
+  assert.equal(keyOf('Ddor'), null);
+  assert.equal(keyOf('E Phrygian'), null);
+  assert.equal(keyOf('none'), null);
+  assert.equal(keyOf('HP'), null);
+
+  assert.deepEqual(parseNotation('X:1\nT:Tune\nK:Amx\nABcd|\n', 'abc').errors, [
+    { line: 3, message: 'Invalid key "Amx"' }
+  ]);
+});
+
+test('reports broken ABC headers', () => {
+  const messages = parseNotation('T:Tune\nX:1\nM:seven\nK:H\n', 'abc').errors.map(error => error.message);
+  assert.deepEqual(messages, [
+    'Invalid meter "seven"',
+    'Invalid key "H"',
+    'The X: (reference number) field must come first',
+    'Tune has no music after the header'
+  ]);
+
+  assert.deepEqual(parseNotation('X:1\nT:Tune\n', 'abc').errors, [
+    { line: 3, message: 'Missing K: (key) field ending the tune header' }
+  ]);
+});
+
+test('reads key and tempo from MusicXML', () => {
+  const result = parseNotation(MUSICXML);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.format, 'musicxml');
+  assert.equal(result.key, 'Cm');
+  assert.equal(result.tempo, 96);
+});
+
+test('reports invalid MusicXML', () => {
+  assert.equal(parseNotation('<score-partwise><part></score-partwise>').errors.length, 1);
+  assert.deepEqual(parseNotation('<score-partwise version="4.0"><work/></score-partwise>').errors.map(error => error.message), [
+    'Score is missing a <part-list>',
+    'Score has no parts'
+  ]);
+  assert.deepEqual(parseNotation('<html></html>').errors, [
+    { line: 1, message: 'Root element must be <score-partwise> or <score-timewise>' }
+  ]);
+});
+
+test('rejects content in neither format', () => {
+  const result = parseNotation('just some words');
+  assert.equal(result.format, null);
+  assert.deepEqual(result.errors, [{ line: 1, message: 'Sheet music must be ABC notation or uncompressed MusicXML' }]);
+});
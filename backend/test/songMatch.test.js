@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSongField, lyricsFingerprint, scoreSongMatch, rankSongMatches } = require('../utils/songMatch');
+
+const LYRICS = 'Is this the real life\nIs this just fantasy\nCaught in a landslide\nNo escape from reality';
+
+test('strips credits, case, punctuation and accents from titles and artists', () => {
+  assert.equal(normalizeSongField('Bohemian Rhapsody (feat. Someone)'), 'bohemian rhapsody');
+  assert.equal(normalizeSongField('Queen ft. Guest'), 'queen');
+  assert.equal(normalizeSongField('Beyonc\u00e9 featuring Jay-Z'), 'beyonce');
+  assert.equal(normalizeSongField('  Don\'t  Stop  Me Now! '), 'don t stop me now');
+  assert.equal(normalizeSongField('Song [ft Guest] (Remix)'), 'song remix');
+});
+
+test('only strips featuring credits that follow the title or are bracketed', () => {
+  assert.equal(normalizeSongField('Feat of Strength'), 'feat of strength');
+  assert.equal(normalizeSongField('Ft. Lauderdale'), 'ft lauderdale');
+  assert.equal(normalizeSongField('(feat. Someone)'), 'feat someone');
+  assert.ok(scoreSongMatch({ title: 'Feat of Strength', artist: 'A' }, { title: 'Featuring Nobody', artist: 'A' }).title < 0.85);
+});
+
+test('scores each field and overall between 0 and 1', () => {
+  const exact = scoreSongMatch(
+    { title: 'Bohemian Rhapsody', artist: 'Queen', officialLyrics: LYRICS },
+    { title: 'bohemian rhapsody', artist: 'QUEEN', officialLyrics: LYRICS }
+  );
+  assert.deepEqual(exact, { title: 1, artist: 1, lyrics: 1, score: 1 });
+
+  const unrelated = scoreSongMatch({ title: 'Yesterday', artist: 'The Beatles' }, { title: 'Hurt', artist: 'Nine Inch Nails' });
+  assert.equal(unrelated.lyrics, 0);
+  assert.ok(unrelated.score < 0.3);
+});
+
+test('ranks likely duplicates best first and leaves out other songs', () => {
+  const songs = [
+    { _id: 'a', title: 'Bohemian Rhapsody (Live)', artist: 'Queen' },
+    { _id: 'b', title: 'Bohemian Rhapsody', artist: 'Queen' },
+    { _id: 'c', title: 'Another One Bites the Dust', artist: 'Queen' },
+    { _id: 'd', title: 'Different Name', artist: 'Cover Band', officialLyrics: LYRICS }
+  ];
+
+  const matches = rankSongMatches({ title: 'Bohemian Rhapsody', artist: 'Queen', officialLyrics: LYRICS }, songs);
+  assert.deepEqual(matches.map(({ song }) => song._id), ['b', 'a', 'd']);
+  assert.equal(rankSongMatches({ title: 'Bohemian Rhapsody', artist: 'Queen' }, songs, 1).length, 1);
+});
+
+test('fingerprints lyrics by their first sung lines', () => {
+  const fingerprint = lyricsFingerprint(LYRICS);
+  assert.match(fingerprint, /^[0-9a-f]{40}$/);
+  assert.equal(lyricsFingerprint(`\n${LYRICS.toUpperCase().replace(/\n/g, '!\n\n')}\nAnd a new last line`), fingerprint);
+  assert.notEqual(lyricsFingerprint(LYRICS.replace('landslide', 'rockslide')), fingerprint);
+  assert.equal(lyricsFingerprint('Just one line'), null);
+  assert.equal(lyricsFingerprint(''), null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTuning, validateTablature } = require('../utils/tablature');
+
+const STANDARD_TAB = [
+  'e|-----0-----|',
+  'B|---1---1---|',
+  'G|-0-------0-|',
+  'D|-----------|',
+  'A|-3---------|',
+  'E|-----------|'
+].join('\n');
+
+test('resolves tunings from names and spelled-out notes', () => {
+  assert.deepEqual(parseTuning(''), ['E', 'A', 'D', 'G', 'B', 'E']);
+  assert.deepEqual(parseTuning('', 'bass'), ['E', 'A', 'D', 'G']);
+  assert.deepEqual(parseTuning('Drop D'), ['D', 'A', 'D', 'G', 'B', 'E']);
+  assert.deepEqual(parseTuning('Standard (EADGBE)'), ['E', 'A', 'D', 'G', 'B', 'E']);
+  assert.deepEqual(parseTuning('Eb Ab Db Gb Bb Eb'), ['D#', 'G#', 'C#', 'F#', 'A#', 'D#']);
+  assert.equal(parseTuning('banjo please'), null);
+});
+
+test('accepts a well-formed stave in standard tuning', () => {
+  const { content, errors } = validateTablature(STANDARD_TAB, 'standard');
+  assert.deepEqual(errors, []);
+  assert.equal(content, STANDARD_TAB);
+});
+
+test('accepts flat string labels in Eb standard', () => {
+  const tab = [
+    'eb|-----0-----|',
+    'Bb|---1---1---|',
+    'Gb|-0-------0-|',
+    'Db|-----------|',
+    'Ab|-3---------|',
+    'Eb|-----------|'
+  ].join('\n');
+
+  assert.deepEqual(validateTablature(tab, 'Eb standard').errors, []);
+  assert.deepEqual(validateTablature(tab, 'Eb Ab Db Gb Bb Eb').errors, []);
+});
+
+test('reports labels that do not match the tuning', () => {
+  const { errors } = validateTablature(STANDARD_TAB, 'Drop D');
+  assert.deepEqual(errors, [
+    { line: 6, message: 'String label "E" does not match tuning (expected D)' }
+  ]);
+});
+
+test('fills in missing labels and trims trailing whitespace', () => {
+  const tab = '|---0---|  \n|---1---|\n|---0---|\n|---2---|\n|---3---|\n|-------|';
+  const { content, errors } = validateTablature(tab, 'standard');
+  assert.deepEqual(errors, []);
+  assert.equal(content.split('\n')[0], 'e|---0---|');
+  assert.equal(content.split('\n')[5], 'E|-------|');
+});
+
+test('reports missing strings, uneven lines, bad characters and high frets', () => {
+  const tab = [
+    'e|-----0-----|',
+    'B|---1---1--|',
+    'G|-0---q---0-|',
+    'D|-----25----|'
+  ].join('\n');
+
+  const messages = validateTablature(tab, 'standard').errors.map(error => error.message);
+  assert.ok(messages.includes('Stave has 4 strings, expected 6 for tuning E A D G B E'));
+  assert.ok(messages.includes('Line is 13 characters long, expected 14 to match the stave'));
+  assert.ok(messages.includes('Unexpected character "q" at column 8'));
+  assert.ok(messages.includes('Fret 25 is out of range (0-24)'));
+});
+
+test('requires at least one stave', () => {
+  assert.deepEqual(validateTablature('Just some words', 'standard').errors, [
+    { line: 1, message: 'No tablature staves found' }
+  ]);
+});
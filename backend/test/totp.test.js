@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+// RFC 6238 test secret "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ];
+
+  vectors.forEach(([seconds, code]) => {
+    assert.equal(generateCode(RFC_SECRET, seconds * 1000), code);
+  });
+});
+
+test('accepts codes from neighboring steps and refuses replays', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(time / 30000);
+
+  assert.equal(verifyCode(RFC_SECRET, '005924', { time }), step);
+  assert.equal(verifyCode(RFC_SECRET, '005 924', { time: time + 30000 }), step);
+  assert.equal(verifyCode(RFC_SECRET, '005924', { time: time + 60000 }), null);
+  assert.equal(verifyCode(RFC_SECRET, '005924', { time, afterStep: step }), null);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { time }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+});
+
+test('generates base32 secrets that round-trip through codes', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(verifyCode(secret, generateCode(secret)), null);
+});
+
+test('builds otpauth URIs for authenticator apps', () => {
+  assert.equal(
+    otpauthUri({ secret: RFC_SECRET, account: 'me@example.com', issuer: 'Ly' }),
+    `otpauth://totp/Ly%3Ame%40example.com?secret=${RFC_SECRET}&issuer=Ly&algorithm=SHA1&digits=6&period=30`
+  );
+});
+
+test('generates distinct recovery codes and hashes them loosely', () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[a-z2-9]{4}-[a-z2-9]{4}$/));
+
+  assert.equal(hashRecoveryCode('K3F9-X2MQ'), hashRecoveryCode('k3f9x2mq'));
+  assert.notEqual(hashRecoveryCode('k3f9-x2mq'), hashRecoveryCode('k3f9-x2mr'));
+});
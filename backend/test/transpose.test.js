@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  transposeChord,
+  transposeContent,
+  transposeKey,
+  semitonesBetween,
+  prefersFlats,
+  isChord,
+  isChordLine
+} = require('../utils/transpose');
+
+test('transposes chord symbols with their suffix and bass note', () => {
+  assert.equal(transposeChord('C', 2), 'D');
+  assert.equal(transposeChord('C#m7/G#', 1), 'Dm7/A');
+  assert.equal(transposeChord('Am7b5', 3, true), 'Cm7b5');
+  assert.equal(transposeChord('G', 1, true), 'Ab');
+  assert.equal(transposeChord('Gm(maj7)', -2), 'Fm(maj7)');
+});
+
+test('leaves words that are not chords alone', () => {
+  ['Every', 'Go', 'Bone', 'Dad', 'Add', 'Be'].forEach(word => {
+    assert.equal(isChord(word), false, word);
+    assert.equal(transposeChord(word, 2), word);
+  });
+});
+
+test('recognizes common chord suffixes', () => {
+  ['Am', 'Cmaj7', 'Dsus4', 'Cadd9', 'E7#9', 'Bbm', 'F#m7-5', 'Gdim', 'Caug', 'D5', 'Cm(add9)', 'Em/B'].forEach(chord => {
+    assert.equal(isChord(chord), true, chord);
+  });
+});
+
+test('only treats lines made entirely of chords as chord lines', () => {
+  assert.equal(isChordLine('C   G   Am  F'), true);
+  assert.equal(isChordLine('| C | G |'), true);
+  assert.equal(isChordLine('Every Dog Gets A Bone'), false);
+  assert.equal(isChordLine(''), false);
+});
+
+test('transposes chords in content without touching lyric lines', () => {
+  const content = 'Every Dog Gets A Bone\nGo\nC   Am  F   G';
+  assert.equal(transposeContent(content, 2), 'Every Dog Gets A Bone\nGo\nD   Bm  G   A');
+});
+
+test('transposes bracketed ChordPro chords and the key directive', () => {
+  const content = '{title: Song}\n{key: G}\n[G]Hello [Em]there, [C]Dad';
+  assert.equal(transposeContent(content, 2), '{title: Song}\n{key: A}\n[A]Hello [F#m]there, [D]Dad');
+});
+
+test('keeps chords in their columns when spellings change length', () => {
+  assert.equal(transposeContent('C    G', 1), 'C#   G#');
+  assert.equal(transposeContent('C#  G#', -1), 'C   G');
+});
+
+test('works out keys and intervals', () => {
+  assert.equal(transposeKey('F#m', 3), 'Am');
+  assert.equal(transposeKey('H', 1), null);
+  assert.equal(semitonesBetween('C', 'G'), -5);
+  assert.equal(semitonesBetween('C', 'F#'), 6);
+  assert.equal(prefersFlats('Dm'), true);
+  assert.equal(prefersFlats('E'), false);
+});
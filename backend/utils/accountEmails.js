@@ -0,0 +1,45 @@
+// Account emails: address verification, password reset and security alerts
+
+const { sendMail } = require('./mailer');
+const { signActionToken } = require('./actionTokens');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const frontendLink = (page, token) =>
+  `${process.env.FRONTEND_URL}/${page}?token=${encodeURIComponent(token)}`;
+
+async function sendVerificationEmail(user) {
+  const link = frontendLink('verify-email.html', signActionToken(user, 'verify_email'));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address for Ly by opening this link:\n\n${link}\n\nThe link expires in 24 hours. If you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address for Ly:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const link = frontendLink('reset-password.html', signActionToken(user, 'password_reset'));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password of your Ly account. Choose a new one here:\n\n${link}\n\nThe link expires in 1 hour and works once. If it wasn't you, you can ignore this email; your password has not changed.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset the password of your Ly account.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour and works once. If it wasn't you, you can ignore this email; your password has not changed.</p>`
+  });
+}
+
+// Too many failed logins locked the account for a while
+async function sendAccountLockedEmail(user, { ip, minutes }) {
+  const link = `${process.env.FRONTEND_URL}/reset-password.html`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Too many failed login attempts on your account',
+    text: `Hi ${user.username},\n\nThere were several failed attempts to log in to your Ly account, most recently from IP address ${ip}. To protect it, logging in is blocked for the next ${minutes} minutes.\n\nIf this was you, wait and try again. If it wasn't, your password may be targeted; consider changing it and turning on two-factor authentication:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>There were several failed attempts to log in to your Ly account, most recently from IP address ${escapeHtml(ip)}. To protect it, logging in is blocked for the next ${minutes} minutes.</p><p>If this was you, wait and try again. If it wasn't, your password may be targeted; consider <a href="${link}">changing it</a> and turning on two-factor authentication.</p>`
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail };
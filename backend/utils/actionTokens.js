@@ -0,0 +1,46 @@
+// Signed, expiring single-purpose tokens, mostly for links sent by email
+//
+// Each token names its purpose and carries a fingerprint of the account state
+// it acts on, so a verification link dies when the email changes and a reset
+// link dies once the password has been changed.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PURPOSES = {
+  verify_email: { expiresIn: '24h', state: (user) => user.email },
+  password_reset: { expiresIn: '1h', state: (user) => user.password || '' },
+  // Not emailed: the second step of a login with two-factor authentication
+  login_2fa: { expiresIn: '5m', state: (user) => `${user.password || ''}:${user.twoFactor?.enabledAt?.getTime() || ''}` }
+};
+
+const fingerprint = (user, purpose) => crypto.createHash('sha256')
+  .update(`${purpose}:${PURPOSES[purpose].state(user)}`)
+  .digest('hex')
+  .slice(0, 16);
+
+function signActionToken(user, purpose) {
+  return jwt.sign(
+    { userId: user._id, purpose, fp: fingerprint(user, purpose) },
+    process.env.JWT_SECRET,
+    { expiresIn: PURPOSES[purpose].expiresIn }
+  );
+}
+
+// The token's payload ({ userId, purpose, fp }), or null if it is invalid,
+// expired or for another purpose. Check it against the user with
+// matchesActionToken before acting on it.
+function readActionToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchesActionToken(user, decoded) {
+  return !!user && decoded.fp === fingerprint(user, decoded.purpose);
+}
+
+module.exports = { signActionToken, readActionToken, matchesActionToken };
@@ -0,0 +1,219 @@
+// ChordPro parsing for compositions of type 'chords'
+//
+// Turns text such as:
+//
+//   {title: Hello}
+//   {soc}
+//   [G]Hello [Em]world
+//   {eoc}
+//
+// into a structured document of sections, lines and chord positions that
+// clients can render with chords above the lyrics.
+
+// Directive aliases mapped to their canonical names
+const DIRECTIVE_ALIASES = {
+  t: 'title',
+  st: 'subtitle',
+  c: 'comment',
+  ci: 'comment_italic',
+  cb: 'comment_box',
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  sot: 'start_of_tab',
+  eot: 'end_of_tab'
+};
+
+// Directives that carry a single metadata value
+const META_DIRECTIVES = ['title', 'subtitle', 'artist', 'composer', 'album', 'key', 'capo', 'tempo', 'time', 'duration'];
+
+const SECTION_TYPES = ['chorus', 'verse', 'bridge', 'tab'];
+
+const DIRECTIVE_PATTERN = /^\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}$/i;
+
+// Parse a single lyric line such as "[G]Hello [Em]world"
+function parseLyricLine(text, lineNumber, errors) {
+  const chords = [];
+  let lyrics = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const open = text.indexOf('[', index);
+    if (open === -1) {
+      lyrics += text.slice(index);
+      break;
+    }
+
+    lyrics += text.slice(index, open);
+    const close = text.indexOf(']', open);
+    if (close === -1) {
+      errors.push({ line: lineNumber, message: 'Unclosed chord bracket' });
+      lyrics += text.slice(open);
+      break;
+    }
+
+    const chord = text.slice(open + 1, close).trim();
+    if (!chord) {
+      errors.push({ line: lineNumber, message: 'Empty chord' });
+    } else {
+      chords.push({ chord, position: lyrics.length });
+    }
+    index = close + 1;
+  }
+
+  return { type: 'lyrics', lyrics, chords };
+}
+
+// Parse ChordPro text into { meta, sections, errors }
+function parseChordPro(text) {
+  const meta = {};
+  const sections = [];
+  const errors = [];
+  let current = null;
+
+  const closeImplicit = () => {
+    if (current && !current.explicit) {
+      current = null;
+    }
+  };
+
+  const ensureSection = () => {
+    if (!current) {
+      current = { type: 'verse', label: '', explicit: false, lines: [] };
+      sections.push(current);
+    }
+    return current;
+  };
+
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  lines.forEach((rawLine, i) => {
+    const lineNumber = i + 1;
+    const line = rawLine.replace(/\s+$/, '');
+    const trimmed = line.trim();
+
+    // Lines inside a tab block are kept verbatim
+    if (current && current.type === 'tab' && !DIRECTIVE_PATTERN.test(trimmed)) {
+      current.lines.push({ type: 'tab', text: line });
+      return;
+    }
+
+    if (!trimmed) {
+      closeImplicit();
+      return;
+    }
+
+    if (trimmed.startsWith('#')) {
+      return;
+    }
+
+    const directive = trimmed.match(DIRECTIVE_PATTERN);
+    if (!directive) {
+      if (trimmed.startsWith('{')) {
+        errors.push({ line: lineNumber, message: 'Malformed directive' });
+        return;
+      }
+      ensureSection().lines.push(parseLyricLine(line, lineNumber, errors));
+      return;
+    }
+
+    const rawName = directive[1].toLowerCase();
+    const name = DIRECTIVE_ALIASES[rawName] || rawName;
+    const value = directive[2] !== undefined ? directive[2] : '';
+
+    if (META_DIRECTIVES.includes(name)) {
+      meta[name] = value;
+      return;
+    }
+
+    if (name.startsWith('comment')) {
+      ensureSection().lines.push({ type: 'comment', text: value });
+      return;
+    }
+
+    const sectionMatch = name.match(/^(start|end)_of_([a-z]+)$/);
+    if (sectionMatch && SECTION_TYPES.includes(sectionMatch[2])) {
+      const [, edge, type] = sectionMatch;
+
+      if (edge === 'start') {
+        if (current && current.explicit) {
+          errors.push({ line: lineNumber, message: `Section "${type}" started before "${current.type}" was ended` });
+        }
+        current = { type, label: value, explicit: true, lines: [], startLine: lineNumber };
+        sections.push(current);
+      } else if (!current || !current.explicit || current.type !== type) {
+        errors.push({ line: lineNumber, message: `Unexpected end of ${type}` });
+      } else {
+        current = null;
+      }
+      return;
+    }
+
+    // Unknown directives are ignored, as the ChordPro spec recommends
+  });
+
+  if (current && current.explicit) {
+    errors.push({ line: current.startLine, message: `Section "${current.type}" is never ended` });
+  }
+
+  return {
+    meta,
+    sections: sections
+      .filter(section => section.lines.length > 0)
+      .map(({ type, label, lines: sectionLines }) => ({ type, label, lines: sectionLines })),
+    errors
+  };
+}
+
+// Render a lyric line as plain text with the chords on a row above it
+function renderChordLineText({ lyrics, chords }) {
+  if (chords.length === 0) return [lyrics];
+
+  let chordRow = '';
+  let lyricRow = '';
+  let lyricIndex = 0;
+
+  chords.forEach(({ chord, position }) => {
+    lyricRow += lyrics.slice(lyricIndex, position);
+    lyricIndex = position;
+
+    // Make room when the previous chord runs past this one
+    if (chordRow.length > 0 && chordRow.length >= lyricRow.length) {
+      lyricRow = lyricRow.padEnd(chordRow.length + 1);
+    }
+    chordRow = chordRow.padEnd(lyricRow.length) + chord;
+  });
+
+  lyricRow += lyrics.slice(lyricIndex);
+
+  return lyricRow.trim() ? [chordRow, lyricRow.replace(/\s+$/, '')] : [chordRow];
+}
+
+// Render a parsed document as a plain-text chord sheet
+function renderChordSheetText({ sections }) {
+  return sections.map(section => {
+    const lines = [];
+    if (section.label) {
+      lines.push(`${section.label}:`);
+    } else if (section.type === 'chorus') {
+      lines.push('Chorus:');
+    }
+
+    section.lines.forEach(line => {
+      if (line.type === 'comment') {
+        lines.push(`(${line.text})`);
+      } else if (line.type === 'tab') {
+        lines.push(line.text);
+      } else {
+        lines.push(...renderChordLineText(line));
+      }
+    });
+
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+module.exports = { parseChordPro, parseLyricLine, renderChordSheetText };
@@ -0,0 +1,182 @@
+// Line-level text diff based on the longest common subsequence
+//
+// Common leading and trailing lines are matched first, so typical edits only
+// run the LCS table over the changed middle of the text.
+
+// Above this many table cells the changed block is reported as a plain replacement
+const MAX_TABLE_SIZE = 4000000;
+
+const splitLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+// Diff two texts into a list of { type: 'equal'|'added'|'removed', text, oldLine, newLine }
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  const equal = (i, j) => changes.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  const removed = (i) => changes.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+  const added = (j) => changes.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+
+  for (let i = 0; i < start; i++) equal(i, i);
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_TABLE_SIZE) {
+    for (let i = start; i < endA; i++) removed(i);
+    for (let j = start; j < endB; j++) added(j);
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        equal(start + i, start + j);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+        removed(start + i);
+        i++;
+      } else {
+        added(start + j);
+        j++;
+      }
+    }
+    for (; i < n; i++) removed(start + i);
+    for (; j < m; j++) added(start + j);
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) equal(i, j);
+
+  return {
+    changes,
+    stats: {
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length
+    }
+  };
+}
+
+// Lines of surrounding text kept with each hunk to find it again later
+const CONTEXT_LINES = 2;
+
+// Group a diff into hunks that can be re-applied to a changed text. Each hunk
+// records the base lines it replaces (start is 0-based), their replacement,
+// and a little unchanged context on either side.
+function createPatch(oldText, newText) {
+  const a = splitLines(oldText);
+  const { changes } = diffLines(oldText, newText);
+  const hunks = [];
+  let current = null;
+  let baseIndex = 0;
+
+  changes.forEach(change => {
+    if (change.type === 'equal') {
+      current = null;
+      baseIndex++;
+      return;
+    }
+
+    if (!current) {
+      current = { start: baseIndex, oldLines: [], newLines: [] };
+      hunks.push(current);
+    }
+
+    if (change.type === 'removed') {
+      current.oldLines.push(change.text);
+      baseIndex++;
+    } else {
+      current.newLines.push(change.text);
+    }
+  });
+
+  return hunks.map(hunk => ({
+    ...hunk,
+    before: a.slice(Math.max(0, hunk.start - CONTEXT_LINES), hunk.start),
+    after: a.slice(hunk.start + hunk.oldLines.length, hunk.start + hunk.oldLines.length + CONTEXT_LINES)
+  }));
+}
+
+const linesMatch = (lines, at, expected) => at >= 0 &&
+  at + expected.length <= lines.length &&
+  expected.every((line, offset) => lines[at + offset] === line);
+
+// Where a hunk applies in the given lines: its original position if that still
+// fits, otherwise the nearest position where both the replaced lines and the
+// context match. Returns -1 when the hunk can't be placed unambiguously.
+function locateHunk(lines, hunk, offset) {
+  const fits = (at) => linesMatch(lines, at, hunk.oldLines) &&
+    linesMatch(lines, at - hunk.before.length, hunk.before) &&
+    linesMatch(lines, at + hunk.oldLines.length, hunk.after);
+
+  const expected = hunk.start + offset;
+  if (fits(expected)) return expected;
+
+  const positions = [];
+  for (let at = 0; at <= lines.length; at++) {
+    if (fits(at)) positions.push(at);
+  }
+
+  if (positions.length === 0) return -1;
+
+  positions.sort((x, y) => Math.abs(x - expected) - Math.abs(y - expected));
+  if (positions.length > 1 && Math.abs(positions[0] - expected) === Math.abs(positions[1] - expected)) {
+    return -1;
+  }
+  return positions[0];
+}
+
+// Apply hunks from createPatch to a text that may have changed since the patch
+// was made. Hunks that no longer fit, or that overlap another hunk, are
+// returned as conflicts; the text has every other hunk applied.
+function applyPatch(text, hunks) {
+  const lines = splitLines(text);
+  const placed = [];
+  const conflicts = [];
+  let offset = 0;
+
+  hunks.forEach(hunk => {
+    const at = locateHunk(lines, hunk, offset);
+    const end = at + hunk.oldLines.length;
+    const overlaps = placed.some(other => at < other.end && other.at < end);
+
+    if (at === -1 || overlaps) {
+      conflicts.push(hunk);
+      return;
+    }
+
+    placed.push({ at, end, hunk });
+    offset = at - hunk.start;
+  });
+
+  // Splice from the bottom up so earlier positions stay valid
+  placed
+    .sort((x, y) => y.at - x.at)
+    .forEach(({ at, hunk }) => lines.splice(at, hunk.oldLines.length, ...hunk.newLines));
+
+  return { text: lines.join('\n'), conflicts };
+}
+
+module.exports = { diffLines, createPatch, applyPatch };
@@ -0,0 +1,217 @@
+// Printable composition exports (ChordPro, plain text, PDF and JSON)
+//
+// Every export carries the song title and artist, the composer, and the key,
+// capo and tuning so a printed sheet stands on its own at rehearsal.
+
+const PDFDocument = require('pdfkit');
+const { parseChordPro, renderChordSheetText } = require('./chordpro');
+
+const EXPORT_FORMATS = ['chordpro', 'txt', 'pdf', 'json'];
+
+const EXPORT_FILE_TYPES = {
+  chordpro: { extension: 'cho', contentType: 'text/plain; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Metadata directives that the export header writes itself
+const HEADER_DIRECTIVE_PATTERN = /^\s*\{\s*(t|title|st|subtitle|artist|composer|key|capo|tempo)\s*[:}]/i;
+
+// Header details shared by every format; expects song and composer to be populated
+function getSheetDetails(composition) {
+  return {
+    title: composition.title,
+    songTitle: composition.song?.title || '',
+    artist: composition.song?.artist || '',
+    composer: composition.composer?.username || '',
+    key: composition.key || '',
+    capo: composition.capo || 0,
+    tuning: composition.tuning || '',
+    tempo: composition.tempo || null
+  };
+}
+
+// Body text with chords above lyrics for chord sheets, raw content otherwise
+function getSheetBody(composition) {
+  if (composition.type === 'chords') {
+    return renderChordSheetText(parseChordPro(composition.content));
+  }
+  return composition.content.replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+}
+
+function toChordPro(composition) {
+  const details = getSheetDetails(composition);
+  const lines = [`{title: ${details.title}}`];
+
+  if (details.songTitle) lines.push(`{subtitle: ${details.songTitle}}`);
+  if (details.artist) lines.push(`{artist: ${details.artist}}`);
+  if (details.composer) lines.push(`{composer: ${details.composer}}`);
+  if (details.key) lines.push(`{key: ${details.key}}`);
+  if (details.capo) lines.push(`{capo: ${details.capo}}`);
+  if (details.tuning) lines.push(`{meta: tuning ${details.tuning}}`);
+  if (details.tempo) lines.push(`{tempo: ${details.tempo}}`);
+  lines.push('');
+
+  const content = composition.content.replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+  if (composition.type === 'chords') {
+    lines.push(...content.split('\n').filter(line => !HEADER_DIRECTIVE_PATTERN.test(line)));
+  } else if (composition.type === 'tabs') {
+    lines.push('{start_of_tab}', content, '{end_of_tab}');
+  } else {
+    lines.push(content);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Title, song line and a single details line, used by the text and PDF exports
+function getHeaderLines(details) {
+  const song = [details.songTitle, details.artist].filter(Boolean).join(' - ');
+  const info = [
+    details.composer && `Arranged by ${details.composer}`,
+    details.key && `Key: ${details.key}`,
+    details.capo && `Capo: ${details.capo}`,
+    details.tuning && `Tuning: ${details.tuning}`,
+    details.tempo && `Tempo: ${details.tempo} BPM`
+  ].filter(Boolean).join('  |  ');
+
+  return { title: details.title, song, info };
+}
+
+function toText(composition) {
+  const header = getHeaderLines(getSheetDetails(composition));
+  const lines = [header.title, '='.repeat(header.title.length)];
+
+  if (header.song) lines.push(header.song);
+  if (header.info) lines.push(header.info);
+  lines.push('', getSheetBody(composition));
+
+  return `${lines.join('\n')}\n`;
+}
+
+function toJson(composition) {
+  const details = getSheetDetails(composition);
+  const document = {
+    ...details,
+    type: composition.type,
+    instrument: composition.instrument,
+    difficulty: composition.difficulty,
+    content: composition.content
+  };
+
+  if (composition.type === 'chords') {
+    const { meta, sections } = parseChordPro(composition.content);
+    document.chordSheet = { meta, sections };
+  }
+
+  return document;
+}
+
+// Write one sheet onto the current PDF page; monospaced body keeps chords above their lyrics
+function writeSheet(doc, composition, notes) {
+  const header = getHeaderLines(getSheetDetails(composition));
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000').text(header.title);
+  if (header.song) {
+    doc.font('Helvetica').fontSize(13).text(header.song);
+  }
+  if (header.info) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(header.info);
+  }
+  if (notes) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor('#555555').text(`Notes: ${notes}`);
+  }
+
+  doc.moveDown().fillColor('#000000').font('Courier').fontSize(10)
+    .text(getSheetBody(composition), { lineGap: 1 });
+}
+
+// Stream a printable PDF sheet
+function writePdf(composition, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: composition.title } });
+
+  doc.pipe(stream);
+  writeSheet(doc, composition);
+  doc.end();
+}
+
+// Setlists export as one document: a running order followed by every sheet in
+// performance order. Items are { composition, notes } with the composition's
+// key and content already adjusted for any per-item key override.
+
+function getRunningOrder(items) {
+  return items.map(({ composition }, index) => {
+    const song = composition.song?.title ? ` (${composition.song.title})` : '';
+    const key = composition.key ? ` - ${composition.key}` : '';
+    return `${index + 1}. ${composition.title}${song}${key}`;
+  });
+}
+
+function setlistToText(setlist, items) {
+  const lines = [setlist.title, '='.repeat(setlist.title.length)];
+
+  if (setlist.description) lines.push(setlist.description);
+  lines.push('', ...getRunningOrder(items));
+
+  items.forEach(({ composition, notes }, index) => {
+    lines.push('', '-'.repeat(40), `${index + 1}/${items.length}`, '');
+    if (notes) lines.push(`Notes: ${notes}`, '');
+    lines.push(toText(composition).replace(/\n$/, ''));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Songs are separated with {new_song} so ChordPro tools split them again
+function setlistToChordPro(setlist, items) {
+  return items.map(({ composition, notes }) => {
+    const sheet = toChordPro(composition);
+    return notes ? sheet.replace('\n\n', `\n{comment: ${notes}}\n\n`) : sheet;
+  }).join('{new_song}\n');
+}
+
+function setlistToJson(setlist, items) {
+  return {
+    title: setlist.title,
+    description: setlist.description,
+    items: items.map(({ composition, notes }, index) => ({
+      position: index + 1,
+      notes,
+      ...toJson(composition)
+    }))
+  };
+}
+
+function writeSetlistPdf(setlist, items, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: setlist.title } });
+
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(24).text(setlist.title);
+  if (setlist.description) {
+    doc.font('Helvetica').fontSize(12).fillColor('#555555').text(setlist.description);
+  }
+  doc.moveDown().fillColor('#000000').font('Helvetica').fontSize(12)
+    .text(getRunningOrder(items).join('\n'), { lineGap: 4 });
+
+  items.forEach(({ composition, notes }) => {
+    doc.addPage();
+    writeSheet(doc, composition, notes);
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FILE_TYPES,
+  toChordPro,
+  toText,
+  toJson,
+  writePdf,
+  setlistToText,
+  setlistToChordPro,
+  setlistToJson,
+  writeSetlistPdf
+};
@@ -0,0 +1,225 @@
+// LRC parsing for time-coded song lyrics
+//
+// Supports plain LRC line timestamps and enhanced LRC word timestamps:
+//
+//   [ar: Artist]
+//   [00:12.30]Hello darkness
+//   [00:15.10]<00:15.10>my <00:15.60>old <00:16.00>friend
+//
+// Times are kept in milliseconds. Lines must be in chronological order and,
+// when the song duration is known, must not run past the end of the song.
+
+const { normalizeText, splitLines } = require('./text');
+
+const META_TAGS = ['ti', 'ar', 'al', 'au', 'by', 're', 've', 'length', 'offset'];
+
+const TIME_TAG = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+const META_TAG = /^\[([a-z]+)\s*:\s*(.*?)\s*\]$/i;
+const WORD_TAG = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+function toMilliseconds(minutes, seconds, fraction) {
+  const fractionMs = fraction ? Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length)) : 0;
+  return (parseInt(minutes, 10) * 60 + parseInt(seconds, 10)) * 1000 + fractionMs;
+}
+
+function formatTimestamp(ms) {
+  const centiseconds = Math.round(ms / 10);
+  const minutes = Math.floor(centiseconds / 6000);
+  const seconds = Math.floor((centiseconds % 6000) / 100);
+  const hundredths = centiseconds % 100;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(hundredths).padStart(2, '0')}`;
+}
+
+// Split "<00:01.00>Hello <00:01.50>world" into timed words
+function parseWords(text, lineNumber, errors) {
+  const words = [];
+  const pattern = new RegExp(WORD_TAG.source, 'g');
+  let match;
+  let lastIndex = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (words.length > 0) {
+      words[words.length - 1].text = text.slice(lastIndex, match.index);
+    } else if (text.slice(0, match.index).trim()) {
+      errors.push({ line: lineNumber, message: 'Text before the first word timestamp has no timing' });
+    }
+
+    if (parseInt(match[2], 10) >= 60) {
+      errors.push({ line: lineNumber, message: `Invalid word timestamp "${match[0]}"` });
+    }
+
+    words.push({ time: toMilliseconds(match[1], match[2], match[3]), text: '' });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (words.length > 0) {
+    words[words.length - 1].text = text.slice(lastIndex);
+  }
+
+  return words;
+}
+
+// Lyric lines as compared with timed lines: blank lines dropped, case,
+// punctuation and spacing ignored
+const sungLines = (lyrics) => splitLines(lyrics).map(normalizeText).filter(Boolean);
+const isSung = (line) => !!normalizeText(line);
+
+// Parse LRC text into { meta, lines: [{ time, text, words }], errors }.
+// Pass the song duration in seconds to check that lines fit in the song, and
+// the song's lyrics to check that the timed lines, in time order, sing them.
+function parseLrc(text, { duration, lyrics } = {}) {
+  const meta = {};
+  const parsed = [];
+  const errors = [];
+  const rawLines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  rawLines.forEach((raw, index) => {
+    const lineNumber = index + 1;
+    let rest = raw.trim();
+    if (!rest) return;
+
+    const metaMatch = !TIME_TAG.test(rest) && rest.match(META_TAG);
+    if (metaMatch) {
+      const tag = metaMatch[1].toLowerCase();
+      if (META_TAGS.includes(tag)) {
+        meta[tag] = metaMatch[2];
+      }
+      return;
+    }
+
+    // A line may carry several timestamps when it repeats, e.g. a chorus
+    const times = [];
+    let match;
+    while ((match = rest.match(TIME_TAG))) {
+      if (parseInt(match[2], 10) >= 60) {
+        errors.push({ line: lineNumber, message: `Invalid timestamp "${match[0]}"` });
+      }
+      times.push(toMilliseconds(match[1], match[2], match[3]));
+      rest = rest.slice(match[0].length);
+    }
+
+    if (times.length === 0) {
+      errors.push({ line: lineNumber, message: 'Line has no timestamp' });
+      return;
+    }
+
+    const words = parseWords(rest, lineNumber, errors);
+    const lyric = words.length > 0 ? words.map(word => word.text).join('') : rest;
+
+    parsed.push({ lineNumber, times, text: lyric.trim(), words });
+  });
+
+  const offset = parseInt(meta.offset, 10) || 0;
+  const durationMs = duration ? duration * 1000 : null;
+  const lines = [];
+  const sources = [];
+  let previous = null;
+
+  parsed.forEach(({ lineNumber, times, text: lyric, words }) => {
+    // Positive offsets make lyrics appear sooner
+    const shifted = times.map(time => Math.max(0, time - offset));
+
+    if (previous !== null && shifted[0] < previous) {
+      errors.push({ line: lineNumber, message: `Timestamp ${formatTimestamp(shifted[0])} is earlier than the line before` });
+    }
+    previous = shifted[0];
+
+    for (let i = 1; i < shifted.length; i++) {
+      if (shifted[i] <= shifted[i - 1]) {
+        errors.push({ line: lineNumber, message: 'Repeated timestamps must be in increasing order' });
+      }
+    }
+
+    const wordTimes = words.map(word => Math.max(0, word.time - offset));
+    if (words.length > 0) {
+      if (shifted.length > 1) {
+        errors.push({ line: lineNumber, message: 'Word timestamps cannot be used on a repeated line' });
+      }
+      if (wordTimes[0] < shifted[0]) {
+        errors.push({ line: lineNumber, message: 'Word timestamps must not start before the line timestamp' });
+      }
+      for (let i = 1; i < wordTimes.length; i++) {
+        if (wordTimes[i] < wordTimes[i - 1]) {
+          errors.push({ line: lineNumber, message: 'Word timestamps must be in chronological order' });
+          break;
+        }
+      }
+    }
+
+    const latest = Math.max(...shifted, ...wordTimes);
+    if (durationMs !== null && latest > durationMs) {
+      errors.push({ line: lineNumber, message: `Timestamp ${formatTimestamp(latest)} is past the end of the song (${formatTimestamp(durationMs)})` });
+    }
+
+    shifted.forEach(time => {
+      lines.push({
+        time,
+        text: lyric,
+        words: words.map((word, index) => ({ time: wordTimes[index], text: word.text }))
+      });
+      sources.push({ time, text: lyric, lineNumber });
+    });
+  });
+
+  lines.sort((a, b) => a.time - b.time);
+
+  if (lyrics !== undefined) {
+    errors.push(...compareWithLyrics(sources.sort((a, b) => a.time - b.time), lyrics, rawLines.length));
+  }
+
+  delete meta.offset;
+
+  return { meta, lines, errors };
+}
+
+// Errors for timed lines that don't follow the lyrics. Instrumental breaks
+// (timed lines without text) are skipped; only the first mismatch is
+// reported, since every line after it would be off as well.
+function compareWithLyrics(timedLines, lyrics, lastLine) {
+  const expected = splitLines(lyrics).map(line => line.trim()).filter(isSung);
+  const sung = timedLines.filter(line => isSung(line.text));
+
+  for (let i = 0; i < sung.length; i++) {
+    if (i >= expected.length) {
+      return [{ line: sung[i].lineNumber, message: `"${sung[i].text}" comes after the end of the lyrics` }];
+    }
+    if (normalizeText(sung[i].text) !== normalizeText(expected[i])) {
+      return [{ line: sung[i].lineNumber, message: `"${sung[i].text}" does not match lyric line ${i + 1} ("${expected[i]}")` }];
+    }
+  }
+
+  if (sung.length < expected.length) {
+    return [{ line: lastLine, message: `Timing ends before the lyrics do; lyric line ${sung.length + 1} ("${expected[sung.length]}") has no timestamp` }];
+  }
+
+  return [];
+}
+
+// Write parsed lyrics back out as normalized (enhanced) LRC
+function formatLrc({ meta = {}, lines }) {
+  const output = [];
+
+  META_TAGS.forEach(tag => {
+    if (meta[tag]) output.push(`[${tag}:${meta[tag]}]`);
+  });
+
+  lines.forEach(line => {
+    const words = line.words && line.words.length > 0
+      ? line.words.map(word => `<${formatTimestamp(word.time)}>${word.text}`).join('')
+      : line.text;
+    output.push(`[${formatTimestamp(line.time)}]${words}`);
+  });
+
+  return output.join('\n');
+}
+
+// Whether timing made for one version of the lyrics still fits another: the
+// sung lines must be unchanged, though blank lines, case, punctuation and
+// spacing may differ
+function timingFits(oldLyrics, newLyrics) {
+  const before = sungLines(oldLyrics);
+  const after = sungLines(newLyrics);
+  return before.length === after.length && before.every((line, i) => line === after[i]);
+}
+
+module.exports = { parseLrc, formatLrc, formatTimestamp, timingFits };
@@ -0,0 +1,76 @@
+// Outgoing mail through a pluggable transport
+//
+// MAIL_TRANSPORT picks one of the transports below: "smtp" for real delivery,
+// "file" to write each message to MAIL_DIR, or "console" to print it (the
+// default outside production). Other transports can be plugged in with
+// setTransport(); a transport is any object with an async send(message).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const fileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const consoleTransport = () => ({
+  async send(message) {
+    console.log(`--- Mail to ${message.to}: ${message.subject} ---\n${message.text}\n---`);
+  }
+});
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+function setTransport(custom) {
+  transport = custom;
+}
+
+// Send { to, subject, text, html }
+async function sendMail(message) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Ly <no-reply@localhost>',
+    ...message
+  });
+}
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,242 @@
+// Sheet-music notation support (ABC and MusicXML) for compositions of type 'sheet-music'
+//
+// Uploaded notation is validated, normalized for storage and scanned for a
+// key and tempo that can pre-fill the composition's own fields.
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { parseKey, transposeKey } = require('./transpose');
+
+const NOTATION_FORMATS = ['abc', 'musicxml'];
+
+const FILE_TYPES = {
+  abc: { extension: 'abc', contentType: 'text/vnd.abc; charset=utf-8' },
+  musicxml: { extension: 'musicxml', contentType: 'application/vnd.recordare.musicxml+xml; charset=utf-8' }
+};
+
+// Major keys by number of sharps (positive) or flats (negative), in Composition.key spelling
+const SHARP_KEYS = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const FLAT_KEYS = ['C', 'F', 'A#', 'D#', 'G#', 'C#', 'F#', 'B'];
+
+const ABC_FIELD_PATTERN = /^([A-Za-z]):\s*(.*)$/;
+
+// K: is a tonic and a mode, e.g. "G", "Em", "Ador" or "F# mixolydian"
+const ABC_KEY_PATTERN = /^([A-G][#b]?)\s*([a-z]*)(?=\s|$)/i;
+const ABC_MODES = ['major', 'ionian', 'minor', 'aeolian', 'mixolydian', 'dorian', 'phrygian', 'lydian', 'locrian'];
+
+// The full name of an ABC mode, which may be cut to three letters or more;
+// null if it is not one
+function abcMode(name) {
+  const mode = name.toLowerCase();
+  if (!mode) return 'major';
+  if (mode === 'm') return 'minor';
+  return (mode.length >= 3 && ABC_MODES.find(candidate => candidate.startsWith(mode))) || null;
+}
+
+// Guess the notation format from the content itself
+function detectFormat(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('<')) return 'musicxml';
+  if (/^\s*K:/m.test(text) || /^\s*X:/m.test(text)) return 'abc';
+  return null;
+}
+
+// Resolve a key from a tonic and mode, only for keys the Composition.key enum can hold
+function toCompositionKey(tonic, minor) {
+  if (!parseKey(tonic)) return null;
+  return transposeKey(tonic, 0) + (minor ? 'm' : '');
+}
+
+// Tempo is only pre-filled when it fits the Composition.tempo range
+function toCompositionTempo(value) {
+  const tempo = Math.round(Number(value));
+  return tempo >= 40 && tempo <= 200 ? tempo : null;
+}
+
+// Parse ABC notation; the header runs from X: to the K: field
+function parseAbc(content) {
+  const errors = [];
+  const lines = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/\s+$/, ''));
+
+  const header = [];
+  const body = [];
+  let inHeader = true;
+  let keyLine = null;
+  let key = null;
+  let tempo = null;
+
+  lines.forEach((line, i) => {
+    const lineNumber = i + 1;
+
+    if (line.startsWith('%')) {
+      (inHeader ? header : body).push(line);
+      return;
+    }
+
+    if (inHeader) {
+      if (!line) return;
+
+      const field = line.match(ABC_FIELD_PATTERN);
+      if (!field) {
+        errors.push({ line: lineNumber, message: 'Expected a header field such as "T:" before the K: field' });
+        inHeader = false;
+        body.push(line);
+        return;
+      }
+
+      const [, name, value] = field;
+
+      if (name === 'M' && value && !/^(\d+\/\d+|C\|?|none)$/.test(value)) {
+        errors.push({ line: lineNumber, message: `Invalid meter "${value}"` });
+      }
+      if (name === 'L' && value && !/^\d+\/\d+$/.test(value)) {
+        errors.push({ line: lineNumber, message: `Invalid unit note length "${value}"` });
+      }
+      if (name === 'Q') {
+        const bpm = value.match(/=\s*(\d+)/) || value.match(/^(\d+)$/);
+        if (bpm) tempo = toCompositionTempo(bpm[1]);
+      }
+
+      header.push(`${name}:${value}`);
+
+      if (name === 'K') {
+        keyLine = lineNumber;
+        const keyMatch = value.match(ABC_KEY_PATTERN);
+        const mode = keyMatch && abcMode(keyMatch[2]);
+        if (mode) {
+          // Composition.key only holds major and minor keys
+          if (mode === 'major' || mode === 'ionian') {
+            key = toCompositionKey(keyMatch[1], false);
+          } else if (mode === 'minor' || mode === 'aeolian') {
+            key = toCompositionKey(keyMatch[1], true);
+          }
+        } else if (value && !/^(none|HP|Hp)\b/.test(value) && !value.includes('=')) {
+          errors.push({ line: lineNumber, message: `Invalid key "${value}"` });
+        }
+        inHeader = false;
+      }
+      return;
+    }
+
+    body.push(line);
+  });
+
+  if (keyLine === null) {
+    errors.push({ line: lines.length, message: 'Missing K: (key) field ending the tune header' });
+  }
+
+  // The tune header must start with a reference number
+  if (!header.some(line => line.startsWith('X:'))) {
+    header.unshift('X:1');
+  } else if (!header.find(line => !line.startsWith('%')).startsWith('X:')) {
+    errors.push({ line: 1, message: 'The X: (reference number) field must come first' });
+  }
+
+  const music = body.join('\n').trim();
+  if (keyLine !== null && !music) {
+    errors.push({ line: keyLine, message: 'Tune has no music after the header' });
+  }
+
+  return {
+    format: 'abc',
+    content: `${header.join('\n')}\n${music}\n`,
+    key,
+    tempo,
+    errors
+  };
+}
+
+// Depth-first search for the first element with the given name
+function findFirst(node, name) {
+  if (!node || typeof node !== 'object') return undefined;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findFirst(child, name);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+  if (node[name] !== undefined) {
+    return Array.isArray(node[name]) ? node[name][0] : node[name];
+  }
+  for (const child of Object.values(node)) {
+    const found = findFirst(child, name);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Parse uncompressed MusicXML (score-partwise or score-timewise)
+function parseMusicXml(content) {
+  const xml = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    return {
+      format: 'musicxml',
+      content: xml,
+      errors: [{ line: validation.err.line, message: validation.err.msg }]
+    };
+  }
+
+  const document = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_' }).parse(xml);
+  const score = document['score-partwise'] || document['score-timewise'];
+  const errors = [];
+
+  if (!score) {
+    errors.push({ line: 1, message: 'Root element must be <score-partwise> or <score-timewise>' });
+    return { format: 'musicxml', content: xml, errors };
+  }
+
+  if (!score['part-list']) {
+    errors.push({ line: 1, message: 'Score is missing a <part-list>' });
+  }
+  if (!score.part && !score.measure) {
+    errors.push({ line: 1, message: 'Score has no parts' });
+  }
+
+  let key = null;
+  const keyElement = findFirst(score, 'key');
+  if (keyElement && keyElement.fifths !== undefined) {
+    const fifths = parseInt(keyElement.fifths, 10);
+    const major = fifths >= 0 ? SHARP_KEYS[fifths] : FLAT_KEYS[-fifths];
+    if (major) {
+      key = keyElement.mode === 'minor'
+        ? toCompositionKey(transposeKey(major, -3), true)
+        : toCompositionKey(major, false);
+    }
+  }
+
+  let tempo = null;
+  const sound = findFirst(score, 'sound');
+  const metronome = findFirst(score, 'metronome');
+  if (sound && sound['@_tempo'] !== undefined) {
+    tempo = toCompositionTempo(sound['@_tempo']);
+  } else if (metronome && metronome['per-minute'] !== undefined) {
+    tempo = toCompositionTempo(metronome['per-minute']);
+  }
+
+  return {
+    format: 'musicxml',
+    content: `${xml}\n`,
+    key,
+    tempo,
+    errors
+  };
+}
+
+// Validate and normalize notation, detecting the format when none is given
+function parseNotation(content, format) {
+  const resolvedFormat = format || detectFormat(content);
+
+  if (resolvedFormat === 'abc') return parseAbc(content);
+  if (resolvedFormat === 'musicxml') return parseMusicXml(content);
+
+  return {
+    format: null,
+    content,
+    errors: [{ line: 1, message: 'Sheet music must be ABC notation or uncompressed MusicXML' }]
+  };
+}
+
+module.exports = { NOTATION_FORMATS, FILE_TYPES, parseNotation };
@@ -0,0 +1,88 @@
+// Server-Sent Events hub for pushing live updates to connected clients
+//
+// Clients subscribe to channels such as "composition:<id>" or "song:<id>";
+// logged-in clients also receive events addressed to them personally.
+// Connections are kept in memory, so this only reaches clients connected to
+// the same server process.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const clients = new Set();
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Turn an Express response into an event stream and register it
+function addClient(req, res, { user = null, session = null, channels = [] } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = {
+    res,
+    userId: user ? user._id.toString() : null,
+    sessionId: session ? session._id.toString() : null,
+    channels: new Set(channels)
+  };
+  clients.add(client);
+
+  send(client, 'ready', { channels, authenticated: !!user });
+
+  // Comments keep proxies from closing idle connections
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  client.close = () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    res.end();
+  };
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  return client;
+}
+
+// End the streams opened with a session once it is revoked, so they stop
+// receiving personal events. Pass a user ID instead to end all of theirs.
+function closeSessionStreams({ sessionId, userId }) {
+  const session = sessionId ? sessionId.toString() : null;
+  const user = userId ? userId.toString() : null;
+
+  clients.forEach(client => {
+    if ((session && client.sessionId === session) || (user && client.userId === user)) {
+      client.close();
+    }
+  });
+}
+
+// Send an event to every client subscribed to a channel
+function publish(channel, event, data) {
+  clients.forEach(client => {
+    if (client.channels.has(channel)) {
+      send(client, event, { channel, ...data });
+    }
+  });
+}
+
+// Send an event to every connection of a single user
+function publishToUser(userId, event, data) {
+  const id = userId.toString();
+  clients.forEach(client => {
+    if (client.userId === id) {
+      send(client, event, data);
+    }
+  });
+}
+
+const connectionCount = () => clients.size;
+
+module.exports = { addClient, publish, publishToUser, closeSessionStreams, connectionCount };
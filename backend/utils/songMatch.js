@@ -0,0 +1,60 @@
+// Fuzzy matching of song submissions against existing songs
+
+const crypto = require('crypto');
+const { normalizeText, similarity, splitLines } = require('./text');
+
+// "Song (feat. Someone)" or "Song [ft Someone]" anywhere in the title
+const BRACKETED_FEATURING = /[([]\s*(?:feat|ft|featuring)\b[^)\]]*[)\]]?/gi;
+// "Song ft. Someone", "Artist featuring Someone": only after the main title,
+// so "Feat of Strength" keeps its name
+const TRAILING_FEATURING = /\s+(?:feat\.|ft\.|featuring\s).*$/i;
+
+// Lyrics beyond this many characters rarely change the verdict
+const LYRICS_SAMPLE = 3000;
+
+// Sung lines hashed into the lyrics fingerprint
+const FINGERPRINT_LINES = 4;
+
+// Title/artist with credits, case, punctuation and diacritics stripped.
+// Never empty for a non-empty field: if only credits remain they are kept.
+function normalizeSongField(text) {
+  const raw = String(text || '');
+  return normalizeText(raw.replace(BRACKETED_FEATURING, ' ').replace(TRAILING_FEATURING, '')) || normalizeText(raw);
+}
+
+// Hash of the first few sung lines, normalized, so the same lyrics can be
+// looked up under any title or artist. Null when there is too little to go on.
+function lyricsFingerprint(lyrics) {
+  const lines = splitLines(lyrics).map(normalizeText).filter(Boolean).slice(0, FINGERPRINT_LINES);
+  if (lines.length < 2) return null;
+  return crypto.createHash('sha1').update(lines.join('\n')).digest('hex');
+}
+
+// Per-field similarities and an overall score, all from 0 to 1
+function scoreSongMatch(submitted, song) {
+  const title = similarity(normalizeSongField(submitted.title), normalizeSongField(song.title));
+  const artist = similarity(normalizeSongField(submitted.artist), normalizeSongField(song.artist));
+  const lyrics = submitted.officialLyrics && song.officialLyrics
+    ? similarity(submitted.officialLyrics.slice(0, LYRICS_SAMPLE), song.officialLyrics.slice(0, LYRICS_SAMPLE))
+    : 0;
+
+  const score = 0.45 * title + 0.3 * artist + 0.25 * lyrics;
+
+  return { title, artist, lyrics, score };
+}
+
+// Same title and artist, or the same lyrics under another name
+function isLikelyDuplicate({ title, artist, lyrics, score }) {
+  return (title >= 0.85 && artist >= 0.7) || lyrics >= 0.85 || score >= 0.8;
+}
+
+// Likely duplicates among the given songs, best match first
+function rankSongMatches(submitted, songs, limit = 5) {
+  return songs
+    .map(song => ({ song, match: scoreSongMatch(submitted, song) }))
+    .filter(({ match }) => isLikelyDuplicate(match))
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit);
+}
+
+module.exports = { normalizeSongField, lyricsFingerprint, scoreSongMatch, rankSongMatches };
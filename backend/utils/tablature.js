@@ -0,0 +1,167 @@
+// ASCII tablature validation for compositions of type 'tabs'
+//
+// A stave is a run of consecutive string lines such as:
+//
+//   e|-----0-----|
+//   B|---1---1---|
+//   G|-0-------0-|
+//
+// Each stave is checked against the composition's tuning: one line per string,
+// equal line lengths and legal fret numbers. Other lines (lyrics, chord names,
+// blank lines) may appear between staves.
+
+const { parseKey, transposeKey } = require('./transpose');
+
+const MAX_FRET = 24;
+
+// Tunings listed low string to high string
+const NAMED_TUNINGS = {
+  standard: ['E', 'A', 'D', 'G', 'B', 'E'],
+  estandard: ['E', 'A', 'D', 'G', 'B', 'E'],
+  halfstepdown: ['D#', 'G#', 'C#', 'F#', 'A#', 'D#'],
+  ebstandard: ['D#', 'G#', 'C#', 'F#', 'A#', 'D#'],
+  dstandard: ['D', 'G', 'C', 'F', 'A', 'D'],
+  dropd: ['D', 'A', 'D', 'G', 'B', 'E'],
+  dropc: ['C', 'G', 'C', 'F', 'A', 'D'],
+  openg: ['D', 'G', 'D', 'G', 'B', 'D'],
+  opend: ['D', 'A', 'D', 'F#', 'A', 'D'],
+  opene: ['E', 'B', 'E', 'G#', 'B', 'E'],
+  dadgad: ['D', 'A', 'D', 'G', 'A', 'D']
+};
+
+const DEFAULT_TUNINGS = {
+  bass: ['E', 'A', 'D', 'G'],
+  default: NAMED_TUNINGS.standard
+};
+
+// Optional string label, a bar line, then the string body
+const STAVE_LINE_PATTERN = /^\s*([A-Ga-g][#b]?)?\s*[|:](.*)$/;
+
+// Fret numbers plus the usual technique markers (hammer-ons, pull-offs, bends, slides, etc.)
+const BODY_CHARACTER_PATTERN = /[0-9\-|:hpbrtsxXv~/\\()<>.*^=\s]/;
+
+// Pitch class of a note name in Composition.key enum spelling
+const normalizeNote = (note) => (parseKey(note) ? transposeKey(note, 0) : null);
+
+// Resolve the tuning field into a list of string notes, low to high
+function parseTuning(tuning, instrument) {
+  const raw = String(tuning || '').trim();
+  if (!raw) {
+    return DEFAULT_TUNINGS[instrument] || DEFAULT_TUNINGS.default;
+  }
+
+  // "Standard (EADGBE)" spells the notes out in parentheses
+  const spelled = raw.match(/\(([^)]+)\)/);
+  const candidate = (spelled ? spelled[1] : raw).replace(/[\s,\-\d]/g, '');
+
+  // Upper-case notes may be followed by "b" for flat; lower-case "b" is always the note B
+  const notes = candidate.match(/[A-G][#b]?|[a-g]#?/g);
+  if (notes && notes.join('') === candidate && notes.length >= 4) {
+    return notes.map(note => normalizeNote(note.charAt(0).toUpperCase() + note.slice(1)));
+  }
+
+  const named = NAMED_TUNINGS[raw.toLowerCase().replace(/[^a-z]/g, '')];
+  return named || null;
+}
+
+// Validate tab content against a tuning; returns { content, errors } with
+// trailing whitespace removed and string labels filled in where missing
+function validateTablature(content, tuning, instrument) {
+  const strings = parseTuning(tuning, instrument);
+  if (!strings) {
+    return {
+      content,
+      errors: [{ path: 'tuning', message: `Unrecognized tuning "${tuning}"` }]
+    };
+  }
+
+  // Tabs are written with the highest string on top
+  const expectedLabels = [...strings].reverse();
+  const errors = [];
+  const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+  const output = [...lines];
+  const staves = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    if (STAVE_LINE_PATTERN.test(line) && line.includes('-')) {
+      if (!current) {
+        current = [];
+        staves.push(current);
+      }
+      current.push(i);
+    } else {
+      current = null;
+    }
+  });
+
+  if (staves.length === 0) {
+    return {
+      content,
+      errors: [{ line: 1, message: 'No tablature staves found' }]
+    };
+  }
+
+  staves.forEach(stave => {
+    const firstLine = stave[0] + 1;
+
+    if (stave.length !== strings.length) {
+      errors.push({
+        line: firstLine,
+        message: `Stave has ${stave.length} strings, expected ${strings.length} for tuning ${strings.join(' ')}`
+      });
+    }
+
+    const labelWidth = Math.max(...expectedLabels.map(label => label.length));
+
+    stave.forEach((lineIndex, stringIndex) => {
+      const lineNumber = lineIndex + 1;
+      const [, label, body] = lines[lineIndex].match(STAVE_LINE_PATTERN);
+      const expected = expectedLabels[stringIndex];
+
+      if (label && expected && normalizeNote(label.charAt(0).toUpperCase() + label.slice(1)) !== expected) {
+        errors.push({ line: lineNumber, message: `String label "${label}" does not match tuning (expected ${expected})` });
+      }
+
+      const bodyStart = lines[lineIndex].length - body.length;
+      for (let column = 0; column < body.length; column++) {
+        const character = body.charAt(column);
+        if (!BODY_CHARACTER_PATTERN.test(character)) {
+          errors.push({ line: lineNumber, message: `Unexpected character "${character}" at column ${bodyStart + column + 1}` });
+          break;
+        }
+      }
+
+      (body.match(/\d+/g) || []).forEach(fret => {
+        if (parseInt(fret, 10) > MAX_FRET) {
+          errors.push({ line: lineNumber, message: `Fret ${fret} is out of range (0-${MAX_FRET})` });
+        }
+      });
+
+      // The high string is written in lower case when it repeats the low string's note
+      let displayLabel = label || expected || '';
+      if (!label && stringIndex === 0 && expected === expectedLabels[expectedLabels.length - 1]) {
+        displayLabel = expected.toLowerCase();
+      }
+      output[lineIndex] = displayLabel.padEnd(labelWidth) + '|' + body;
+    });
+
+    const lengths = stave.map(lineIndex => output[lineIndex].length);
+    const staveLength = lengths[0];
+    lengths.forEach((length, stringIndex) => {
+      if (length !== staveLength) {
+        errors.push({
+          line: stave[stringIndex] + 1,
+          message: `Line is ${length} characters long, expected ${staveLength} to match the stave`
+        });
+      }
+    });
+  });
+
+  return {
+    content: output.join('\n'),
+    errors: errors.sort((a, b) => a.line - b.line)
+  };
+}
+
+module.exports = { parseTuning, validateTablature };
@@ -0,0 +1,44 @@
+// Text normalization and fuzzy matching helpers
+
+// Lower-case, strip diacritics and punctuation, and collapse whitespace
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Dice coefficient over character bigrams of the normalized texts, from 0 to 1
+function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let overlap = 0;
+
+  leftPairs.forEach((count, pair) => {
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+  });
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+const splitLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+module.exports = { normalizeText, similarity, splitLines };
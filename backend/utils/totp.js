@@ -0,0 +1,109 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps,
+// plus single-use recovery codes
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Steps either side of now to accept, for clock drift between phone and server
+const DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) continue;
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// A new random secret, base32 encoded as authenticator apps expect
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+const stepAt = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for a time step (HOTP with the step as counter)
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(value).padStart(DIGITS, '0');
+}
+
+function generateCode(secret, time = Date.now()) {
+  return codeForStep(secret, stepAt(time));
+}
+
+// The time step a code matches, or null. Steps at or before `afterStep` are
+// refused so an intercepted code cannot be replayed.
+function verifyCode(secret, code, { time = Date.now(), afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI for enrolling an authenticator app, usually shown as a QR code
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes look like "k3f9-x2mq"; store them with hashRecoveryCode
+function generateRecoveryCodes(count = 10) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,153 @@
+// Chord transposition helpers
+//
+// Keys follow the Composition.key enum (sharps only, "m" suffix for minor).
+// Output spelling uses flats or sharps depending on the target key.
+
+const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NOTE_INDEX = {
+  C: 0, 'B#': 0,
+  'C#': 1, Db: 1,
+  D: 2,
+  'D#': 3, Eb: 3,
+  E: 4, Fb: 4,
+  F: 5, 'E#': 5,
+  'F#': 6, Gb: 6,
+  G: 7,
+  'G#': 8, Ab: 8,
+  A: 9,
+  'A#': 10, Bb: 10,
+  B: 11, Cb: 11
+};
+
+// Keys conventionally written with flats
+const FLAT_KEYS = ['F', 'A#', 'D#', 'G#', 'C#', 'Dm', 'Gm', 'Cm', 'Fm', 'A#m', 'D#m'];
+
+// Chord suffixes are built from known parts (m7, maj9, sus4, add9, 7b9,
+// dim, aug, (add9), ...) so words such as "Every" or "Go" are not chords
+const EXTENSION = '[#b]?\\d+|maj\\d*|min|m|M|dim|aug|sus\\d*|add\\d+|alt|no\\d+|[+\\-\\u00b0\\u00f8]';
+const QUALITY = `(?:${EXTENSION}|\\((?:${EXTENSION}|,)+\\))*`;
+const CHORD_PATTERN = new RegExp(`^([A-G][#b]?)(${QUALITY})(?:\\/([A-G][#b]?))?$`);
+
+const mod12 = (n) => ((n % 12) + 12) % 12;
+
+function noteIndex(note) {
+  return NOTE_INDEX[note] !== undefined ? NOTE_INDEX[note] : null;
+}
+
+function transposeNote(note, semitones, preferFlats) {
+  const index = noteIndex(note);
+  if (index === null) return note;
+  const notes = preferFlats ? FLAT_NOTES : SHARP_NOTES;
+  return notes[mod12(index + semitones)];
+}
+
+// Split a key such as "F#m" into its tonic and mode
+function parseKey(key) {
+  const match = String(key || '').match(/^([A-G][#b]?)(m?)$/);
+  if (!match || noteIndex(match[1]) === null) return null;
+  return { tonic: match[1], minor: match[2] === 'm' };
+}
+
+// Shift a key and return it in Composition.key enum form
+function transposeKey(key, semitones) {
+  const parsed = parseKey(key);
+  if (!parsed) return null;
+  return transposeNote(parsed.tonic, semitones, false) + (parsed.minor ? 'm' : '');
+}
+
+// Semitone distance from one key to another, normalized to -5..6
+function semitonesBetween(fromKey, toKey) {
+  const from = parseKey(fromKey);
+  const to = parseKey(toKey);
+  if (!from || !to) return null;
+  const diff = mod12(noteIndex(to.tonic) - noteIndex(from.tonic));
+  return diff > 6 ? diff - 12 : diff;
+}
+
+function prefersFlats(key) {
+  const parsed = parseKey(key);
+  if (!parsed) return false;
+  const normalized = transposeNote(parsed.tonic, 0, false) + (parsed.minor ? 'm' : '');
+  return FLAT_KEYS.includes(normalized);
+}
+
+function isChord(token) {
+  return CHORD_PATTERN.test(token);
+}
+
+// Transpose a single chord symbol such as "C#m7/G#"; unknown symbols are returned as-is
+function transposeChord(chord, semitones, preferFlats) {
+  const match = chord.match(CHORD_PATTERN);
+  if (!match) return chord;
+
+  const [, root, quality, bass] = match;
+  let result = transposeNote(root, semitones, preferFlats) + quality;
+  if (bass) {
+    result += '/' + transposeNote(bass, semitones, preferFlats);
+  }
+  return result;
+}
+
+// A line consisting only of chord symbols, as in plain-text chord sheets
+function isChordLine(line) {
+  const tokens = line.trim().split(/\s+/).filter(Boolean);
+  return tokens.length > 0 && tokens.every(token => isChord(token) || token === '|');
+}
+
+// Transpose a chord-only line, keeping chords in their original columns where possible
+function transposeChordLine(line, semitones, preferFlats) {
+  // Columns the output has drifted ahead of the input
+  let drift = 0;
+
+  return line.split(/(\s+)/).map(part => {
+    if (/^\s+$/.test(part)) {
+      const width = Math.max(part.length - drift, 1);
+      drift += width - part.length;
+      return ' '.repeat(width);
+    }
+    const transposed = transposeChord(part, semitones, preferFlats);
+    drift += transposed.length - part.length;
+    return transposed;
+  }).join('');
+}
+
+// Transpose every chord in ChordPro or plain-text chord sheet content
+function transposeContent(content, semitones, preferFlats) {
+  return String(content || '')
+    .split('\n')
+    .map(line => {
+      const keyDirective = line.match(/^(\s*\{\s*key\s*:\s*)([^}]*?)(\s*\}\s*)$/i);
+      if (keyDirective) {
+        const parsed = parseKey(keyDirective[2]);
+        if (!parsed) return line;
+        const tonic = transposeNote(parsed.tonic, semitones, preferFlats);
+        return keyDirective[1] + tonic + (parsed.minor ? 'm' : '') + keyDirective[3];
+      }
+
+      if (line.trim().startsWith('{')) return line;
+
+      if (line.includes('[')) {
+        return line.replace(/\[([^\]]+)\]/g, (bracket, chord) => `[${transposeChord(chord.trim(), semitones, preferFlats)}]`);
+      }
+
+      if (isChordLine(line)) {
+        return transposeChordLine(line, semitones, preferFlats);
+      }
+
+      return line;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  parseKey,
+  prefersFlats,
+  semitonesBetween,
+  transposeKey,
+  transposeChord,
+  transposeContent,
+  isChord,
+  isChordLine
+};
@@ -0,0 +1,38 @@
+// Readable device names from User-Agent headers, e.g. "Firefox on Windows".
+// Only tells common browsers and systems apart; anything else is "Unknown".
+
+// Checked in order: Edge and Opera also claim to be Chrome, Chrome claims Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+function describeUserAgent(userAgent = '') {
+  const browser = firstMatch(BROWSERS, userAgent);
+  const system = firstMatch(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+// Phones and tablets, for picking an icon
+function isMobileUserAgent(userAgent = '') {
+  return /Mobi|Android|iPhone|iPad|iPod/.test(userAgent);
+}
+
+module.exports = { describeUserAgent, isMobileUserAgent };
@@ -0,0 +1,149 @@
+// Add song page logic
+
+// Values the Song model accepts; anything else on the form is sent as 'other'
+const SONG_GENRES = ['pop', 'rock', 'jazz', 'classical', 'country', 'hip-hop', 'electronic', 'folk', 'blues', 'r&b', 'indie', 'alternative', 'other'];
+const SONG_INSTRUMENTS = ['guitar', 'piano', 'violin', 'drums', 'bass', 'flute', 'trumpet', 'saxophone', 'vocals', 'other'];
+
+class AddSongPage {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const form = $('#addSongForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+        }
+
+        const lyrics = $('#songLyrics');
+        if (lyrics) {
+            lyrics.addEventListener('input', () => this.updateLyricsCount());
+        }
+
+        // A changed title or artist needs a fresh duplicate check
+        ['#songTitle', '#songArtist', '#songLyrics'].forEach(selector => {
+            $(selector)?.addEventListener('change', () => this.hideCandidates());
+        });
+    }
+
+    updateLyricsCount() {
+        const text = $('#songLyrics').value;
+        const setText = (selector, value) => {
+            const element = $(selector);
+            if (element) element.textContent = formatNumber(value);
+        };
+
+        setText('#charCount', text.length);
+        setText('#lineCount', text ? text.split('\n').length : 0);
+    }
+
+    collectSongData() {
+        const value = (selector) => $(selector)?.value.trim() || '';
+
+        const songData = {
+            title: value('#songTitle'),
+            artist: value('#songArtist'),
+            genre: SONG_GENRES.includes(value('#songGenre')) ? value('#songGenre') : 'other',
+            language: value('#songLanguage') || 'english',
+            officialLyrics: value('#songLyrics'),
+            instruments: [...new Set(Array.from($$('input[name="instruments"]:checked'),
+                input => SONG_INSTRUMENTS.includes(input.value) ? input.value : 'other'))]
+        };
+
+        if (value('#songAlbum')) songData.album = value('#songAlbum');
+        if (value('#songYear')) songData.releaseYear = parseInt(value('#songYear'));
+
+        const duration = value('#songDuration').match(/^(\d+):([0-5]\d)$/);
+        if (duration) songData.duration = parseInt(duration[1]) * 60 + parseInt(duration[2]);
+
+        const tags = value('#songTags').split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length > 0) songData.tags = tags;
+
+        return songData;
+    }
+
+    async submit(force = false) {
+        if (!auth.requireAuth()) return;
+
+        const songData = this.collectSongData();
+        if (force) songData.force = true;
+
+        const submitButton = $('#addSongForm button[type="submit"]');
+        if (submitButton) submitButton.disabled = true;
+
+        try {
+            const response = await api.createSong(songData);
+            toast.success('Song added! It will be reviewed by our editors.');
+            window.location.href = `song.html?id=${response.song._id}`;
+        } catch (error) {
+            if (error.status === 409 && error.data?.candidates) {
+                this.showCandidates(error.data.candidates);
+                return;
+            }
+            console.error('Failed to add song:', error);
+            toast.error(error.errors?.[0]?.msg || error.message || 'Failed to add song');
+        } finally {
+            if (submitButton) submitButton.disabled = false;
+        }
+    }
+
+    showCandidates(candidates) {
+        const section = $('#duplicateCandidates');
+        const list = $('#duplicateCandidateList');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        candidates.forEach(({ song, score, matches }) => {
+            const reasons = [];
+            if (matches.title >= 0.85) reasons.push('title');
+            if (matches.artist >= 0.7) reasons.push('artist');
+            if (matches.lyrics >= 0.85) reasons.push('lyrics');
+
+            list.appendChild(createElement('div', { className: 'duplicate-candidate' },
+                createElement('div', { className: 'duplicate-candidate-body' },
+                    createElement('a', { href: `song.html?id=${song._id}`, target: '_blank' }, song.title),
+                    song.isVerified
+                        ? createElement('span', { className: 'verified-badge', title: 'Verified by editors' },
+                            createElement('i', { className: 'fas fa-check-circle' }))
+                        : '',
+                    createElement('p', { className: 'text-muted' },
+                        `${song.artist}${song.album ? ` \u00b7 ${song.album}` : ''} \u00b7 ${formatNumber(song.compositionsCount || 0)} compositions`)
+                ),
+                createElement('span', { className: 'duplicate-score', title: reasons.length ? `Matching ${reasons.join(', ')}` : '' },
+                    `${Math.round(score * 100)}% match`),
+                createElement('a', { className: 'btn btn-primary btn-sm', href: `song.html?id=${song._id}` }, 'Use this song')
+            ));
+        });
+
+        section.style.display = '';
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    hideCandidates() {
+        const section = $('#duplicateCandidates');
+        if (section) section.style.display = 'none';
+    }
+}
+
+// Create page instance
+const addSongPage = new AddSongPage();
+
+window.submitSongAnyway = function() {
+    addSongPage.submit(true);
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AddSongPage };
+}
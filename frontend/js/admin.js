@@ -0,0 +1,355 @@
+// Moderation page logic
+
+const REPORT_REASONS = { copyright: 'Copyright', spam: 'Spam', abuse: 'Abuse' };
+
+const MODERATION_ACTIONS = {
+    hide: 'Hid content',
+    unhide: 'Restored content',
+    make_private: 'Made private',
+    suspend: 'Suspended owner',
+    unsuspend: 'Lifted suspension',
+    dismiss: 'Dismissed report',
+    reopen: 'Reopened report',
+    note: 'Added note',
+    review: 'Reviewed'
+};
+
+class ModerationPage {
+    constructor() {
+        this.status = 'open';
+        this.reportsPage = 1;
+        this.auditPage = 1;
+        this.current = null;
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        if (!auth.token) {
+            window.location.href = '/';
+            return;
+        }
+
+        $$('.tab-btn[data-tab]').forEach(button => {
+            button.addEventListener('click', () => {
+                $$('.tab-btn[data-tab]').forEach(other => other.classList.toggle('active', other === button));
+                $$('.tab-content').forEach(panel => {
+                    panel.classList.toggle('active', panel.id === `${button.dataset.tab}Tab`);
+                });
+                if (button.dataset.tab === 'audit') {
+                    this.loadAudit();
+                }
+            });
+        });
+
+        $$('[data-report-status]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.status = button.dataset.reportStatus;
+                $$('[data-report-status]').forEach(other => other.classList.toggle('active', other === button));
+                this.loadReports();
+            });
+        });
+
+        ['#reportTypeFilter', '#reportReasonFilter'].forEach(selector => {
+            $(selector)?.addEventListener('change', () => this.loadReports());
+        });
+
+        $('#loadMoreReports')?.addEventListener('click', () => this.loadReports(this.reportsPage + 1));
+        $('#loadMoreAudit')?.addEventListener('click', () => this.loadAudit(this.auditPage + 1));
+
+        this.loadReports();
+    }
+
+    async loadReports(page = 1) {
+        const list = $('#reportList');
+        const loadMore = $('#loadMoreReports');
+        if (!list) return;
+
+        const params = { status: this.status, page };
+        const targetType = $('#reportTypeFilter')?.value;
+        const reason = $('#reportReasonFilter')?.value;
+        if (targetType) params.targetType = targetType;
+        if (reason) params.reason = reason;
+
+        try {
+            const response = await api.getReports(params);
+            if (page === 1) list.innerHTML = '';
+            this.reportsPage = page;
+
+            const count = $('#openReportsCount');
+            if (count) count.textContent = formatNumber(response.openCount);
+
+            if (page === 1 && response.reports.length === 0) {
+                list.appendChild(createElement('p', { className: 'text-muted' }, 'No reports here.'));
+            }
+
+            response.reports.forEach(report => list.appendChild(this.createReportItem(report)));
+
+            if (loadMore) loadMore.style.display = response.pagination.hasNext ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load reports:', error);
+            list.innerHTML = '<p class="text-muted">Failed to load reports.</p>';
+            toast.error(error.message || 'Failed to load reports');
+        }
+    }
+
+    createReportItem(report) {
+        const item = createElement('button', {
+            className: `report-item${this.current?._id === report._id ? ' active' : ''}`,
+            dataset: { id: report._id },
+            onclick: () => this.selectReport(report._id)
+        },
+            createElement('span', { className: `report-reason ${report.reason}` }, REPORT_REASONS[report.reason]),
+            createElement('span', { className: 'report-item-title' }, this.describeTarget(report.targetType, report.target)),
+            createElement('small', { className: 'text-muted' },
+                `${report.targetType} \u00b7 by ${report.reporter?.username || 'unknown'} \u00b7 ${formatRelativeTime(report.createdAt)}`)
+        );
+
+        if (report.status !== 'open') {
+            item.appendChild(createElement('span', { className: `report-status ${report.status}` }, report.status));
+        }
+
+        return item;
+    }
+
+    describeTarget(targetType, target) {
+        if (!target || typeof target !== 'object') return '[removed]';
+
+        switch (targetType) {
+            case 'User': return `@${target.username}`;
+            case 'Comment': return target.body ? `"${target.body.slice(0, 80)}"` : '[deleted comment]';
+            case 'Song': return `${target.title} - ${target.artist}`;
+            default: return target.title;
+        }
+    }
+
+    targetLink(targetType, target) {
+        if (!target || typeof target !== 'object') return null;
+
+        switch (targetType) {
+            case 'Song': return `song.html?id=${target._id}`;
+            case 'Composition': return `composition.html?id=${target._id}`;
+            case 'Comment': return `composition.html?id=${target.composition}`;
+            case 'User': return `profile.html?id=${target._id}`;
+            default: return null;
+        }
+    }
+
+    async selectReport(id) {
+        const panel = $('#reportDetail');
+        if (!panel) return;
+
+        try {
+            const response = await api.getReport(id);
+            this.current = response.report;
+            $$('.report-item').forEach(item => item.classList.toggle('active', item.dataset.id === id));
+            this.renderDetail(response);
+        } catch (error) {
+            console.error('Failed to load report:', error);
+            toast.error(error.message || 'Failed to load report');
+        }
+    }
+
+    renderDetail({ report, relatedReports, history }) {
+        const panel = $('#reportDetail');
+        panel.innerHTML = '';
+
+        const target = report.target && typeof report.target === 'object' ? report.target : null;
+        const link = this.targetLink(report.targetType, target);
+        const state = [];
+        if (target?.isHidden) state.push('hidden');
+        if (report.targetType === 'Composition' && target && !target.isPublic) state.push('private');
+        if (target?.isSuspended) state.push('suspended');
+
+        panel.appendChild(createElement('div', { className: 'report-detail-header' },
+            createElement('h3', {},
+                link
+                    ? createElement('a', { href: link, target: '_blank' }, this.describeTarget(report.targetType, target))
+                    : this.describeTarget(report.targetType, target)
+            ),
+            createElement('p', { className: 'text-muted' },
+                [report.targetType, ...state].join(' \u00b7 '))
+        ));
+
+        panel.appendChild(createElement('div', { className: 'report-summary' },
+            createElement('p', {},
+                createElement('span', { className: `report-reason ${report.reason}` }, REPORT_REASONS[report.reason]),
+                ` reported by ${report.reporter?.username || 'unknown'} ${formatRelativeTime(report.createdAt)}`
+            ),
+            report.details ? createElement('blockquote', { className: 'report-details' }, report.details) : '',
+            createElement('p', { className: 'text-muted' },
+                report.status === 'open'
+                    ? 'Open'
+                    : `${report.status === 'actioned' ? 'Actioned' : 'Dismissed'} by ${report.resolvedBy?.username || 'a moderator'} ${formatRelativeTime(report.resolvedAt)}`)
+        ));
+
+        panel.appendChild(this.createActions(report, target));
+
+        if (relatedReports.length > 0) {
+            panel.appendChild(createElement('h4', {}, `Other reports on this (${relatedReports.length})`));
+            const related = createElement('ul', { className: 'report-related' });
+            relatedReports.forEach(other => related.appendChild(createElement('li', {},
+                `${REPORT_REASONS[other.reason]} by ${other.reporter?.username || 'unknown'} \u00b7 ${other.status} \u00b7 ${formatRelativeTime(other.createdAt)}`
+            )));
+            panel.appendChild(related);
+        }
+
+        panel.appendChild(createElement('h4', {}, 'Notes'));
+        const notes = createElement('div', { className: 'report-notes' });
+        if (report.notes.length === 0) {
+            notes.appendChild(createElement('p', { className: 'text-muted' }, 'No notes yet.'));
+        }
+        report.notes.forEach(note => notes.appendChild(createElement('div', { className: 'report-note' },
+            createElement('strong', {}, note.author?.username || 'Moderator'),
+            createElement('small', { className: 'text-muted' }, ` ${formatRelativeTime(note.createdAt)}`),
+            createElement('p', {}, note.body)
+        )));
+        panel.appendChild(notes);
+
+        const noteInput = createElement('textarea', { rows: '2', placeholder: 'Add a note for other moderators' });
+        const noteForm = createElement('form', { className: 'report-note-form' },
+            noteInput,
+            createElement('button', { type: 'submit', className: 'btn btn-outline btn-sm' }, 'Add Note')
+        );
+        noteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addNote(noteInput.value.trim());
+        });
+        panel.appendChild(noteForm);
+
+        panel.appendChild(createElement('h4', {}, 'History'));
+        const log = createElement('ul', { className: 'audit-entries' });
+        if (history.length === 0) {
+            log.appendChild(createElement('li', { className: 'text-muted' }, 'No actions yet.'));
+        }
+        history.forEach(entry => log.appendChild(this.createAuditEntry(entry)));
+        panel.appendChild(log);
+    }
+
+    createActions(report, target) {
+        const reason = createElement('input', { type: 'text', id: 'actionReason', placeholder: 'Reason (shown in the audit log)', maxlength: '2000' });
+        const days = createElement('input', { type: 'number', id: 'suspendDays', min: '1', max: '365', placeholder: 'Days (blank = until lifted)' });
+        const buttons = createElement('div', { className: 'report-action-buttons' });
+
+        const addButton = (action, label, className = 'btn-outline') => {
+            buttons.appendChild(createElement('button', {
+                className: `btn ${className} btn-sm`,
+                onclick: () => this.act(action, reason.value.trim(), days.value)
+            }, label));
+        };
+
+        if (target) {
+            if (report.targetType !== 'User') {
+                if (target.isHidden) {
+                    addButton('unhide', 'Restore');
+                } else {
+                    addButton('hide', 'Hide', 'btn-danger');
+                }
+            }
+            if (report.targetType === 'Composition' && target.isPublic) {
+                addButton('make_private', 'Make Private');
+            }
+            if (report.targetType === 'User' && target.isSuspended) {
+                addButton('unsuspend', 'Lift Suspension');
+            } else {
+                addButton('suspend', report.targetType === 'User' ? 'Suspend User' : 'Suspend Owner', 'btn-danger');
+            }
+        }
+
+        if (report.status === 'open') {
+            addButton('dismiss', 'Dismiss');
+        } else {
+            addButton('reopen', 'Reopen');
+        }
+
+        return createElement('div', { className: 'report-actions' }, reason, days, buttons);
+    }
+
+    createAuditEntry(entry) {
+        const subject = entry.targetOwner?.username ? ` (${entry.targetOwner.username})` : '';
+        const until = entry.action === 'suspend'
+            ? (entry.details?.suspendedUntil ? ` until ${formatDate(entry.details.suspendedUntil)}` : ' until lifted')
+            : '';
+
+        return createElement('li', { className: 'audit-entry' },
+            createElement('strong', {}, entry.moderator?.username || 'Moderator'),
+            ` ${(MODERATION_ACTIONS[entry.action] || entry.action).toLowerCase()}${until} \u00b7 ${entry.targetType}${subject}`,
+            entry.reason ? createElement('span', { className: 'audit-reason' }, ` \u2014 ${entry.reason}`) : '',
+            createElement('small', { className: 'text-muted' }, ` ${formatRelativeTime(entry.createdAt)}`)
+        );
+    }
+
+    async act(action, reason, days) {
+        if (!this.current) return;
+        if (action === 'suspend' && !confirm('Suspend the owner of this content?')) return;
+
+        const actionData = { action };
+        if (reason) actionData.reason = reason;
+        if (action === 'suspend' && days) actionData.days = parseInt(days);
+
+        try {
+            await api.actOnReport(this.current._id, actionData);
+            toast.success(MODERATION_ACTIONS[action]);
+            await this.selectReport(this.current._id);
+            this.loadReports();
+        } catch (error) {
+            console.error('Moderation action failed:', error);
+            toast.error(error.message || 'Failed to apply action');
+        }
+    }
+
+    async addNote(body) {
+        if (!this.current || !body) return;
+
+        try {
+            await api.addReportNote(this.current._id, body);
+            await this.selectReport(this.current._id);
+        } catch (error) {
+            console.error('Failed to add note:', error);
+            toast.error(error.message || 'Failed to add note');
+        }
+    }
+
+    async loadAudit(page = 1) {
+        const container = $('#auditLog');
+        const loadMore = $('#loadMoreAudit');
+        if (!container) return;
+
+        try {
+            const response = await api.getAuditLog({ page });
+            if (page === 1) container.innerHTML = '';
+            this.auditPage = page;
+
+            if (page === 1 && response.actions.length === 0) {
+                container.appendChild(createElement('p', { className: 'text-muted' }, 'No moderation actions yet.'));
+            }
+
+            let list = container.querySelector('ul');
+            if (!list) {
+                list = createElement('ul', { className: 'audit-entries' });
+                container.appendChild(list);
+            }
+            response.actions.forEach(entry => list.appendChild(this.createAuditEntry(entry)));
+
+            if (loadMore) loadMore.style.display = response.pagination.hasNext ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            container.innerHTML = '<p class="text-muted">Failed to load audit log.</p>';
+        }
+    }
+}
+
+// Create page instance
+const moderationPage = new ModerationPage();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModerationPage };
+}
@@ -6,16 +6,86 @@ class APIClient {
     constructor() {
         this.baseURL = API_BASE_URL;
         this.token = localStorage.getItem('authToken');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        this.refreshing = null;
     }
 
-    // Set authentication token
-    setToken(token) {
+    // Set authentication tokens; clearing the access token clears both
+    setToken(token, refreshToken) {
         this.token = token;
         if (token) {
             localStorage.setItem('authToken', token);
         } else {
             localStorage.removeItem('authToken');
         }
+
+        if (refreshToken !== undefined || !token) {
+            this.refreshToken = refreshToken || null;
+            if (refreshToken) {
+                localStorage.setItem('refreshToken', refreshToken);
+            } else {
+                localStorage.removeItem('refreshToken');
+            }
+        }
+    }
+
+    // Trade the refresh token for new tokens. Concurrent callers share one
+    // request; resolves to whether the session is still usable.
+    async refreshSession() {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('authToken');
+        if (storedToken && storedToken !== this.token) {
+            this.token = storedToken;
+            this.refreshToken = localStorage.getItem('refreshToken');
+            return true;
+        }
+
+        if (!this.refreshToken) return false;
+
+        if (!this.refreshing) {
+            this.refreshing = this.request('/auth/refresh', {
+                method: 'POST',
+                body: { refreshToken: this.refreshToken },
+                auth: false
+            })
+                .then(data => {
+                    this.setToken(data.token, data.refreshToken);
+                    return true;
+                })
+                .catch(() => {
+                    this.setToken(null);
+                    window.dispatchEvent(new CustomEvent('auth:expired'));
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+
+        return this.refreshing;
+    }
+
+    // Whether the access token has expired or will within `margin` seconds.
+    // Only reads the exp claim; the server still checks the signature.
+    isTokenExpired(token = this.token, margin = 30) {
+        if (!token) return false;
+
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const { exp } = JSON.parse(atob(payload));
+            return typeof exp === 'number' && exp - margin <= Date.now() / 1000;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Refresh ahead of requests that cannot recover from a stale token on
+    // their own: optional-auth reads answer as if logged out instead of
+    // with a 401, and EventSource gives up on an error status.
+    async ensureFreshToken() {
+        if (this.token && this.isTokenExpired()) {
+            await this.refreshSession();
+        }
     }
 
     // Get authentication headers
@@ -33,6 +103,10 @@ class APIClient {
 
     // Generic API request method
     async request(endpoint, options = {}) {
+        if (options.auth !== false && !options.retried) {
+            await this.ensureFreshToken();
+        }
+
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             method: 'GET',
@@ -49,8 +123,19 @@ class APIClient {
             const response = await fetch(url, config);
             const data = await response.json();
 
+            // Access tokens are short-lived; refresh once and retry
+            if (response.status === 401 && options.auth !== false && !options.retried && this.token) {
+                if (await this.refreshSession()) {
+                    return this.request(endpoint, { ...options, retried: true });
+                }
+            }
+
             if (!response.ok) {
-                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+                const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                error.errors = data.errors || [];
+                error.data = data;
+                throw error;
             }
 
             return data;
@@ -60,6 +145,95 @@ class APIClient {
         }
     }
 
+    // File download request method; resolves to { blob, filename }
+    async requestFile(endpoint, options = {}) {
+        if (options.auth !== false && !options.retried) {
+            await this.ensureFreshToken();
+        }
+
+        const url = `${this.baseURL}${endpoint}`;
+        const headers = this.getHeaders(options.auth !== false);
+        delete headers['Content-Type'];
+
+        try {
+            const response = await fetch(url, { method: 'GET', headers });
+
+            if (response.status === 401 && options.auth !== false && !options.retried && this.token) {
+                if (await this.refreshSession()) {
+                    return this.requestFile(endpoint, { ...options, retried: true });
+                }
+            }
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            return {
+                blob: await response.blob(),
+                filename: match ? match[1] : 'download'
+            };
+        } catch (error) {
+            console.error('API file request failed:', error);
+            throw error;
+        }
+    }
+
+    // Live updates over Server-Sent Events. Channels look like
+    // "composition:<id>" or "song:<id>"; handlers are keyed by event name
+    // (vote, comment, composition, notification). Returns an unsubscribe function.
+    subscribe(channels = [], handlers = {}) {
+        if (typeof EventSource === 'undefined') return () => {};
+
+        let source = null;
+        let closed = false;
+
+        const connect = async () => {
+            await this.ensureFreshToken();
+            if (closed) return;
+
+            const token = this.token;
+            const params = new URLSearchParams();
+            if (channels.length > 0) params.set('channels', channels.join(','));
+            if (token) params.set('token', token);
+
+            source = new EventSource(`${this.baseURL}/events?${params.toString()}`);
+
+            Object.entries(handlers).forEach(([event, handler]) => {
+                source.addEventListener(event, (e) => {
+                    try {
+                        handler(JSON.parse(e.data));
+                    } catch (error) {
+                        console.error(`Failed to handle ${event} event:`, error);
+                    }
+                });
+            });
+
+            // EventSource retries dropped connections itself, but stops for
+            // good on an error status, e.g. a 401 once the token in the URL
+            // has expired. Reconnect when a fresh token is available.
+            source.addEventListener('error', async () => {
+                if (closed || source.readyState !== EventSource.CLOSED || !token) return;
+
+                if (token !== this.token || (this.isTokenExpired(token) && await this.refreshSession())) {
+                    connect();
+                } else {
+                    console.error('Live updates stopped: the event stream was refused');
+                }
+            });
+        };
+
+        connect().catch(error => console.error('Failed to open event stream:', error));
+
+        return () => {
+            closed = true;
+            if (source) source.close();
+        };
+    }
+
     // Authentication Methods
     async register(userData) {
         return this.request('/auth/register', {
@@ -77,6 +251,14 @@ class APIClient {
         });
     }
 
+    async completeTwoFactorLogin(challenge, code) {
+        return this.request('/auth/login/2fa', {
+            method: 'POST',
+            body: { challenge, code },
+            auth: false
+        });
+    }
+
     async getCurrentUser() {
         return this.request('/auth/me');
     }
@@ -96,6 +278,87 @@ class APIClient {
         return result;
     }
 
+    async logoutEverywhere() {
+        const result = await this.request('/auth/logout-all', {
+            method: 'POST'
+        });
+        this.setToken(null);
+        return result;
+    }
+
+    // Devices the current user is logged in on
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(id) {
+        return this.request(`/auth/sessions/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Two-factor authentication
+    async getTwoFactorStatus() {
+        return this.request('/auth/2fa');
+    }
+
+    async setupTwoFactor() {
+        return this.request('/auth/2fa/setup', {
+            method: 'POST'
+        });
+    }
+
+    async enableTwoFactor(code) {
+        return this.request('/auth/2fa/enable', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    async disableTwoFactor(code, password) {
+        return this.request('/auth/2fa/disable', {
+            method: 'POST',
+            body: { code, password }
+        });
+    }
+
+    async regenerateRecoveryCodes(code) {
+        return this.request('/auth/2fa/recovery-codes', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    async requestEmailVerification() {
+        return this.request('/auth/verify/request', {
+            method: 'POST'
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.request('/auth/verify', {
+            method: 'POST',
+            body: { token },
+            auth: false
+        });
+    }
+
+    async requestPasswordReset(email) {
+        return this.request('/auth/password-reset/request', {
+            method: 'POST',
+            body: { email },
+            auth: false
+        });
+    }
+
+    async resetPassword(token, password) {
+        return this.request('/auth/password-reset', {
+            method: 'POST',
+            body: { token, password },
+            auth: false
+        });
+    }
+
     // Song Methods
     async getSongs(params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -134,6 +397,126 @@ class APIClient {
         return this.request(`/songs/${id}/stats`, { auth: false });
     }
 
+    async getSongLyrics(id, format = 'json') {
+        return this.request(`/songs/${id}/lyrics?format=${encodeURIComponent(format)}`, { auth: false });
+    }
+
+    async downloadSongLyrics(id, format = 'lrc') {
+        return this.requestFile(`/songs/${id}/lyrics?format=${encodeURIComponent(format)}&download=true`, { auth: false });
+    }
+
+    async saveSyncedLyrics(id, lrc) {
+        return this.request(`/songs/${id}/lyrics/sync`, {
+            method: 'PUT',
+            body: { lrc }
+        });
+    }
+
+    async deleteSyncedLyrics(id) {
+        return this.request(`/songs/${id}/lyrics/sync`, {
+            method: 'DELETE'
+        });
+    }
+
+    async followSong(id) {
+        return this.request(`/songs/${id}/follow`, {
+            method: 'POST'
+        });
+    }
+
+    async unfollowSong(id) {
+        return this.request(`/songs/${id}/follow`, {
+            method: 'DELETE'
+        });
+    }
+
+    async bookmarkSong(id) {
+        return this.request(`/songs/${id}/bookmark`, {
+            method: 'POST'
+        });
+    }
+
+    async unbookmarkSong(id) {
+        return this.request(`/songs/${id}/bookmark`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getSongSubmissions(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/songs/submissions${queryString ? '?' + queryString : ''}`);
+    }
+
+    async getSongReviews(id) {
+        return this.request(`/songs/${id}/reviews`, { auth: false });
+    }
+
+    async getLyricSuggestions(songId, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/songs/${songId}/suggestions${queryString ? '?' + queryString : ''}`);
+    }
+
+    async suggestLyricEdit(songId, suggestionData) {
+        return this.request(`/songs/${songId}/suggestions`, {
+            method: 'POST',
+            body: suggestionData
+        });
+    }
+
+    async acceptLyricSuggestion(songId, suggestionId, data = {}) {
+        return this.request(`/songs/${songId}/suggestions/${suggestionId}/accept`, {
+            method: 'POST',
+            body: data
+        });
+    }
+
+    async rejectLyricSuggestion(songId, suggestionId, data = {}) {
+        return this.request(`/songs/${songId}/suggestions/${suggestionId}/reject`, {
+            method: 'POST',
+            body: data
+        });
+    }
+
+    async reviewSong(id, reviewData) {
+        return this.request(`/songs/${id}/review`, {
+            method: 'POST',
+            body: reviewData
+        });
+    }
+
+    // Annotation Methods
+    async getAnnotations(songId, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/songs/${songId}/annotations${queryString ? '?' + queryString : ''}`);
+    }
+
+    async addAnnotation(songId, annotationData) {
+        return this.request(`/songs/${songId}/annotations`, {
+            method: 'POST',
+            body: annotationData
+        });
+    }
+
+    async updateAnnotation(songId, annotationId, annotationData) {
+        return this.request(`/songs/${songId}/annotations/${annotationId}`, {
+            method: 'PUT',
+            body: annotationData
+        });
+    }
+
+    async deleteAnnotation(songId, annotationId) {
+        return this.request(`/songs/${songId}/annotations/${annotationId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async voteAnnotation(songId, annotationId, type) {
+        return this.request(`/songs/${songId}/annotations/${annotationId}/vote`, {
+            method: 'POST',
+            body: { type }
+        });
+    }
+
     // Composition Methods
     async getCompositions(params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -179,6 +562,157 @@ class APIClient {
         return this.request(`/compositions/${id}/votes`, { auth: false });
     }
 
+    async transposeComposition(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/compositions/${id}/transpose${queryString ? '?' + queryString : ''}`);
+    }
+
+    async downloadComposition(id) {
+        return this.requestFile(`/compositions/${id}/download`);
+    }
+
+    async exportComposition(id, format = 'txt') {
+        return this.requestFile(`/compositions/${id}/export?format=${encodeURIComponent(format)}`);
+    }
+
+    async bookmarkComposition(id) {
+        return this.request(`/compositions/${id}/bookmark`, {
+            method: 'POST'
+        });
+    }
+
+    async unbookmarkComposition(id) {
+        return this.request(`/compositions/${id}/bookmark`, {
+            method: 'DELETE'
+        });
+    }
+
+    async forkComposition(id, forkData = {}) {
+        return this.request(`/compositions/${id}/fork`, {
+            method: 'POST',
+            body: forkData
+        });
+    }
+
+    async getCompositionForks(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/compositions/${id}/forks${queryString ? '?' + queryString : ''}`, { auth: false });
+    }
+
+    // Setlist Methods
+    async getSetlists(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/setlists${queryString ? '?' + queryString : ''}`);
+    }
+
+    async getSetlist(id, shareToken = null) {
+        return this.request(`/setlists/${id}${shareToken ? '?share=' + encodeURIComponent(shareToken) : ''}`);
+    }
+
+    async createSetlist(setlistData) {
+        return this.request('/setlists', {
+            method: 'POST',
+            body: setlistData
+        });
+    }
+
+    async updateSetlist(id, setlistData) {
+        return this.request(`/setlists/${id}`, {
+            method: 'PUT',
+            body: setlistData
+        });
+    }
+
+    async deleteSetlist(id) {
+        return this.request(`/setlists/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async addSetlistItem(id, itemData) {
+        return this.request(`/setlists/${id}/items`, {
+            method: 'POST',
+            body: itemData
+        });
+    }
+
+    async updateSetlistItem(id, itemId, itemData) {
+        return this.request(`/setlists/${id}/items/${itemId}`, {
+            method: 'PUT',
+            body: itemData
+        });
+    }
+
+    async removeSetlistItem(id, itemId) {
+        return this.request(`/setlists/${id}/items/${itemId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async reorderSetlist(id, order) {
+        return this.request(`/setlists/${id}/reorder`, {
+            method: 'PUT',
+            body: { order }
+        });
+    }
+
+    async duplicateSetlist(id, shareToken = null) {
+        return this.request(`/setlists/${id}/duplicate${shareToken ? '?share=' + encodeURIComponent(shareToken) : ''}`, {
+            method: 'POST'
+        });
+    }
+
+    async exportSetlist(id, format = 'pdf', shareToken = null) {
+        const params = new URLSearchParams({ format });
+        if (shareToken) params.set('share', shareToken);
+        return this.requestFile(`/setlists/${id}/export?${params.toString()}`);
+    }
+
+    // Comment Methods
+    async getComments(compositionId, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/compositions/${compositionId}/comments${queryString ? '?' + queryString : ''}`);
+    }
+
+    async addComment(compositionId, body, parent = null) {
+        return this.request(`/compositions/${compositionId}/comments`, {
+            method: 'POST',
+            body: { body, parent }
+        });
+    }
+
+    async updateComment(compositionId, commentId, body) {
+        return this.request(`/compositions/${compositionId}/comments/${commentId}`, {
+            method: 'PUT',
+            body: { body }
+        });
+    }
+
+    async deleteComment(compositionId, commentId) {
+        return this.request(`/compositions/${compositionId}/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getCompositionRevisions(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/compositions/${id}/revisions${queryString ? '?' + queryString : ''}`);
+    }
+
+    async getCompositionRevision(id, revision) {
+        return this.request(`/compositions/${id}/revisions/${revision}`);
+    }
+
+    async diffCompositionRevisions(id, from, to) {
+        return this.request(`/compositions/${id}/revisions/diff?from=${from}&to=${to}`);
+    }
+
+    async restoreCompositionRevision(id, revision) {
+        return this.request(`/compositions/${id}/revisions/${revision}/restore`, {
+            method: 'POST'
+        });
+    }
+
     async getUserCompositions(userId, params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.request(`/compositions/user/${userId}${queryString ? '?' + queryString : ''}`, { auth: false });
@@ -199,10 +733,93 @@ class APIClient {
         return this.request(`/users/${userId}/songs${queryString ? '?' + queryString : ''}`, { auth: false });
     }
 
+    async followUser(id) {
+        return this.request(`/users/${id}/follow`, {
+            method: 'POST'
+        });
+    }
+
+    async unfollowUser(id) {
+        return this.request(`/users/${id}/follow`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getFollowers(userId, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/users/${userId}/followers${queryString ? '?' + queryString : ''}`, { auth: false });
+    }
+
+    async getFollowing(userId, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/users/${userId}/following${queryString ? '?' + queryString : ''}`, { auth: false });
+    }
+
+    async getFeed(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/feed${queryString ? '?' + queryString : ''}`);
+    }
+
+    // Notification Methods
+    async getNotifications(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/notifications${queryString ? '?' + queryString : ''}`);
+    }
+
+    async markNotificationsRead(ids = null) {
+        return this.request('/notifications', {
+            method: 'PATCH',
+            body: ids ? { ids, isRead: true } : { isRead: true }
+        });
+    }
+
+    async markNotificationRead(id, isRead = true) {
+        return this.request(`/notifications/${id}`, {
+            method: 'PATCH',
+            body: { isRead }
+        });
+    }
+
     async getDashboard() {
         return this.request('/users/me/dashboard');
     }
 
+    // Report & Moderation Methods
+    async reportContent(reportData) {
+        return this.request('/reports', {
+            method: 'POST',
+            body: reportData
+        });
+    }
+
+    async getReports(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/admin/reports${queryString ? '?' + queryString : ''}`);
+    }
+
+    async getReport(id) {
+        return this.request(`/admin/reports/${id}`);
+    }
+
+    async addReportNote(id, body) {
+        return this.request(`/admin/reports/${id}/notes`, {
+            method: 'POST',
+            body: { body }
+        });
+    }
+
+    async actOnReport(id, actionData) {
+        return this.request(`/admin/reports/${id}/actions`, {
+            method: 'POST',
+            body: actionData
+        });
+    }
+
+    async getAuditLog(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/admin/audit${queryString ? '?' + queryString : ''}`);
+    }
+
     // Search Methods
     async search(query, type = 'all', params = {}) {
         const searchParams = { search: query, ...params };
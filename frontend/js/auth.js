@@ -3,6 +3,7 @@
 class AuthManager {
     constructor() {
         this.currentUser = null;
+        this.unreadNotifications = 0;
         this.token = localStorage.getItem('authToken');
         // Don't initialize immediately, wait for global variables
         setTimeout(() => this.init(), 100);
@@ -38,6 +39,27 @@ class AuthManager {
         if (window.location.pathname === '/auth/success') {
             this.handleGoogleCallback();
         }
+
+        // Email verification page
+        if ($('#verifyEmailStatus')) {
+            this.handleVerifyEmail();
+        }
+
+        // Password reset page: request a link, or use one
+        const forgotPasswordForm = $('#forgotPasswordForm');
+        const resetPasswordForm = $('#resetPasswordForm');
+        if (forgotPasswordForm && resetPasswordForm) {
+            forgotPasswordForm.addEventListener('submit', (e) => this.handleForgotPassword(e));
+            resetPasswordForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+
+            if (getQueryParam('token')) {
+                forgotPasswordForm.style.display = 'none';
+                resetPasswordForm.style.display = '';
+            }
+        }
+
+        // The API client could not refresh the session, e.g. it was revoked elsewhere
+        window.addEventListener('auth:expired', () => this.handleSessionExpired());
     }
 
     async handleLogin(event) {
@@ -64,32 +86,114 @@ class AuthManager {
 
         try {
             const response = await api.login({ email, password });
-            
-            // Store token and user data
-            this.setToken(response.token);
-            this.currentUser = response.user;
-            
-            // Update UI
-            this.updateUI();
-            
-            // Close modal and show success message
             modal.close('loginModal');
-            toast.success('Welcome back!');
-            
-            // Redirect if needed
-            const redirectUrl = getQueryParam('redirect');
-            if (redirectUrl) {
-                window.location.href = redirectUrl;
+
+            // Two-factor accounts get a challenge instead of tokens
+            if (response.twoFactorRequired) {
+                this.promptTwoFactor(response.challenge);
+                return;
             }
-            
+
+            this.completeLogin(response);
         } catch (error) {
             console.error('Login error:', error);
+            if (error.status === 429) {
+                // Too many failed attempts; the message says how long to wait
+                toast.warning(error.message);
+                return;
+            }
             toast.error(error.message || 'Failed to login. Please try again.');
         } finally {
             loading.hide(loadingId);
         }
     }
 
+    completeLogin(response) {
+        // Store token and user data
+        this.setToken(response.token, response.refreshToken);
+        this.currentUser = response.user;
+        
+        // Update UI
+        this.updateUI();
+        toast.success('Welcome back!');
+
+        if (response.recoveryCodesLeft !== undefined) {
+            toast.warning(`You used a recovery code. ${response.recoveryCodesLeft} left; generate new ones from your dashboard.`);
+        }
+        
+        // Redirect if needed; a Google sign-in lands on /auth/success
+        const redirectUrl = getQueryParam('redirect') || (window.location.pathname === '/auth/success' ? '/' : null);
+        if (redirectUrl) {
+            window.location.href = redirectUrl;
+        }
+    }
+
+    // Second login step: a code from the authenticator app or a recovery code
+    promptTwoFactor(challenge) {
+        if (!$('#twoFactorModal')) {
+            const form = createElement('form', { id: 'twoFactorForm', className: 'auth-form' },
+                createElement('p', { className: 'text-muted' },
+                    'Enter the 6-digit code from your authenticator app, or one of your recovery codes.'),
+                createElement('div', { className: 'form-group' },
+                    createElement('input', {
+                        type: 'text',
+                        id: 'twoFactorCode',
+                        placeholder: '123456',
+                        autocomplete: 'one-time-code',
+                        required: 'required'
+                    })
+                ),
+                createElement('button', { type: 'submit', className: 'btn btn-primary btn-full' }, 'Verify')
+            );
+
+            form.addEventListener('submit', (e) => this.handleTwoFactorLogin(e));
+
+            document.body.appendChild(createElement('div', { id: 'twoFactorModal', className: 'modal' },
+                createElement('div', { className: 'modal-content' },
+                    createElement('div', { className: 'modal-header' },
+                        createElement('h3', {}, 'Two-Factor Authentication'),
+                        createElement('button', { className: 'modal-close', onclick: () => modal.close('twoFactorModal') }, '\u00d7')
+                    ),
+                    form
+                )
+            ));
+        }
+
+        const form = $('#twoFactorForm');
+        form.reset();
+        form.dataset.challenge = challenge;
+        modal.open('twoFactorModal');
+        $('#twoFactorCode').focus();
+    }
+
+    async handleTwoFactorLogin(event) {
+        event.preventDefault();
+
+        const form = $('#twoFactorForm');
+        const code = $('#twoFactorCode').value.trim();
+        if (!code) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const loadingId = loading.show(submitBtn, 'Verifying...');
+
+        try {
+            const response = await api.completeTwoFactorLogin(form.dataset.challenge, code);
+            modal.close('twoFactorModal');
+            this.completeLogin(response);
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            toast.error(error.message || 'Failed to verify code');
+
+            // The challenge expired; start over with the password
+            if (error.status === 401) {
+                modal.close('twoFactorModal');
+                modal.open('loginModal');
+            }
+        } finally {
+            loading.hide(loadingId);
+        }
+    }
+
     async handleRegister(event) {
         event.preventDefault();
         console.log('Registration form submitted');
@@ -138,7 +242,7 @@ class AuthManager {
             console.log('Registration response:', response);
             
             // Store token and user data
-            this.setToken(response.token);
+            this.setToken(response.token, response.refreshToken);
             this.currentUser = response.user;
             
             // Update UI
@@ -157,7 +261,13 @@ class AuthManager {
     }
 
     async handleGoogleCallback() {
-        const token = getQueryParam('token');
+        // Tokens arrive in the fragment; drop them from the address bar and history
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        const token = params.get('token');
+        const refreshToken = params.get('refreshToken');
+        const challenge = params.get('challenge');
         const error = getQueryParam('error');
 
         if (error) {
@@ -166,8 +276,13 @@ class AuthManager {
             return;
         }
 
+        if (challenge) {
+            this.promptTwoFactor(challenge);
+            return;
+        }
+
         if (token) {
-            this.setToken(token);
+            this.setToken(token, refreshToken);
             
             try {
                 await this.getCurrentUser();
@@ -182,6 +297,132 @@ class AuthManager {
         }
     }
 
+    async handleVerifyEmail() {
+        const status = $('#verifyEmailStatus');
+        const resendBtn = $('#resendVerificationBtn');
+        const token = getQueryParam('token');
+
+        if (resendBtn) {
+            resendBtn.addEventListener('click', () => this.resendVerificationEmail());
+        }
+
+        const offerResend = (message) => {
+            status.textContent = message;
+            if (resendBtn && this.isLoggedIn() && !this.currentUser.isVerified) {
+                resendBtn.style.display = '';
+            }
+        };
+
+        if (!token) {
+            offerResend(this.currentUser?.isVerified
+                ? 'Your email address is already verified.'
+                : 'Open the link from your verification email to verify your address.');
+            return;
+        }
+
+        try {
+            const response = await api.verifyEmail(token);
+            status.textContent = 'Your email address is verified. Thanks!';
+
+            if (this.currentUser && this.currentUser._id === response.user._id) {
+                this.currentUser.isVerified = true;
+            }
+        } catch (error) {
+            console.error('Email verification error:', error);
+            offerResend(error.message || 'This verification link is invalid or has expired.');
+        }
+    }
+
+    async resendVerificationEmail() {
+        if (!this.requireAuth()) return;
+
+        const resendBtn = $('#resendVerificationBtn');
+        if (resendBtn) resendBtn.disabled = true;
+
+        try {
+            const response = await api.requestEmailVerification();
+            toast.success(response.message);
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            toast.error(error.message || 'Failed to send verification email');
+            if (resendBtn) resendBtn.disabled = false;
+        }
+    }
+
+    async handleForgotPassword(event) {
+        event.preventDefault();
+
+        const form = $('#forgotPasswordForm');
+        const email = $('#forgotPasswordEmail').value.trim();
+
+        if (!isValidEmail(email)) {
+            toast.error('Please enter a valid email address');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const loadingId = loading.show(submitBtn, 'Sending...');
+
+        try {
+            const response = await api.requestPasswordReset(email);
+            form.style.display = 'none';
+            this.showResetStatus(`${response.message}. Check your inbox; the link expires in 1 hour.`);
+        } catch (error) {
+            console.error('Password reset request error:', error);
+            toast.error(error.message || 'Failed to request a password reset');
+        } finally {
+            loading.hide(loadingId);
+        }
+    }
+
+    async handleResetPassword(event) {
+        event.preventDefault();
+
+        const form = $('#resetPasswordForm');
+        const password = $('#resetPassword').value;
+        const confirmation = $('#resetPasswordConfirm').value;
+
+        if (password.length < 6) {
+            toast.error('Password must be at least 6 characters long');
+            return;
+        }
+
+        if (password !== confirmation) {
+            toast.error('Passwords do not match');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const loadingId = loading.show(submitBtn, 'Resetting...');
+
+        try {
+            const response = await api.resetPassword(getQueryParam('token'), password);
+
+            // The account was logged out everywhere; start this browser afresh too
+            this.setToken(null);
+            this.currentUser = null;
+            this.updateUI();
+
+            form.style.display = 'none';
+            this.showResetStatus(response.message);
+            toast.success('Password reset');
+            modal.open('loginModal');
+        } catch (error) {
+            console.error('Password reset error:', error);
+            toast.error(error.errors?.[0]?.msg || error.message || 'Failed to reset password');
+        } finally {
+            loading.hide(loadingId);
+        }
+    }
+
+    showResetStatus(message) {
+        const status = $('#resetPasswordStatus');
+        if (status) {
+            status.textContent = message;
+            status.style.display = '';
+        }
+    }
+
     async getCurrentUser() {
         if (!this.token) {
             throw new Error('No authentication token');
@@ -190,6 +431,7 @@ class AuthManager {
         try {
             const response = await api.getCurrentUser();
             this.currentUser = response.user;
+            this.unreadNotifications = response.unreadNotifications || 0;
             return this.currentUser;
         } catch (error) {
             this.logout();
@@ -197,14 +439,21 @@ class AuthManager {
         }
     }
 
-    setToken(token) {
+    setToken(token, refreshToken) {
         this.token = token;
-        api.setToken(token);
-        
-        if (token) {
-            localStorage.setItem('authToken', token);
-        } else {
-            localStorage.removeItem('authToken');
+        api.setToken(token, refreshToken);
+    }
+
+    handleSessionExpired() {
+        if (!this.currentUser) return;
+
+        this.token = null;
+        this.currentUser = null;
+        this.updateUI();
+        toast.warning('Your session has ended. Please log in again.');
+
+        if (this.isProtectedPage()) {
+            window.location.href = '/';
         }
     }
 
@@ -228,6 +477,28 @@ class AuthManager {
         }
     }
 
+    // Revoke every session of this account, on all devices
+    async logoutEverywhere() {
+        if (!confirm('Log out of Ly on all your devices?')) return;
+
+        try {
+            await api.logoutEverywhere();
+            toast.success('Logged out of all devices');
+        } catch (error) {
+            console.error('Logout everywhere error:', error);
+            toast.error(error.message || 'Failed to log out of all devices');
+            return;
+        }
+
+        this.setToken(null);
+        this.currentUser = null;
+        this.updateUI();
+
+        if (this.isProtectedPage()) {
+            window.location.href = '/';
+        }
+    }
+
     updateUI() {
         const authButtons = $('#authButtons');
         const userMenu = $('#userMenu');
@@ -263,6 +534,18 @@ class AuthManager {
                 userName.textContent = this.currentUser.username;
             }
         }
+
+        this.updateNotificationBadge(this.unreadNotifications);
+    }
+
+    updateNotificationBadge(count) {
+        this.unreadNotifications = count;
+
+        const badge = $('#notificationBadge');
+        if (badge) {
+            badge.textContent = count > 99 ? '99+' : String(count);
+            badge.style.display = count > 0 ? '' : 'none';
+        }
     }
 
     updateProtectedElements() {
@@ -275,6 +558,11 @@ class AuthManager {
             element.style.display = this.isLoggedIn() ? 'none' : '';
         });
 
+        // Moderation controls, e.g. data-role-required="moderator"
+        $$('[data-role-required]').forEach(element => {
+            element.style.display = this.hasRole(element.dataset.roleRequired) ? '' : 'none';
+        });
+
         // Update profile links
         $$('[data-user-id]').forEach(element => {
             if (this.currentUser) {
@@ -287,6 +575,13 @@ class AuthManager {
         return !!(this.token && this.currentUser);
     }
 
+    // Mirrors User.hasRole on the server: roles are ordered user < editor < moderator < admin
+    hasRole(role) {
+        const roles = ['user', 'editor', 'moderator', 'admin'];
+        if (!this.currentUser) return false;
+        return roles.indexOf(this.currentUser.role || 'user') >= roles.indexOf(role);
+    }
+
     requireAuth() {
         if (!this.isLoggedIn()) {
             toast.warning('Please login to continue');
@@ -359,6 +654,10 @@ async function logout() {
     await auth.logout();
 }
 
+async function logoutEverywhere() {
+    await auth.logoutEverywhere();
+}
+
 // Close user dropdown when clicking outside
 document.addEventListener('click', (event) => {
     const userMenu = $('#userMenu');
@@ -384,6 +683,7 @@ if (typeof module !== 'undefined' && module.exports) {
         closeModal,
         toggleUserDropdown,
         loginWithGoogle,
-        logout
+        logout,
+        logoutEverywhere
     };
 }
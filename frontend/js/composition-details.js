@@ -0,0 +1,475 @@
+// Composition details page logic
+
+class CompositionDetails {
+    constructor() {
+        this.compositionId = getQueryParam('id');
+        this.composition = null;
+        this.chordSheet = null;
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.loadComposition());
+        } else {
+            this.loadComposition();
+        }
+    }
+
+    async loadComposition() {
+        const loadingState = $('#loadingState');
+        const content = $('#compositionContent');
+        const errorState = $('#errorState');
+
+        if (!this.compositionId) {
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+            return;
+        }
+
+        try {
+            const response = await api.getComposition(this.compositionId);
+            this.composition = response.composition;
+            this.chordSheet = response.chordSheet;
+            this.isBookmarked = !!response.isBookmarked;
+
+            this.renderHeader();
+            this.renderContent($('#compositionDisplay'));
+            this.loadComments();
+            this.subscribeToUpdates();
+
+            if (loadingState) loadingState.style.display = 'none';
+            if (content) content.style.display = '';
+        } catch (error) {
+            console.error('Failed to load composition:', error);
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+        }
+    }
+
+    renderHeader() {
+        const composition = this.composition;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        document.title = `${composition.title} - Ly Music Platform`;
+        setText('#compositionTitle', composition.title);
+        setText('#compositionBreadcrumb', composition.title);
+        setText('#originalSongLink', composition.song?.title || 'Unknown Song');
+        setText('#originalArtist', composition.song?.artist || 'Unknown Artist');
+        setText('#compositionInstrument', composition.instrument);
+        setText('#compositionType', composition.type);
+        setText('#compositionDifficulty', composition.difficulty);
+        setText('#composerLink', composition.composer?.username || 'Anonymous');
+        setText('#compositionLikes', formatNumber(composition.likes || 0));
+        setText('#compositionDislikes', formatNumber(composition.dislikes || 0));
+        setText('#compositionViews', formatNumber(composition.views || 0));
+        setText('#compositionRating', (composition.rating || 0).toFixed(1));
+        setText('#compositionForks', formatNumber(composition.forkCount || 0));
+        setText('#compositionDescription', composition.description || '');
+
+        const songLink = $('#originalSongLink');
+        if (songLink && composition.song) {
+            songLink.href = `song.html?id=${composition.song._id}`;
+        }
+
+        this.renderForkAttribution();
+        this.renderBookmarkButton();
+        this.renderFeatureButton();
+    }
+
+    renderFeatureButton() {
+        const label = $('#featureBtn span');
+        if (label) label.textContent = this.composition.isFeatured ? 'Unfeature' : 'Feature';
+    }
+
+    renderBookmarkButton() {
+        const button = $('#bookmarkBtn');
+        if (!button) return;
+        button.querySelector('i').className = this.isBookmarked ? 'fas fa-bookmark' : 'far fa-bookmark';
+        button.querySelector('span').textContent = this.isBookmarked ? 'Saved' : 'Save';
+    }
+
+    // Keep vote counts and comments current while the page is open
+    subscribeToUpdates() {
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        this.unsubscribe = api.subscribe([`composition:${this.compositionId}`], {
+            vote: (data) => {
+                Object.assign(this.composition, {
+                    likes: data.likes,
+                    dislikes: data.dislikes,
+                    rating: data.rating
+                });
+                setText('#compositionLikes', formatNumber(data.likes || 0));
+                setText('#compositionDislikes', formatNumber(data.dislikes || 0));
+                setText('#compositionRating', (data.rating || 0).toFixed(1));
+            },
+            comment: () => this.loadComments()
+        });
+    }
+
+    // Attribution is kept even when the original has since been deleted
+    renderForkAttribution() {
+        const container = $('#forkAttribution');
+        const text = $('#forkAttributionText');
+        const parent = this.composition.lineage?.[0];
+        if (!container || !text || !parent) return;
+
+        text.innerHTML = '';
+        const label = `${parent.title} by ${parent.composerName || 'Anonymous'}`;
+        if (parent.deleted) {
+            text.appendChild(createElement('span', {}, `${label} (deleted)`));
+        } else {
+            text.appendChild(createElement('a', { href: `composition.html?id=${parent.composition}` }, label));
+        }
+        container.style.display = '';
+    }
+
+    async loadComments(page = 1) {
+        const list = $('#commentsList');
+        if (!list) return;
+
+        try {
+            const response = await api.getComments(this.compositionId, { page });
+            const count = response.commentsCount || 0;
+            const countLabel = $('#commentsCount');
+            if (countLabel) {
+                countLabel.textContent = `${formatNumber(count)} comment${count === 1 ? '' : 's'}`;
+            }
+
+            if (page === 1) list.innerHTML = '';
+            response.comments.forEach(comment => list.appendChild(this.renderComment(comment)));
+
+            $('#loadMoreComments')?.remove();
+            if (response.pagination.hasNext) {
+                list.appendChild(createElement('button', {
+                    id: 'loadMoreComments',
+                    className: 'btn btn-outline btn-sm',
+                    onclick: () => this.loadComments(page + 1)
+                }, 'Load more comments'));
+            }
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+            list.innerHTML = '<p class="text-muted">Failed to load comments.</p>';
+        }
+    }
+
+    renderComment(comment) {
+        const currentUser = auth?.currentUser;
+        const isAuthor = currentUser && comment.author && comment.author._id === currentUser._id;
+        const isOwner = currentUser && this.composition.composer?._id === currentUser._id;
+
+        const isRemoved = comment.isDeleted || comment.isHidden;
+
+        const element = createElement('div', { className: 'comment', dataset: { id: comment._id } });
+        const header = createElement('div', { className: 'comment-header' });
+
+        if (isRemoved) {
+            header.appendChild(createElement('span', { className: 'comment-author' }, comment.isHidden ? '[removed]' : '[deleted]'));
+        } else {
+            header.appendChild(createElement('span', { className: 'comment-author' }, comment.author?.username || 'Anonymous'));
+        }
+        header.appendChild(createElement('span', { className: 'comment-time' },
+            formatRelativeTime(comment.createdAt) + (comment.editedAt ? ' (edited)' : '')
+        ));
+
+        const body = createElement('p', { className: 'comment-body' },
+            comment.isHidden
+                ? 'This comment was removed by a moderator.'
+                : comment.isDeleted ? 'This comment has been deleted.' : comment.body
+        );
+
+        const actions = createElement('div', { className: 'comment-actions' });
+        if (currentUser && !isRemoved) {
+            actions.appendChild(createElement('button', {
+                className: 'btn-link',
+                onclick: () => this.showReplyForm(element, comment)
+            }, 'Reply'));
+        }
+        if (isAuthor && !isRemoved) {
+            actions.appendChild(createElement('button', {
+                className: 'btn-link',
+                onclick: () => this.showEditForm(element, body, comment)
+            }, 'Edit'));
+        }
+        if ((isAuthor || isOwner) && !comment.isDeleted) {
+            actions.appendChild(createElement('button', {
+                className: 'btn-link',
+                onclick: () => this.removeComment(comment)
+            }, 'Delete'));
+        }
+        if (currentUser && !isAuthor && !isRemoved) {
+            actions.appendChild(createElement('button', {
+                className: 'btn-link',
+                onclick: () => reportContent('comment', comment._id)
+            }, 'Report'));
+        }
+
+        element.appendChild(header);
+        element.appendChild(body);
+        element.appendChild(actions);
+
+        if (comment.replies && comment.replies.length > 0) {
+            const replies = createElement('div', { className: 'comment-replies' });
+            comment.replies.forEach(reply => replies.appendChild(this.renderComment(reply)));
+            element.appendChild(replies);
+        }
+
+        return element;
+    }
+
+    // Inline textarea used for both replies and edits
+    createInlineForm(initialText, submitLabel, onSubmit) {
+        const textarea = createElement('textarea', { rows: '2' });
+        textarea.value = initialText;
+
+        const form = createElement('div', { className: 'comment-inline-form' },
+            textarea,
+            createElement('div', { className: 'comment-actions' },
+                createElement('button', { className: 'btn btn-outline btn-sm', onclick: () => form.remove() }, 'Cancel'),
+                createElement('button', {
+                    className: 'btn btn-primary btn-sm',
+                    onclick: () => onSubmit(textarea.value.trim(), form)
+                }, submitLabel)
+            )
+        );
+        return form;
+    }
+
+    showReplyForm(element, comment) {
+        element.querySelector(':scope > .comment-inline-form')?.remove();
+        const form = this.createInlineForm('', 'Reply', async (text) => {
+            if (!text) return;
+            try {
+                await api.addComment(this.compositionId, text, comment._id);
+                await this.loadComments();
+            } catch (error) {
+                toast.error(error.message || 'Failed to post reply');
+            }
+        });
+        element.insertBefore(form, element.querySelector(':scope > .comment-replies'));
+    }
+
+    showEditForm(element, body, comment) {
+        element.querySelector(':scope > .comment-inline-form')?.remove();
+        const form = this.createInlineForm(comment.body, 'Save', async (text) => {
+            if (!text) return;
+            try {
+                await api.updateComment(this.compositionId, comment._id, text);
+                await this.loadComments();
+            } catch (error) {
+                toast.error(error.message || 'Failed to update comment');
+            }
+        });
+        body.after(form);
+    }
+
+    async removeComment(comment) {
+        if (!confirm('Delete this comment?')) return;
+
+        try {
+            await api.deleteComment(this.compositionId, comment._id);
+            toast.success('Comment deleted');
+            await this.loadComments();
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete comment');
+        }
+    }
+
+    renderContent(container) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.chordSheet) {
+            container.appendChild(renderChordSheet(this.chordSheet));
+        } else {
+            container.appendChild(createElement('pre', { className: 'composition-text' }, this.composition.content));
+        }
+    }
+}
+
+// Create page instance
+const compositionDetails = new CompositionDetails();
+
+// Global functions for HTML onclick handlers
+window.downloadComposition = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition) return;
+
+    try {
+        if (composition.notationFormat) {
+            const { blob, filename } = await api.downloadComposition(composition._id);
+            downloadBlob(blob, filename);
+        } else {
+            downloadBlob(new Blob([composition.content], { type: 'text/plain' }), `${composition.title}.txt`);
+        }
+    } catch (error) {
+        console.error('Download failed:', error);
+        toast.error(error.message || 'Failed to download composition');
+    }
+};
+
+window.postComment = async function() {
+    const textarea = $('#commentText');
+    const text = textarea?.value.trim();
+    if (!text || !auth.requireAuth()) return;
+
+    try {
+        await api.addComment(compositionDetails.compositionId, text);
+        textarea.value = '';
+        await compositionDetails.loadComments();
+    } catch (error) {
+        console.error('Comment failed:', error);
+        toast.error(error.message || 'Failed to post comment');
+    }
+};
+
+window.cancelComment = function() {
+    const textarea = $('#commentText');
+    if (textarea) textarea.value = '';
+};
+
+window.forkComposition = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition || !auth.requireAuth()) return;
+
+    try {
+        const response = await api.forkComposition(composition._id);
+        toast.success('Composition forked! Redirecting to your copy...');
+        window.location.href = `composition.html?id=${response.composition._id}`;
+    } catch (error) {
+        console.error('Fork failed:', error);
+        toast.error(error.message || 'Failed to fork composition');
+    }
+};
+
+window.toggleBookmarkComposition = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition || !auth.requireAuth()) return;
+
+    try {
+        const response = compositionDetails.isBookmarked
+            ? await api.unbookmarkComposition(composition._id)
+            : await api.bookmarkComposition(composition._id);
+        compositionDetails.isBookmarked = response.isBookmarked;
+        compositionDetails.renderBookmarkButton();
+        toast.success(response.isBookmarked ? 'Saved to your dashboard' : 'Removed from saved');
+    } catch (error) {
+        console.error('Bookmark failed:', error);
+        toast.error(error.message || 'Failed to update saved compositions');
+    }
+};
+
+window.reportComposition = function() {
+    if (compositionDetails.composition) {
+        reportContent('composition', compositionDetails.composition._id);
+    }
+};
+
+window.toggleFeatured = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition) return;
+
+    try {
+        const response = await api.updateComposition(composition._id, { isFeatured: !composition.isFeatured });
+        composition.isFeatured = response.composition.isFeatured;
+        compositionDetails.renderFeatureButton();
+        toast.success(composition.isFeatured ? 'Composition featured' : 'Composition no longer featured');
+    } catch (error) {
+        console.error('Feature toggle failed:', error);
+        toast.error(error.message || 'Failed to update featured status');
+    }
+};
+
+window.exportComposition = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition) return;
+
+    const format = $('#exportFormat')?.value || 'pdf';
+
+    try {
+        const { blob, filename } = await api.exportComposition(composition._id, format);
+        downloadBlob(blob, filename);
+    } catch (error) {
+        console.error('Export failed:', error);
+        toast.error(error.message || 'Failed to export composition');
+    }
+};
+
+window.showAddToSetlist = async function() {
+    const composition = compositionDetails.composition;
+    if (!composition || !auth.requireAuth()) return;
+
+    const select = $('#setlistSelect');
+    const keySelect = $('#setlistItemKey');
+
+    try {
+        const response = await api.getSetlists({ mine: true, limit: 50 });
+        select.innerHTML = '';
+        response.setlists.forEach(setlist => select.appendChild(createElement('option', { value: setlist._id }, setlist.title)));
+        select.appendChild(createElement('option', { value: '' }, 'New setlist...'));
+    } catch (error) {
+        console.error('Failed to load setlists:', error);
+        toast.error(error.message || 'Failed to load your setlists');
+        return;
+    }
+
+    keySelect.innerHTML = '';
+    keySelect.appendChild(createElement('option', { value: '' }, `Original key${composition.key ? ` (${composition.key})` : ''}`));
+    ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B',
+        'Cm', 'C#m', 'Dm', 'D#m', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'A#m', 'Bm']
+        .forEach(key => keySelect.appendChild(createElement('option', { value: key }, key)));
+
+    $('#setlistItemNotes').value = '';
+    window.toggleNewSetlistTitle();
+    modal.open('setlistModal');
+};
+
+window.toggleNewSetlistTitle = function() {
+    const group = $('#newSetlistGroup');
+    if (group) group.style.display = $('#setlistSelect')?.value ? 'none' : '';
+};
+
+document.addEventListener('submit', async (e) => {
+    if (e.target.id !== 'addToSetlistForm') return;
+    e.preventDefault();
+
+    const composition = compositionDetails.composition;
+    const setlistId = $('#setlistSelect').value;
+    const item = {
+        composition: composition._id,
+        key: $('#setlistItemKey').value,
+        notes: $('#setlistItemNotes').value.trim()
+    };
+
+    try {
+        let response;
+        if (setlistId) {
+            response = await api.addSetlistItem(setlistId, item);
+        } else {
+            const title = $('#newSetlistTitle').value.trim();
+            if (!title) {
+                toast.error('Please give the new setlist a title');
+                return;
+            }
+            response = await api.createSetlist({ title, items: [item] });
+        }
+
+        modal.close('setlistModal');
+        toast.success(`Added to "${response.setlist.title}"`);
+    } catch (error) {
+        console.error('Add to setlist failed:', error);
+        toast.error(error.message || 'Failed to add to setlist');
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompositionDetails };
+}
@@ -0,0 +1,309 @@
+// Dashboard page logic
+
+class Dashboard {
+    constructor() {
+        this.data = null;
+        this.savedFilter = 'all';
+        this.reviewStatus = 'pending';
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.loadDashboard());
+        } else {
+            this.loadDashboard();
+        }
+    }
+
+    async loadDashboard() {
+        this.setupTabs();
+
+        if (!localStorage.getItem('authToken')) {
+            window.location.href = '/';
+            return;
+        }
+
+        try {
+            this.data = await api.getDashboard();
+            this.renderStats();
+            this.renderSaved();
+        } catch (error) {
+            console.error('Failed to load dashboard:', error);
+            toast.error(error.message || 'Failed to load dashboard');
+        } finally {
+            const overlay = $('#loadingOverlay');
+            if (overlay) overlay.style.display = 'none';
+        }
+    }
+
+    setupTabs() {
+        $$('.tab-btn[data-tab]').forEach(button => {
+            button.addEventListener('click', () => {
+                $$('.tab-btn[data-tab]').forEach(other => other.classList.toggle('active', other === button));
+                $$('.tab-content').forEach(panel => {
+                    panel.classList.toggle('active', panel.id === `${button.dataset.tab}Tab`);
+                });
+                if (button.dataset.tab === 'reviews') {
+                    this.loadSubmissions();
+                }
+                if (button.dataset.tab === 'security') {
+                    this.loadSecurity();
+                }
+            });
+        });
+
+        $$('[data-review-status]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.reviewStatus = button.dataset.reviewStatus;
+                $$('[data-review-status]').forEach(other => other.classList.toggle('active', other === button));
+                this.loadSubmissions();
+            });
+        });
+
+        $$('[data-saved-filter]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.savedFilter = button.dataset.savedFilter;
+                $$('[data-saved-filter]').forEach(other => other.classList.toggle('active', other === button));
+                this.renderSaved();
+            });
+        });
+
+        $('#twoFactorEnableForm')?.addEventListener('submit', (e) => this.enableTwoFactor(e));
+        $('#twoFactorConfirmForm')?.addEventListener('submit', (e) => this.confirmTwoFactorAction(e));
+        $('#twoFactorConfirmCancel')?.addEventListener('click', () => this.renderTwoFactor());
+        $('#copyRecoveryCodes')?.addEventListener('click', async () => {
+            const codes = Array.from($$('#recoveryCodeList li'), item => item.textContent).join('\n');
+            try {
+                await navigator.clipboard.writeText(codes);
+                toast.success('Recovery codes copied to clipboard');
+            } catch (error) {
+                toast.error('Failed to copy recovery codes');
+            }
+        });
+
+        const tab = getQueryParam('tab');
+        if (tab === 'saved' || tab === 'security') {
+            $(`.tab-btn[data-tab="${tab}"]`)?.click();
+        }
+    }
+
+    renderStats() {
+        const { compositionStats, songStats } = this.data;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        setText('#totalSongs', formatNumber(songStats.totalSongs || 0));
+        setText('#totalCompositions', formatNumber(compositionStats.totalCompositions || 0));
+        setText('#totalViews', formatNumber((songStats.totalViews || 0) + (compositionStats.totalViews || 0)));
+        setText('#totalLikes', formatNumber(compositionStats.totalLikes || 0));
+    }
+
+    renderSaved() {
+        const list = $('#savedItems');
+        const empty = $('#noSavedItems');
+        if (!list) return;
+
+        const saved = this.data?.saved || [];
+        const items = saved.filter(item => this.savedFilter === 'all' || item.type === this.savedFilter);
+
+        const count = $('#savedCount');
+        if (count) count.textContent = formatNumber(saved.length);
+
+        list.innerHTML = '';
+        items.forEach(item => list.appendChild(this.createSavedItem(item)));
+        if (empty) empty.style.display = items.length === 0 ? '' : 'none';
+    }
+
+    createSavedItem(item) {
+        const isSong = item.type === 'song';
+        const target = isSong ? item.song : item.composition;
+
+        const subtitle = isSong
+            ? target.artist
+            : `${target.song?.title || 'Unknown Song'} by ${target.song?.artist || 'Unknown Artist'} \u00b7 ${target.composer?.username || 'Anonymous'}`;
+
+        return createElement('div', { className: 'saved-item', dataset: { id: target._id } },
+            createElement('i', { className: isSong ? 'fas fa-music' : 'fas fa-file-alt' }),
+            createElement('div', { className: 'saved-item-body' },
+                createElement('a', {
+                    className: 'saved-item-title',
+                    href: isSong ? `song.html?id=${target._id}` : `composition.html?id=${target._id}`
+                }, target.title),
+                createElement('p', { className: 'saved-item-meta' }, subtitle),
+                createElement('small', { className: 'text-muted' }, `Saved ${formatRelativeTime(item.savedAt)}`)
+            ),
+            createElement('button', {
+                className: 'btn btn-outline btn-sm',
+                title: 'Remove from saved',
+                onclick: () => this.removeSaved(item)
+            }, createElement('i', { className: 'fas fa-times' }))
+        );
+    }
+
+    async loadSubmissions() {
+        const list = $('#songSubmissions');
+        const empty = $('#noSongSubmissions');
+        if (!list) return;
+
+        try {
+            const response = await api.getSongSubmissions({ status: this.reviewStatus, limit: 50 });
+            list.innerHTML = '';
+            response.songs.forEach(song => list.appendChild(createElement('div', { className: 'saved-item' },
+                createElement('i', { className: 'fas fa-music' }),
+                createElement('div', { className: 'saved-item-body' },
+                    createElement('a', { className: 'saved-item-title', href: `song.html?id=${song._id}` }, song.title),
+                    createElement('p', { className: 'saved-item-meta' },
+                        `${song.artist} \u00b7 submitted by ${song.addedBy?.username || 'Anonymous'}`),
+                    createElement('small', { className: 'text-muted' }, formatRelativeTime(song.createdAt))
+                )
+            )));
+            if (empty) empty.style.display = response.songs.length === 0 ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load submissions:', error);
+            toast.error(error.message || 'Failed to load submissions');
+        }
+    }
+
+    async loadSecurity() {
+        try {
+            this.twoFactor = await api.getTwoFactorStatus();
+            this.renderTwoFactor();
+        } catch (error) {
+            console.error('Failed to load security settings:', error);
+            toast.error(error.message || 'Failed to load security settings');
+        }
+    }
+
+    renderTwoFactor() {
+        const { enabled, enabledAt, recoveryCodesLeft } = this.twoFactor || {};
+        const status = $('#twoFactorStatus');
+        const actions = $('#twoFactorActions');
+        if (!status || !actions) return;
+
+        status.textContent = enabled ? 'On' : 'Off';
+        status.classList.toggle('enabled', !!enabled);
+        $('#twoFactorDescription').textContent = enabled
+            ? `Enabled ${formatDate(enabledAt)}. ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? '' : 's'} left.`
+            : 'Protect your account with a code from an authenticator app, asked for after your password.';
+
+        $('#twoFactorConfirmForm').style.display = 'none';
+        if (enabled) $('#twoFactorSetup').style.display = 'none';
+
+        actions.innerHTML = '';
+        if (enabled) {
+            actions.appendChild(createElement('button', {
+                className: 'btn btn-outline',
+                onclick: () => this.askTwoFactorCode('recovery-codes')
+            }, 'New recovery codes'));
+            actions.appendChild(createElement('button', {
+                className: 'btn btn-outline',
+                onclick: () => this.askTwoFactorCode('disable')
+            }, 'Disable'));
+        } else if ($('#twoFactorSetup').style.display === 'none') {
+            actions.appendChild(createElement('button', {
+                className: 'btn btn-primary',
+                onclick: () => this.startTwoFactorSetup()
+            }, 'Set up two-factor authentication'));
+        }
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const response = await api.setupTwoFactor();
+            $('#twoFactorQr').src = response.qrCode;
+            $('#twoFactorSecret').textContent = response.secret.match(/.{1,4}/g).join(' ');
+            $('#twoFactorSetup').style.display = '';
+            $('#recoveryCodes').style.display = 'none';
+            this.renderTwoFactor();
+            $('#twoFactorEnableCode').focus();
+        } catch (error) {
+            console.error('Failed to start two-factor setup:', error);
+            toast.error(error.message || 'Failed to start two-factor setup');
+        }
+    }
+
+    async enableTwoFactor(event) {
+        event.preventDefault();
+
+        try {
+            const response = await api.enableTwoFactor($('#twoFactorEnableCode').value.trim());
+            $('#twoFactorEnableForm').reset();
+            toast.success(response.message);
+            this.showRecoveryCodes(response.recoveryCodes);
+            await this.loadSecurity();
+        } catch (error) {
+            console.error('Failed to enable two-factor authentication:', error);
+            toast.error(error.message || 'Failed to enable two-factor authentication');
+        }
+    }
+
+    // Disabling and new recovery codes both need a current code
+    askTwoFactorCode(action) {
+        const form = $('#twoFactorConfirmForm');
+        form.reset();
+        form.dataset.action = action;
+        // Only disabling asks for the password, and only accounts with one have it
+        $('#twoFactorConfirmPassword').style.display = action === 'disable' ? '' : 'none';
+        $('#twoFactorConfirmCode').placeholder = action === 'disable' ? 'Authenticator or recovery code' : 'Authenticator code';
+        form.style.display = '';
+        $('#twoFactorConfirmCode').focus();
+    }
+
+    async confirmTwoFactorAction(event) {
+        event.preventDefault();
+
+        const form = $('#twoFactorConfirmForm');
+        const code = $('#twoFactorConfirmCode').value.trim();
+
+        try {
+            if (form.dataset.action === 'disable') {
+                const response = await api.disableTwoFactor(code, $('#twoFactorConfirmPassword').value);
+                toast.success(response.message);
+                $('#recoveryCodes').style.display = 'none';
+            } else {
+                const response = await api.regenerateRecoveryCodes(code);
+                toast.success(response.message);
+                this.showRecoveryCodes(response.recoveryCodes);
+            }
+            await this.loadSecurity();
+        } catch (error) {
+            console.error('Two-factor action failed:', error);
+            toast.error(error.message || 'Something went wrong');
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        const list = $('#recoveryCodeList');
+        list.innerHTML = '';
+        codes.forEach(code => list.appendChild(createElement('li', {}, code)));
+        $('#recoveryCodes').style.display = '';
+    }
+
+    async removeSaved(item) {
+        const target = item.type === 'song' ? item.song : item.composition;
+
+        try {
+            if (item.type === 'song') {
+                await api.unbookmarkSong(target._id);
+            } else {
+                await api.unbookmarkComposition(target._id);
+            }
+            this.data.saved = this.data.saved.filter(other => other !== item);
+            this.renderSaved();
+        } catch (error) {
+            console.error('Failed to remove saved item:', error);
+            toast.error(error.message || 'Failed to remove saved item');
+        }
+    }
+}
+
+// Create page instance
+const dashboard = new Dashboard();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Dashboard };
+}
@@ -74,6 +74,7 @@ class App {
         // Initialize tooltips, dropdowns, etc.
         this.initializeTooltips();
         this.initializeDropdowns();
+        this.initializeNotifications();
         this.initializeLazyLoading();
     }
 
@@ -94,6 +95,9 @@ class App {
             case 'profile':
                 await this.loadProfilePage();
                 break;
+            case 'dashboard':
+                // Dashboard data is loaded by dashboard.js
+                break;
             default:
                 await this.loadHomepageData();
         }
@@ -111,6 +115,9 @@ class App {
 
     async loadHomepageData() {
         try {
+            // Load the personalized feed for logged-in users
+            await this.loadFeed();
+
             // Load trending songs
             await this.loadTrendingSongs();
             
@@ -151,6 +158,65 @@ class App {
         }
     }
 
+    async loadFeed(cursor = null) {
+        const section = $('#feedSection');
+        const container = $('#feedItems');
+        const loadMore = $('#loadMoreFeed');
+        if (!section || !container || !auth?.token) return;
+
+        try {
+            const response = await api.getFeed(cursor ? { limit: 12, cursor } : { limit: 12 });
+            section.style.display = '';
+
+            if (!cursor) {
+                container.innerHTML = '';
+                if (response.items.length === 0) {
+                    container.innerHTML = response.following > 0
+                        ? '<p class="text-center text-muted">Nothing new from the musicians and songs you follow.</p>'
+                        : '<p class="text-center text-muted">Follow musicians and songs to see their latest work here.</p>';
+                }
+            }
+
+            response.items.forEach(item => {
+                container.appendChild(this.createFeedCard(item));
+            });
+
+            if (loadMore) {
+                loadMore.style.display = response.hasNext ? '' : 'none';
+                loadMore.onclick = () => this.loadFeed(response.nextCursor);
+            }
+        } catch (error) {
+            console.error('Failed to load feed:', error);
+            if (!cursor) section.style.display = 'none';
+        }
+    }
+
+    createFeedCard(item) {
+        let card;
+        let reason;
+
+        if (item.type === 'song') {
+            card = this.createSongCard(item.song);
+            reason = `${item.song.addedBy?.username || 'Someone'} added a song`;
+        } else {
+            const composition = item.composition;
+            card = this.createCompositionCard(composition);
+            reason = item.reason === 'song'
+                ? `New composition for ${composition.song?.title || 'a song you follow'}`
+                : `${composition.composer?.username || 'Someone'} posted a composition`;
+        }
+
+        const content = card.querySelector('.card-content');
+        if (content) {
+            content.insertBefore(
+                createElement('p', { className: 'feed-reason' }, reason),
+                content.firstChild
+            );
+        }
+
+        return card;
+    }
+
     async loadFeaturedCompositions() {
         const container = $('#featuredCompositions');
         if (!container) return;
@@ -217,6 +283,11 @@ class App {
         const content = createElement('div', { className: 'card-content' });
         
         const title = createElement('h3', { className: 'card-title' }, song.title);
+        if (song.isVerified) {
+            title.appendChild(createElement('span', { className: 'verified-badge', title: 'Verified by editors' },
+                createElement('i', { className: 'fas fa-check-circle' })
+            ));
+        }
         const artist = createElement('p', { className: 'card-subtitle' }, song.artist);
         
         const meta = createElement('div', { className: 'card-meta' });
@@ -480,6 +551,100 @@ class App {
         });
     }
 
+    // Bell dropdown; opened by initializeDropdowns, filled in on open
+    initializeNotifications() {
+        const bell = $('#notificationBell');
+        const dropdown = $('#notificationDropdown');
+        if (!bell || !dropdown) return;
+
+        bell.addEventListener('click', () => {
+            if (dropdown.classList.contains('show')) {
+                this.loadNotifications();
+            }
+        });
+
+        // Keep the dropdown open while interacting with it
+        dropdown.addEventListener('click', (e) => e.stopPropagation());
+
+        // Personal events arrive on the stream for logged-in users
+        if (api.token) {
+            api.subscribe([], {
+                notification: (data) => {
+                    auth.updateNotificationBadge(data.unreadCount);
+                    if (dropdown.classList.contains('show')) {
+                        this.loadNotifications();
+                    }
+                }
+            });
+        }
+    }
+
+    async loadNotifications() {
+        const list = $('#notificationList');
+        if (!list) return;
+
+        try {
+            const response = await api.getNotifications({ limit: 10 });
+            auth.updateNotificationBadge(response.unreadCount);
+
+            list.innerHTML = '';
+            if (response.notifications.length === 0) {
+                list.innerHTML = '<p class="text-muted">No notifications yet.</p>';
+                return;
+            }
+
+            response.notifications.forEach(notification => {
+                list.appendChild(this.createNotificationItem(notification));
+            });
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+            list.innerHTML = '<p class="text-muted">Failed to load notifications.</p>';
+        }
+    }
+
+    createNotificationItem(notification) {
+        const actor = notification.actor?.username || 'Someone';
+        const title = notification.composition?.title || 'your composition';
+        const messages = {
+            composition_vote: `${actor} ${notification.voteType === 'dislike' ? 'disliked' : 'liked'} ${title}`,
+            composition_fork: `${actor} forked ${title}`,
+            composition_comment: `${actor} commented on ${title}`,
+            comment_reply: `${actor} replied to your comment on ${title}`,
+            new_follower: `${actor} started following you`,
+            lyric_suggestion: `${actor} suggested an edit to ${notification.song?.title || 'your song'}`,
+            lyric_suggestion_accepted: `${actor} accepted your edit to ${notification.song?.title || 'a song'}`,
+            synced_lyrics_cleared: `${actor} changed the lyrics of ${notification.song?.title || 'your song'}; its synced lyrics need new timing`,
+            song_review: {
+                approve: `${actor} approved ${notification.song?.title || 'your song'}`,
+                request_changes: `${actor} requested changes to ${notification.song?.title || 'your song'}`,
+                duplicate: `${actor} merged ${notification.song?.title || 'your song'} into an existing song`
+            }[notification.reviewDecision]
+        };
+
+        const links = {
+            new_follower: `profile.html?id=${notification.actor?._id}`,
+            song_review: `song.html?id=${notification.song?._id}`,
+            lyric_suggestion: `song.html?id=${notification.song?._id}`,
+            lyric_suggestion_accepted: `song.html?id=${notification.song?._id}`,
+            synced_lyrics_cleared: `song.html?id=${notification.song?._id}`,
+            composition_fork: notification.fork ? `composition.html?id=${notification.fork._id}` : null
+        };
+        const link = links[notification.type] || `composition.html?id=${notification.composition?._id}`;
+
+        return createElement('a', {
+            className: `dropdown-item notification-item${notification.isRead ? '' : ' unread'}`,
+            href: link,
+            onclick: () => {
+                if (!notification.isRead) {
+                    api.markNotificationRead(notification._id).catch(() => {});
+                }
+            }
+        },
+            createElement('span', { className: 'notification-text' }, messages[notification.type] || 'New activity'),
+            createElement('span', { className: 'notification-time' }, formatRelativeTime(notification.createdAt))
+        );
+    }
+
     initializeLazyLoading() {
         if ('IntersectionObserver' in window) {
             const imageObserver = new IntersectionObserver((entries) => {
@@ -534,6 +699,80 @@ window.logout = function() {
     }
 };
 
+window.markAllNotificationsRead = async function() {
+    try {
+        const response = await api.markNotificationsRead();
+        auth.updateNotificationBadge(response.unreadCount);
+        $$('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+    } catch (error) {
+        toast.error(error.message || 'Failed to update notifications');
+    }
+};
+
+// The report dialog is shared by every page, so it is built on first use
+window.reportContent = function(targetType, targetId) {
+    if (!auth.requireAuth()) return;
+
+    if (!$('#reportModal')) {
+        const form = createElement('form', { id: 'reportForm', className: 'auth-form' },
+            createElement('div', { className: 'form-group' },
+                createElement('label', { for: 'reportReason' }, 'Reason'),
+                createElement('select', { id: 'reportReason', required: 'required' },
+                    createElement('option', { value: '' }, 'Choose a reason...'),
+                    createElement('option', { value: 'copyright' }, 'Copyright infringement'),
+                    createElement('option', { value: 'spam' }, 'Spam'),
+                    createElement('option', { value: 'abuse' }, 'Abuse or harassment')
+                )
+            ),
+            createElement('div', { className: 'form-group' },
+                createElement('textarea', {
+                    id: 'reportDetails',
+                    rows: 4,
+                    maxlength: 2000,
+                    placeholder: 'Anything moderators should know (optional)'
+                })
+            ),
+            createElement('button', { type: 'submit', className: 'btn btn-primary btn-full' }, 'Submit Report')
+        );
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { targetType: type, targetId: id } = form.dataset;
+
+            try {
+                const response = await api.reportContent({
+                    targetType: type,
+                    target: id,
+                    reason: $('#reportReason').value,
+                    details: $('#reportDetails').value.trim()
+                });
+                modal.close('reportModal');
+                toast.success(response.message || 'Report submitted');
+            } catch (error) {
+                toast.error(error.message || 'Failed to submit report');
+            }
+        });
+
+        document.body.appendChild(createElement('div', { id: 'reportModal', className: 'modal' },
+            createElement('div', { className: 'modal-content' },
+                createElement('div', { className: 'modal-header' },
+                    createElement('h3', { id: 'reportModalTitle' }, 'Report'),
+                    createElement('button', { className: 'modal-close', onclick: () => modal.close('reportModal') }, '\u00d7')
+                ),
+                form
+            )
+        ));
+    }
+
+    const labels = { song: 'Song', composition: 'Composition', comment: 'Comment', user: 'Profile' };
+    const form = $('#reportForm');
+    form.reset();
+    form.dataset.targetType = targetType;
+    form.dataset.targetId = targetId;
+    $('#reportModalTitle').textContent = `Report ${labels[targetType] || 'Content'}`;
+    modal.open('reportModal');
+};
+
 window.toggleUserDropdown = function() {
     const dropdown = $('#userDropdown');
     if (dropdown) {
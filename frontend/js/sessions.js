@@ -0,0 +1,109 @@
+// Active sessions panel on your own profile
+
+class SessionsPanel {
+    constructor() {
+        this.sessions = [];
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    async setup() {
+        const section = $('#sessionsSection');
+        if (!section || !api.token) return;
+
+        try {
+            // Only shown on your own profile
+            const profileId = getQueryParam('id');
+            if (profileId) {
+                const { user } = await api.getCurrentUser();
+                if (user._id !== profileId) return;
+            }
+
+            section.style.display = '';
+            await this.load();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+
+    async load() {
+        try {
+            const response = await api.getSessions();
+            this.sessions = response.sessions;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            toast.error(error.message || 'Failed to load sessions');
+        }
+    }
+
+    render() {
+        const list = $('#sessionList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.sessions.forEach(session => list.appendChild(this.createSessionItem(session)));
+    }
+
+    createSessionItem(session) {
+        const details = [
+            session.ip,
+            session.current ? 'Active now' : `Last active ${formatRelativeTime(session.lastSeenAt)}`,
+            `Logged in ${formatDate(session.createdAt)}`
+        ].filter(Boolean).join(' \u00b7 ');
+
+        return createElement('div', { className: 'session-item' },
+            createElement('i', { className: session.isMobile ? 'fas fa-mobile-alt' : 'fas fa-desktop' }),
+            createElement('div', { className: 'session-item-body' },
+                createElement('div', { className: 'session-item-title', title: session.userAgent },
+                    session.device,
+                    session.current ? createElement('span', { className: 'session-current' }, 'This device') : ''
+                ),
+                createElement('small', { className: 'text-muted' }, details)
+            ),
+            createElement('button', {
+                className: 'btn btn-outline btn-sm',
+                onclick: () => this.revoke(session)
+            }, 'Log out')
+        );
+    }
+
+    async revoke(session) {
+        const question = session.current
+            ? 'Log out of this device?'
+            : `Log out ${session.device}? It will need to log in again.`;
+        if (!confirm(question)) return;
+
+        try {
+            const response = await api.revokeSession(session._id);
+
+            if (response.current) {
+                auth.setToken(null);
+                window.location.href = '/';
+                return;
+            }
+
+            this.sessions = this.sessions.filter(other => other._id !== session._id);
+            this.render();
+            toast.success(`Logged out ${session.device}`);
+        } catch (error) {
+            console.error('Failed to revoke session:', error);
+            toast.error(error.message || 'Failed to log out device');
+        }
+    }
+}
+
+// Create page instance
+const sessionsPanel = new SessionsPanel();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionsPanel };
+}
@@ -0,0 +1,463 @@
+// Setlist page logic: running order, owner editing and performance mode
+
+const SETLIST_KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B',
+    'Cm', 'C#m', 'Dm', 'D#m', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'A#m', 'Bm'];
+
+const VISIBILITY_LABELS = {
+    public: 'Public',
+    private: 'Private',
+    link: 'Shared by link'
+};
+
+class SetlistDetails {
+    constructor() {
+        this.setlistId = getQueryParam('id');
+        this.shareToken = getQueryParam('share');
+        this.setlist = null;
+        this.isOwner = false;
+        this.performanceIndex = null;
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.loadSetlist());
+        } else {
+            this.loadSetlist();
+        }
+
+        document.addEventListener('keydown', (e) => this.handlePerformanceKeys(e));
+    }
+
+    async loadSetlist() {
+        const loadingState = $('#loadingState');
+        const content = $('#setlistContent');
+        const errorState = $('#errorState');
+
+        if (!this.setlistId) {
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+            return;
+        }
+
+        try {
+            const response = await api.getSetlist(this.setlistId, this.shareToken);
+            this.isOwner = response.isOwner;
+            this.setSetlist(response.setlist);
+
+            if (loadingState) loadingState.style.display = 'none';
+            if (content) content.style.display = '';
+        } catch (error) {
+            console.error('Failed to load setlist:', error);
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+        }
+    }
+
+    setSetlist(setlist) {
+        this.setlist = setlist;
+        this.renderHeader();
+        this.renderSettings();
+        this.renderItems();
+
+        if (this.performanceIndex !== null) {
+            this.showPerformanceItem(Math.min(this.performanceIndex, this.playableItems().length - 1));
+        }
+    }
+
+    // Items that can be performed, in running order
+    playableItems() {
+        return this.setlist.items.filter(item => !item.unavailable);
+    }
+
+    renderHeader() {
+        const setlist = this.setlist;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+        const count = setlist.items.length;
+
+        document.title = `${setlist.title} - Ly Music Platform`;
+        setText('#setlistTitle', setlist.title);
+        setText('#setlistBreadcrumb', setlist.title);
+        setText('#setlistOwner', setlist.owner?.username || 'Anonymous');
+        setText('#setlistSummary', ` \u00b7 ${count} composition${count === 1 ? '' : 's'} \u00b7 ${VISIBILITY_LABELS[setlist.visibility]}`);
+        setText('#setlistDescription', setlist.description || '');
+
+        const ownerLink = $('#setlistOwner');
+        if (ownerLink && setlist.owner) {
+            ownerLink.href = `profile.html?id=${setlist.owner._id}`;
+        }
+
+        const performBtn = $('#performBtn');
+        if (performBtn) performBtn.disabled = this.playableItems().length === 0;
+
+        const deleteBtn = $('#deleteSetlistBtn');
+        if (deleteBtn) deleteBtn.style.display = this.isOwner ? '' : 'none';
+    }
+
+    renderSettings() {
+        const settings = $('#setlistSettings');
+        if (!settings) return;
+
+        settings.style.display = this.isOwner ? '' : 'none';
+        if (!this.isOwner) return;
+
+        $('#setlistVisibility').value = this.setlist.visibility;
+
+        const linkGroup = $('#shareLinkGroup');
+        const isShared = this.setlist.visibility === 'link' && this.setlist.shareToken;
+        linkGroup.style.display = isShared ? '' : 'none';
+        if (isShared) {
+            $('#shareLinkInput').value = this.shareUrl();
+        }
+    }
+
+    shareUrl() {
+        const url = new URL(window.location.href);
+        url.search = new URLSearchParams({ id: this.setlist._id, share: this.setlist.shareToken }).toString();
+        return url.toString();
+    }
+
+    renderItems() {
+        const list = $('#setlistItems');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.setlist.items.length === 0) {
+            list.appendChild(createElement('p', { className: 'text-muted' },
+                this.isOwner
+                    ? 'This setlist is empty. Use "Add to setlist" on any composition to build it up.'
+                    : 'This setlist is empty.'
+            ));
+            return;
+        }
+
+        this.setlist.items.forEach((item, index) => list.appendChild(this.renderItem(item, index)));
+    }
+
+    renderItem(item, index) {
+        const element = createElement('li', { className: 'setlist-item', dataset: { id: item._id } });
+        const position = createElement('span', { className: 'setlist-position' }, String(index + 1));
+        const body = createElement('div', { className: 'setlist-item-body' });
+
+        if (item.unavailable) {
+            element.classList.add('unavailable');
+            body.appendChild(createElement('p', { className: 'text-muted' }, 'This composition is private or has been removed.'));
+        } else {
+            const composition = item.composition;
+            const playIndex = this.playableItems().indexOf(item);
+
+            body.appendChild(createElement('a', {
+                className: 'setlist-item-title',
+                href: `composition.html?id=${composition._id}`
+            }, composition.title));
+
+            const details = [
+                `${composition.song?.title || 'Unknown Song'} by ${composition.song?.artist || 'Unknown Artist'}`,
+                composition.instrument
+            ];
+            if (item.performance.key) {
+                details.push(item.key && item.key !== composition.key
+                    ? `Key of ${item.key} (written in ${composition.key || 'an unknown key'})`
+                    : `Key of ${item.performance.key}`);
+            }
+            body.appendChild(createElement('p', { className: 'setlist-item-meta' }, details.join(' \u00b7 ')));
+
+            if (item.notes && !this.isOwner) {
+                body.appendChild(createElement('p', { className: 'setlist-item-notes' }, item.notes));
+            }
+
+            position.title = 'Perform from here';
+            position.classList.add('playable');
+            position.onclick = () => this.startPerformance(playIndex);
+        }
+
+        element.appendChild(position);
+        element.appendChild(body);
+
+        if (this.isOwner) {
+            if (!item.unavailable) {
+                body.appendChild(this.renderItemEditor(item));
+            }
+            element.appendChild(this.renderItemActions(item, index));
+        }
+
+        return element;
+    }
+
+    // Key override and notes, saved as soon as they change
+    renderItemEditor(item) {
+        const keySelect = createElement('select', {
+            className: 'setlist-item-key',
+            onchange: () => this.updateItem(item, { key: keySelect.value })
+        }, createElement('option', { value: '' }, `Original key${item.composition.key ? ` (${item.composition.key})` : ''}`));
+
+        SETLIST_KEYS.forEach(key => keySelect.appendChild(createElement('option', { value: key }, key)));
+        keySelect.value = item.key || '';
+
+        const notesInput = createElement('input', {
+            type: 'text',
+            className: 'setlist-item-notes-input',
+            placeholder: 'Notes for this song (e.g. "capo 2, skip the bridge")',
+            maxlength: '500',
+            onchange: () => this.updateItem(item, { notes: notesInput.value.trim() })
+        });
+        notesInput.value = item.notes || '';
+
+        return createElement('div', { className: 'setlist-item-editor' }, keySelect, notesInput);
+    }
+
+    renderItemActions(item, index) {
+        const moveUp = createElement('button', {
+            className: 'btn btn-outline btn-sm',
+            title: 'Move up',
+            onclick: () => this.moveItem(index, -1)
+        }, createElement('i', { className: 'fas fa-arrow-up' }));
+        const moveDown = createElement('button', {
+            className: 'btn btn-outline btn-sm',
+            title: 'Move down',
+            onclick: () => this.moveItem(index, 1)
+        }, createElement('i', { className: 'fas fa-arrow-down' }));
+
+        moveUp.disabled = index === 0;
+        moveDown.disabled = index === this.setlist.items.length - 1;
+
+        return createElement('div', { className: 'setlist-item-actions' },
+            moveUp,
+            moveDown,
+            createElement('button', {
+                className: 'btn btn-outline btn-sm',
+                title: 'Remove from setlist',
+                onclick: () => this.removeItem(item)
+            }, createElement('i', { className: 'fas fa-times' }))
+        );
+    }
+
+    async updateItem(item, changes) {
+        try {
+            const response = await api.updateSetlistItem(this.setlistId, item._id, changes);
+            this.setSetlist(response.setlist);
+        } catch (error) {
+            console.error('Failed to update setlist item:', error);
+            toast.error(error.message || 'Failed to update setlist item');
+        }
+    }
+
+    async moveItem(index, offset) {
+        const order = this.setlist.items.map(item => item._id);
+        const target = index + offset;
+        if (target < 0 || target >= order.length) return;
+
+        [order[index], order[target]] = [order[target], order[index]];
+
+        try {
+            const response = await api.reorderSetlist(this.setlistId, order);
+            this.setSetlist(response.setlist);
+        } catch (error) {
+            console.error('Failed to reorder setlist:', error);
+            toast.error(error.message || 'Failed to reorder setlist');
+        }
+    }
+
+    async removeItem(item) {
+        if (!confirm('Remove this composition from the setlist?')) return;
+
+        try {
+            const response = await api.removeSetlistItem(this.setlistId, item._id);
+            this.setSetlist(response.setlist);
+        } catch (error) {
+            console.error('Failed to remove setlist item:', error);
+            toast.error(error.message || 'Failed to remove from setlist');
+        }
+    }
+
+    // Performance mode shows one composition at a time, in running order
+    startPerformance(index = 0) {
+        if (this.playableItems().length === 0) return;
+
+        const view = $('#performanceView');
+        if (view) view.style.display = '';
+        document.body.style.overflow = 'hidden';
+        this.showPerformanceItem(index);
+    }
+
+    stopPerformance() {
+        const view = $('#performanceView');
+        if (view) view.style.display = 'none';
+        document.body.style.overflow = '';
+        this.performanceIndex = null;
+    }
+
+    showPerformanceItem(index) {
+        const items = this.playableItems();
+        if (items.length === 0) {
+            this.stopPerformance();
+            return;
+        }
+
+        this.performanceIndex = Math.max(0, Math.min(index, items.length - 1));
+        const item = items[this.performanceIndex];
+        const composition = item.composition;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        setText('#performancePosition', `${this.performanceIndex + 1} / ${items.length}`);
+        setText('#performanceTitle', composition.title);
+
+        const meta = [composition.song?.artist, composition.instrument];
+        if (item.performance.key) meta.push(`Key of ${item.performance.key}`);
+        if (composition.capo) meta.push(`Capo ${composition.capo}`);
+        if (composition.tempo) meta.push(`${composition.tempo} BPM`);
+        setText('#performanceMeta', meta.filter(Boolean).join(' \u00b7 '));
+
+        const notes = $('#performanceNotes');
+        if (notes) {
+            notes.textContent = item.notes || '';
+            notes.style.display = item.notes ? '' : 'none';
+        }
+
+        const display = $('#performanceDisplay');
+        if (display) {
+            display.innerHTML = '';
+            display.appendChild(item.performance.chordSheet
+                ? renderChordSheet(item.performance.chordSheet)
+                : createElement('pre', { className: 'composition-text' }, item.performance.content));
+            display.scrollTop = 0;
+        }
+
+        const next = items[this.performanceIndex + 1];
+        setText('#performanceUpNext', next ? `Up next: ${next.composition.title}` : 'End of setlist');
+
+        const prevBtn = $('#performancePrev');
+        const nextBtn = $('#performanceNext');
+        if (prevBtn) prevBtn.disabled = this.performanceIndex === 0;
+        if (nextBtn) nextBtn.disabled = !next;
+    }
+
+    handlePerformanceKeys(e) {
+        if (this.performanceIndex === null) return;
+
+        if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+            e.preventDefault();
+            this.showPerformanceItem(this.performanceIndex + 1);
+        } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+            e.preventDefault();
+            this.showPerformanceItem(this.performanceIndex - 1);
+        } else if (e.key === 'Escape') {
+            this.stopPerformance();
+        }
+    }
+}
+
+// Create page instance
+const setlistDetails = new SetlistDetails();
+
+// Global functions for HTML onclick handlers
+window.startPerformance = function() {
+    setlistDetails.startPerformance(0);
+};
+
+window.stopPerformance = function() {
+    setlistDetails.stopPerformance();
+};
+
+window.nextSetlistItem = function() {
+    setlistDetails.showPerformanceItem(setlistDetails.performanceIndex + 1);
+};
+
+window.previousSetlistItem = function() {
+    setlistDetails.showPerformanceItem(setlistDetails.performanceIndex - 1);
+};
+
+window.exportSetlist = async function() {
+    const setlist = setlistDetails.setlist;
+    if (!setlist) return;
+
+    const format = $('#exportFormat')?.value || 'pdf';
+
+    try {
+        const { blob, filename } = await api.exportSetlist(setlist._id, format, setlistDetails.shareToken);
+        downloadBlob(blob, filename);
+    } catch (error) {
+        console.error('Export failed:', error);
+        toast.error(error.message || 'Failed to export setlist');
+    }
+};
+
+window.duplicateSetlist = async function() {
+    const setlist = setlistDetails.setlist;
+    if (!setlist || !auth.requireAuth()) return;
+
+    try {
+        const response = await api.duplicateSetlist(setlist._id, setlistDetails.shareToken);
+        toast.success('Setlist copied! Redirecting to your copy...');
+        window.location.href = `setlist.html?id=${response.setlist._id}`;
+    } catch (error) {
+        console.error('Duplicate failed:', error);
+        toast.error(error.message || 'Failed to duplicate setlist');
+    }
+};
+
+window.deleteSetlist = async function() {
+    const setlist = setlistDetails.setlist;
+    if (!setlist || !confirm(`Delete "${setlist.title}"? This cannot be undone.`)) return;
+
+    try {
+        await api.deleteSetlist(setlist._id);
+        toast.success('Setlist deleted');
+        window.location.href = 'setlists.html';
+    } catch (error) {
+        console.error('Delete failed:', error);
+        toast.error(error.message || 'Failed to delete setlist');
+    }
+};
+
+window.updateSetlistVisibility = async function() {
+    const visibility = $('#setlistVisibility')?.value;
+    if (!visibility) return;
+
+    try {
+        const response = await api.updateSetlist(setlistDetails.setlistId, { visibility });
+        setlistDetails.setSetlist(response.setlist);
+        toast.success('Sharing updated');
+    } catch (error) {
+        console.error('Visibility update failed:', error);
+        toast.error(error.message || 'Failed to update sharing');
+    }
+};
+
+window.copyShareLink = async function() {
+    const input = $('#shareLinkInput');
+    if (!input) return;
+
+    try {
+        await navigator.clipboard.writeText(input.value);
+        toast.success('Share link copied');
+    } catch (error) {
+        input.select();
+        toast.info('Press Ctrl+C to copy the link');
+    }
+};
+
+window.regenerateShareLink = async function() {
+    if (!confirm('Create a new share link? The current link will stop working.')) return;
+
+    try {
+        const response = await api.updateSetlist(setlistDetails.setlistId, { regenerateShareLink: true });
+        setlistDetails.setSetlist(response.setlist);
+        toast.success('New share link created');
+    } catch (error) {
+        console.error('Share link update failed:', error);
+        toast.error(error.message || 'Failed to create a new share link');
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetlistDetails };
+}
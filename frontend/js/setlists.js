@@ -0,0 +1,126 @@
+// Setlists page logic
+
+class SetlistsPage {
+    constructor() {
+        this.publicPage = 1;
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const form = $('#createSetlistForm');
+        if (form) {
+            form.addEventListener('submit', (e) => this.createSetlist(e));
+        }
+
+        const loadMore = $('#loadMoreSetlists');
+        if (loadMore) {
+            loadMore.addEventListener('click', () => this.loadPublicSetlists(this.publicPage + 1));
+        }
+
+        if (auth.token) {
+            this.loadMySetlists();
+        }
+        this.loadPublicSetlists();
+    }
+
+    async loadMySetlists() {
+        const container = $('#mySetlists');
+        if (!container) return;
+
+        try {
+            const response = await api.getSetlists({ mine: true, limit: 50 });
+            container.innerHTML = '';
+
+            if (response.setlists.length === 0) {
+                container.appendChild(createElement('p', { className: 'text-muted' },
+                    'You have no setlists yet. Create one above, then add compositions from their pages.'));
+                return;
+            }
+
+            response.setlists.forEach(setlist => container.appendChild(this.createSetlistCard(setlist, true)));
+        } catch (error) {
+            console.error('Failed to load your setlists:', error);
+            container.innerHTML = '<p class="text-muted">Failed to load your setlists.</p>';
+        }
+    }
+
+    async loadPublicSetlists(page = 1) {
+        const container = $('#publicSetlists');
+        const loadMore = $('#loadMoreSetlists');
+        if (!container) return;
+
+        try {
+            const response = await api.getSetlists({ page });
+            if (page === 1) container.innerHTML = '';
+            this.publicPage = page;
+
+            if (page === 1 && response.setlists.length === 0) {
+                container.appendChild(createElement('p', { className: 'text-muted' }, 'No public setlists yet.'));
+            }
+
+            response.setlists.forEach(setlist => container.appendChild(this.createSetlistCard(setlist)));
+
+            if (loadMore) loadMore.style.display = response.pagination.hasNext ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load setlists:', error);
+            container.innerHTML = '<p class="text-muted">Failed to load setlists.</p>';
+        }
+    }
+
+    createSetlistCard(setlist, showVisibility = false) {
+        const count = setlist.itemsCount || 0;
+        const details = [
+            `${count} composition${count === 1 ? '' : 's'}`,
+            `updated ${formatRelativeTime(setlist.updatedAt)}`
+        ];
+
+        const card = createElement('a', {
+            className: 'setlist-card hover-lift',
+            href: `setlist.html?id=${setlist._id}`
+        },
+            createElement('h3', { className: 'card-title' }, setlist.title),
+            createElement('p', { className: 'card-subtitle' }, `by ${setlist.owner?.username || 'Anonymous'}`),
+            createElement('p', { className: 'setlist-item-meta' }, details.join(' \u00b7 '))
+        );
+
+        if (showVisibility) {
+            card.appendChild(createElement('span', { className: `setlist-visibility ${setlist.visibility}` },
+                { public: 'Public', private: 'Private', link: 'Shared by link' }[setlist.visibility]));
+        }
+
+        return card;
+    }
+
+    async createSetlist(e) {
+        e.preventDefault();
+        if (!auth.requireAuth()) return;
+
+        const input = $('#newSetlistTitle');
+        const title = input?.value.trim();
+        if (!title) return;
+
+        try {
+            const response = await api.createSetlist({ title });
+            window.location.href = `setlist.html?id=${response.setlist._id}`;
+        } catch (error) {
+            console.error('Failed to create setlist:', error);
+            toast.error(error.message || 'Failed to create setlist');
+        }
+    }
+}
+
+// Create page instance
+const setlistsPage = new SetlistsPage();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetlistsPage };
+}
@@ -0,0 +1,1078 @@
+// Song details page logic
+
+class SongDetails {
+    constructor() {
+        this.songId = getQueryParam('id');
+        this.song = null;
+        this.compositions = [];
+        this.annotations = [];
+        this.selection = null;
+        this.karaoke = null;
+        this.isFollowing = false;
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.loadSong());
+        } else {
+            this.loadSong();
+        }
+    }
+
+    async loadSong() {
+        const loadingState = $('#loadingState');
+        const content = $('#songContent');
+        const errorState = $('#errorState');
+
+        this.karaoke = new KaraokePlayer($('#karaokeView'));
+        this.setupTabs();
+
+        if (!this.songId) {
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+            return;
+        }
+
+        try {
+            const response = await api.getSong(this.songId);
+
+            // Songs merged as duplicates live on as their original
+            if (response.song.duplicateOf) {
+                window.location.replace(`song.html?id=${response.song.duplicateOf}`);
+                return;
+            }
+
+            this.song = response.song;
+            this.compositions = response.compositions || [];
+            this.isFollowing = !!response.isFollowing;
+            this.isBookmarked = !!response.isBookmarked;
+
+            this.renderHeader();
+            this.renderInfo();
+            this.renderLyrics();
+            this.renderCompositions();
+            this.loadAnnotations();
+            this.loadReviews();
+            this.loadSuggestions();
+            this.subscribeToUpdates();
+
+            if (loadingState) loadingState.style.display = 'none';
+            if (content) content.style.display = '';
+        } catch (error) {
+            console.error('Failed to load song:', error);
+            if (loadingState) loadingState.style.display = 'none';
+            if (errorState) errorState.style.display = '';
+        }
+    }
+
+    setupTabs() {
+        $$('.tab-btn[data-tab]').forEach(button => {
+            button.addEventListener('click', () => {
+                $$('.tab-btn[data-tab]').forEach(other => other.classList.toggle('active', other === button));
+                $$('.tab-content').forEach(panel => {
+                    panel.classList.toggle('active', panel.id === `${button.dataset.tab}Tab`);
+                });
+            });
+        });
+
+        ['#compositionInstrumentFilter', '#compositionTypeFilter', '#compositionSortFilter'].forEach(selector => {
+            $(selector)?.addEventListener('change', () => this.renderCompositions());
+        });
+
+        $('#suggestionStatusFilter')?.addEventListener('change', () => this.loadSuggestions());
+
+        $('#suggestEditForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitSuggestEdit();
+        });
+
+        $('#songReviewForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReview();
+        });
+
+        $('#duplicateSearch')?.addEventListener('input', debounce((event) => {
+            this.searchDuplicates(event.target.value.trim());
+        }, 300));
+
+        $('#lrcFileInput')?.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) this.uploadLrc(file);
+        });
+
+        $('#karaokeAudioFile')?.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) this.karaoke.useAudio(file);
+        });
+    }
+
+    renderHeader() {
+        const song = this.song;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        document.title = `${song.title} - Ly Music Platform`;
+        setText('#songTitle', song.title);
+        setText('#songBreadcrumb', song.title);
+        setText('#songArtist', song.artist);
+        setText('#songGenre', song.genre);
+        setText('#songDuration', song.duration ? this.formatDuration(song.duration) : 'Unknown');
+        setText('#songYear', song.releaseYear || 'Unknown');
+        setText('#songLanguage', song.language);
+        setText('#songViews', formatNumber(song.views || 0));
+        setText('#songCompositions', formatNumber(this.compositions.length));
+        setText('#compositionsCount', this.compositions.length);
+
+        const instruments = $('#songInstruments');
+        if (instruments) {
+            instruments.innerHTML = '';
+            (song.instruments || []).forEach(instrument => {
+                instruments.appendChild(createElement('span', { className: 'tag' }, instrument));
+            });
+        }
+
+        const cover = $('#songCoverImage');
+        if (cover && song.coverImage) {
+            cover.innerHTML = '';
+            cover.appendChild(createElement('img', { src: song.coverImage, alt: song.title }));
+        }
+
+        // Admins can manage any song
+        const canManage = auth?.currentUser && (song.addedBy?._id === auth.currentUser._id || auth.hasRole('admin'));
+        const showIf = (selector, visible) => {
+            const element = $(selector);
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        showIf('#editSongBtn', canManage);
+        showIf('#uploadLrcBtn', canManage);
+        showIf('#karaokeBtn', !!song.syncedLyrics);
+        showIf('#downloadLrcBtn', !!song.syncedLyrics);
+        this.renderFollowButton();
+        this.renderBookmarkButton();
+        this.renderReviewStatus();
+    }
+
+    renderReviewStatus() {
+        const badge = $('#songReviewStatus');
+        if (!badge) return;
+
+        const labels = {
+            approved: ['verified', 'fas fa-check-circle', 'Verified'],
+            pending: ['pending', 'fas fa-hourglass-half', 'Pending review'],
+            changes_requested: ['changes', 'fas fa-pen', 'Changes requested']
+        };
+        const [className, icon, text] = labels[this.song.reviewStatus || 'pending'] || labels.pending;
+
+        badge.className = `review-status ${className}`;
+        badge.innerHTML = '';
+        badge.appendChild(createElement('i', { className: icon }));
+        badge.appendChild(document.createTextNode(` ${text}`));
+        badge.style.display = '';
+    }
+
+    async loadReviews() {
+        const list = $('#songReviews');
+        if (!list) return;
+
+        try {
+            const response = await api.getSongReviews(this.songId);
+            if (response.reviews.length === 0) return;
+
+            const decisions = {
+                approve: 'approved this song',
+                request_changes: 'requested changes',
+                duplicate: 'marked this song as a duplicate'
+            };
+
+            list.innerHTML = '';
+            response.reviews.forEach(review => list.appendChild(createElement('li', { className: `review-entry ${review.decision}` },
+                createElement('strong', {}, review.reviewer?.username || 'An editor'),
+                ` ${decisions[review.decision]} ${formatRelativeTime(review.createdAt)}`,
+                createElement('p', {}, review.reason)
+            )));
+        } catch (error) {
+            console.error('Failed to load reviews:', error);
+        }
+    }
+
+    async loadSuggestions() {
+        const list = $('#suggestionList');
+        if (!list) return;
+
+        const status = $('#suggestionStatusFilter')?.value || 'pending';
+
+        try {
+            const response = await api.getLyricSuggestions(this.songId, { status });
+            this.canReviewSuggestions = response.canReview;
+
+            if (status === 'pending') {
+                const count = $('#suggestionsCount');
+                if (count) count.textContent = response.suggestions.length;
+            }
+
+            list.innerHTML = '';
+            if (response.suggestions.length === 0) {
+                list.appendChild(createElement('p', { className: 'text-muted' }, 'No suggested edits.'));
+            }
+            response.suggestions.forEach(suggestion => list.appendChild(this.createSuggestionCard(suggestion)));
+        } catch (error) {
+            console.error('Failed to load suggestions:', error);
+        }
+    }
+
+    createSuggestionCard(suggestion) {
+        const header = createElement('div', { className: 'suggestion-header' },
+            createElement('strong', {}, suggestion.author?.username || 'Anonymous'),
+            createElement('small', { className: 'text-muted' }, ` ${formatRelativeTime(suggestion.createdAt)}`)
+        );
+
+        if (suggestion.status !== 'pending') {
+            header.appendChild(createElement('span', { className: `suggestion-status ${suggestion.status}` },
+                `${suggestion.status} by ${suggestion.reviewedBy?.username || 'a reviewer'}`));
+        } else if (suggestion.isStale) {
+            header.appendChild(createElement('span', { className: 'suggestion-status stale' },
+                suggestion.conflicts ? `${suggestion.conflicts} conflicting change${suggestion.conflicts === 1 ? '' : 's'}` : 'Lyrics changed since, merges cleanly'));
+        }
+
+        const card = createElement('div', { className: 'suggestion-card' }, header);
+        if (suggestion.message) {
+            card.appendChild(createElement('p', { className: 'suggestion-message' }, suggestion.message));
+        }
+
+        // Each hunk shows a line of context, then the removed and added lines
+        suggestion.hunks.forEach(hunk => {
+            const diff = createElement('div', { className: 'suggestion-diff' },
+                createElement('small', { className: 'text-muted' }, `Line ${hunk.start + 1}`));
+            hunk.before.slice(-1).forEach(line => diff.appendChild(createElement('div', { className: 'diff-line' }, line || '\u00a0')));
+            hunk.oldLines.forEach(line => diff.appendChild(createElement('div', { className: 'diff-line removed' }, `- ${line}`)));
+            hunk.newLines.forEach(line => diff.appendChild(createElement('div', { className: 'diff-line added' }, `+ ${line}`)));
+            hunk.after.slice(0, 1).forEach(line => diff.appendChild(createElement('div', { className: 'diff-line' }, line || '\u00a0')));
+            card.appendChild(diff);
+        });
+
+        if (suggestion.reviewNote) {
+            card.appendChild(createElement('p', { className: 'suggestion-message' }, `Reviewer: ${suggestion.reviewNote}`));
+        }
+
+        if (suggestion.status === 'pending' && this.canReviewSuggestions) {
+            card.appendChild(createElement('div', { className: 'suggestion-actions' },
+                createElement('button', { className: 'btn btn-primary btn-sm', onclick: () => this.acceptSuggestion(suggestion) }, 'Accept'),
+                createElement('button', { className: 'btn btn-outline btn-sm', onclick: () => this.rejectSuggestion(suggestion) }, 'Reject')
+            ));
+        }
+
+        return card;
+    }
+
+    showSuggestEdit(resolving = null) {
+        if (!resolving && !auth.requireAuth()) return;
+
+        this.resolving = resolving;
+        const conflicts = $('#mergeConflicts');
+
+        $('#suggestEditTitle').textContent = resolving ? 'Resolve Conflicts' : 'Suggest an Edit';
+        $('#suggestEditHelp').textContent = resolving
+            ? 'The lyrics changed since this edit was suggested. Changes that still apply are merged below; apply the conflicting ones by hand, then accept.'
+            : 'Fix typos or missing lines. The song owner will review your changes.';
+        $('#suggestedLyrics').value = resolving ? resolving.merged : this.song.officialLyrics;
+        $('#suggestionMessage').value = '';
+        $('#suggestionMessageGroup').style.display = resolving ? 'none' : '';
+        $('#suggestEditSubmit').textContent = resolving ? 'Accept Merged Lyrics' : 'Submit Suggestion';
+
+        conflicts.innerHTML = '';
+        conflicts.style.display = resolving ? '' : 'none';
+        (resolving?.conflicts || []).forEach(hunk => conflicts.appendChild(createElement('div', { className: 'suggestion-diff' },
+            createElement('small', { className: 'text-muted' }, `Originally at line ${hunk.start + 1}`),
+            ...hunk.oldLines.map(line => createElement('div', { className: 'diff-line removed' }, `- ${line}`)),
+            ...hunk.newLines.map(line => createElement('div', { className: 'diff-line added' }, `+ ${line}`))
+        )));
+
+        modal.open('suggestEditModal');
+    }
+
+    async submitSuggestEdit() {
+        const lyrics = $('#suggestedLyrics').value;
+
+        try {
+            if (this.resolving) {
+                await this.acceptSuggestion(this.resolving.suggestion, lyrics);
+                return;
+            }
+
+            const response = await api.suggestLyricEdit(this.songId, {
+                lyrics,
+                message: $('#suggestionMessage').value.trim()
+            });
+            modal.close('suggestEditModal');
+            toast.success(response.message);
+            this.loadSuggestions();
+        } catch (error) {
+            console.error('Failed to suggest edit:', error);
+            toast.error(error.message || 'Failed to suggest edit');
+        }
+    }
+
+    async acceptSuggestion(suggestion, lyrics) {
+        try {
+            const response = await api.acceptLyricSuggestion(this.songId, suggestion._id, lyrics !== undefined ? { lyrics } : {});
+            modal.close('suggestEditModal');
+            this.resolving = null;
+            toast.success(response.message);
+
+            this.song.officialLyrics = response.officialLyrics;
+            if (response.syncedLyricsCleared) {
+                this.song.syncedLyrics = '';
+                if ($('#karaokePanel')?.style.display === '') this.toggleKaraoke();
+                this.karaoke.load([]);
+                this.renderHeader();
+            }
+            this.renderLyrics();
+            this.loadAnnotations();
+            this.loadSuggestions();
+        } catch (error) {
+            if (error.status === 409 && error.data?.conflicts) {
+                this.showSuggestEdit({ suggestion, merged: error.data.merged, conflicts: error.data.conflicts });
+                return;
+            }
+            console.error('Failed to accept suggestion:', error);
+            toast.error(error.message || 'Failed to accept suggestion');
+        }
+    }
+
+    async rejectSuggestion(suggestion) {
+        const note = prompt('Reason for rejecting (optional):');
+        if (note === null) return;
+
+        try {
+            const response = await api.rejectLyricSuggestion(this.songId, suggestion._id, { note: note.trim() });
+            toast.success(response.message);
+            this.loadSuggestions();
+        } catch (error) {
+            console.error('Failed to reject suggestion:', error);
+            toast.error(error.message || 'Failed to reject suggestion');
+        }
+    }
+
+    showReview() {
+        const form = $('#songReviewForm');
+        if (form) form.reset();
+        this.toggleDuplicateSearch();
+        modal.open('songReviewModal');
+    }
+
+    toggleDuplicateSearch() {
+        const group = $('#duplicateGroup');
+        if (group) group.style.display = $('#reviewDecision')?.value === 'duplicate' ? '' : 'none';
+
+        // Only approving verifies a song, so unverifying is offered on the others
+        const unverify = $('#unverifyGroup');
+        if (unverify) unverify.style.display = this.song?.isVerified && $('#reviewDecision')?.value !== 'approve' ? '' : 'none';
+    }
+
+    async searchDuplicates(term) {
+        const select = $('#duplicateOf');
+        if (!select || term.length < 2) return;
+
+        try {
+            const response = await api.getSongs({ search: term, limit: 10 });
+            select.innerHTML = '';
+            select.appendChild(createElement('option', { value: '' }, 'Choose the original...'));
+            response.songs
+                .filter(song => song._id !== this.songId)
+                .forEach(song => select.appendChild(createElement('option', { value: song._id },
+                    `${song.title} - ${song.artist}${song.isVerified ? ' (verified)' : ''}`)));
+        } catch (error) {
+            console.error('Song search failed:', error);
+        }
+    }
+
+    async submitReview() {
+        const decision = $('#reviewDecision').value;
+        const reviewData = { decision, reason: $('#reviewReason').value.trim() };
+
+        if (decision !== 'approve' && $('#reviewUnverify')?.checked) {
+            reviewData.unverify = true;
+        }
+
+        if (decision === 'duplicate') {
+            reviewData.duplicateOf = $('#duplicateOf').value;
+            if (!reviewData.duplicateOf) {
+                toast.warning('Choose the original song');
+                return;
+            }
+        }
+
+        try {
+            const response = await api.reviewSong(this.songId, reviewData);
+            modal.close('songReviewModal');
+            toast.success(response.message);
+
+            if (decision === 'duplicate') {
+                window.location.href = `song.html?id=${reviewData.duplicateOf}`;
+                return;
+            }
+
+            this.song.reviewStatus = response.song.reviewStatus;
+            this.song.isVerified = response.song.isVerified;
+            this.renderReviewStatus();
+            this.loadReviews();
+        } catch (error) {
+            console.error('Review failed:', error);
+            toast.error(error.message || 'Failed to submit review');
+        }
+    }
+
+    renderFollowButton() {
+        const label = $('#followSongBtn span');
+        if (label) label.textContent = this.isFollowing ? 'Following' : 'Follow';
+    }
+
+    async toggleFollow() {
+        if (!auth.requireAuth()) return;
+
+        try {
+            const response = this.isFollowing
+                ? await api.unfollowSong(this.songId)
+                : await api.followSong(this.songId);
+            this.isFollowing = response.isFollowing;
+            this.renderFollowButton();
+            toast.success(this.isFollowing ? 'New compositions for this song will show in your feed' : 'Song unfollowed');
+        } catch (error) {
+            toast.error(error.message || 'Failed to update follow');
+        }
+    }
+
+    renderBookmarkButton() {
+        const button = $('#bookmarkSongBtn');
+        if (!button) return;
+        button.querySelector('i').className = this.isBookmarked ? 'fas fa-bookmark' : 'far fa-bookmark';
+        button.querySelector('span').textContent = this.isBookmarked ? 'Saved' : 'Save';
+    }
+
+    async toggleBookmark() {
+        if (!auth.requireAuth()) return;
+
+        try {
+            const response = this.isBookmarked
+                ? await api.unbookmarkSong(this.songId)
+                : await api.bookmarkSong(this.songId);
+            this.isBookmarked = response.isBookmarked;
+            this.renderBookmarkButton();
+            toast.success(this.isBookmarked ? 'Saved to your dashboard' : 'Removed from saved');
+        } catch (error) {
+            toast.error(error.message || 'Failed to update saved songs');
+        }
+    }
+
+    async uploadLrc(file) {
+        try {
+            const response = await api.saveSyncedLyrics(this.songId, await file.text());
+            this.song.syncedLyrics = response.syncedLyrics;
+            this.karaoke.load(response.lines);
+            this.renderHeader();
+            toast.success('Synced lyrics saved');
+        } catch (error) {
+            console.error('LRC upload failed:', error);
+            const details = (error.errors || []).slice(0, 3).map(err => err.msg).join('; ');
+            toast.error(details ? `${error.message}: ${details}` : (error.message || 'Failed to save synced lyrics'));
+        }
+    }
+
+    async toggleKaraoke() {
+        const panel = $('#karaokePanel');
+        const lyrics = $('#songLyrics');
+        if (!panel || !lyrics) return;
+
+        const show = panel.style.display === 'none';
+        if (show && this.karaoke.lines.length === 0) {
+            try {
+                const response = await api.getSongLyrics(this.songId, 'json');
+                this.karaoke.load(response.lines);
+            } catch (error) {
+                toast.error(error.message || 'Failed to load synced lyrics');
+                return;
+            }
+        }
+
+        if (!show) this.karaoke.pause();
+        panel.style.display = show ? '' : 'none';
+        lyrics.style.display = show ? 'none' : '';
+    }
+
+    // Show new compositions for this song without a reload
+    subscribeToUpdates() {
+        this.unsubscribe = api.subscribe([`song:${this.songId}`], {
+            composition: (data) => {
+                if (this.compositions.some(composition => composition._id === data.composition._id)) return;
+
+                this.compositions.unshift(data.composition);
+                this.renderCompositions();
+
+                const count = this.compositions.length;
+                ['#songCompositions', '#infoCompositions'].forEach(selector => {
+                    const element = $(selector);
+                    if (element) element.textContent = formatNumber(count);
+                });
+                const tabCount = $('#compositionsCount');
+                if (tabCount) tabCount.textContent = count;
+            }
+        });
+    }
+
+    renderInfo() {
+        const song = this.song;
+        const setText = (selector, text) => {
+            const element = $(selector);
+            if (element) element.textContent = text;
+        };
+
+        setText('#infoTitle', song.title);
+        setText('#infoArtist', song.artist);
+        setText('#infoAlbum', song.album || '-');
+        setText('#infoGenre', song.genre);
+        setText('#infoLanguage', song.language);
+        setText('#infoYear', song.releaseYear || '-');
+        setText('#infoViews', formatNumber(song.views || 0));
+        setText('#infoCompositions', formatNumber(this.compositions.length));
+        setText('#infoAdded', formatDate(song.createdAt));
+
+        const contributors = song.lyricContributors || [];
+        setText('#infoContributors', contributors.map(user => user.username).join(', '));
+        const contributorsItem = $('#infoContributorsItem');
+        if (contributorsItem) contributorsItem.style.display = contributors.length > 0 ? '' : 'none';
+
+        const addedBy = song.addedBy;
+        if (addedBy) {
+            setText('#addedByName', addedBy.username);
+            setText('#addedByDate', `Member since ${formatDate(addedBy.joinDate)}`);
+
+            const avatar = $('#addedByAvatar');
+            if (avatar) {
+                avatar.src = addedBy.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(addedBy.username)}&background=6366f1&color=fff`;
+            }
+
+            const profileLink = $('#addedByProfile');
+            if (profileLink) profileLink.href = `profile.html?id=${addedBy._id}`;
+        }
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // One element per lyric line so annotations can point at line numbers
+    renderLyrics() {
+        const container = $('#songLyrics');
+        if (!container) return;
+
+        const lines = this.song.officialLyrics.replace(/\r\n?/g, '\n').split('\n');
+        container.innerHTML = '';
+
+        lines.forEach((text, index) => {
+            const lineNumber = index + 1;
+            container.appendChild(createElement('div', {
+                className: 'lyric-line',
+                dataset: { line: lineNumber },
+                onclick: (event) => this.selectLine(lineNumber, event.shiftKey)
+            },
+                createElement('span', { className: 'lyric-line-number' }, String(lineNumber)),
+                createElement('span', { className: 'lyric-line-text' }, text || '\u00a0')
+            ));
+        });
+    }
+
+    renderCompositions() {
+        const container = $('#compositionsContainer');
+        const emptyState = $('#noCompositions');
+        if (!container) return;
+
+        const instrument = $('#compositionInstrumentFilter')?.value;
+        const type = $('#compositionTypeFilter')?.value;
+        const sortBy = $('#compositionSortFilter')?.value || 'likes';
+
+        const compositions = this.compositions
+            .filter(composition => !instrument || composition.instrument === instrument)
+            .filter(composition => !type || composition.type === type)
+            .sort((a, b) => sortBy === 'createdAt'
+                ? new Date(b.createdAt) - new Date(a.createdAt)
+                : (b[sortBy] || 0) - (a[sortBy] || 0));
+
+        container.innerHTML = '';
+        compositions.forEach(composition => {
+            container.appendChild(createElement('a', {
+                className: 'composition-item hover-lift',
+                href: `composition.html?id=${composition._id}`
+            },
+                createElement('h4', {}, composition.title),
+                createElement('p', { className: 'text-muted' },
+                    `${composition.instrument} ${composition.type} by ${composition.composer?.username || 'Anonymous'}`),
+                createElement('div', { className: 'card-stats' },
+                    createElement('span', { className: 'card-stat' },
+                        createElement('i', { className: 'fas fa-thumbs-up' }),
+                        ` ${formatNumber(composition.likes || 0)}`
+                    )
+                )
+            ));
+        });
+
+        if (emptyState) emptyState.style.display = compositions.length === 0 ? '' : 'none';
+    }
+
+    async loadAnnotations() {
+        try {
+            const response = await api.getAnnotations(this.songId);
+            this.annotations = response.annotations;
+            this.markAnnotatedLines();
+            this.renderAnnotations();
+        } catch (error) {
+            console.error('Failed to load annotations:', error);
+            const list = $('#annotationsList');
+            if (list) list.innerHTML = '<p class="text-muted">Failed to load annotations.</p>';
+        }
+    }
+
+    markAnnotatedLines() {
+        $$('.lyric-line').forEach(line => line.classList.remove('annotated'));
+        this.annotations.forEach(annotation => {
+            for (let line = annotation.startLine; line <= annotation.endLine; line++) {
+                $(`.lyric-line[data-line="${line}"]`)?.classList.add('annotated');
+            }
+        });
+
+        const count = this.annotations.length;
+        const countLabel = $('#annotationsCount');
+        if (countLabel) {
+            countLabel.textContent = `${formatNumber(count)} annotation${count === 1 ? '' : 's'}`;
+        }
+    }
+
+    // Click selects a line, shift-click extends the selection into a range
+    selectLine(lineNumber, extend) {
+        if (extend && this.selection) {
+            const anchor = this.selection.anchor;
+            this.selection = {
+                anchor,
+                startLine: Math.min(anchor, lineNumber),
+                endLine: Math.max(anchor, lineNumber)
+            };
+        } else {
+            this.selection = { anchor: lineNumber, startLine: lineNumber, endLine: lineNumber };
+        }
+
+        this.renderSelection();
+        this.renderAnnotations();
+    }
+
+    selectRange(startLine, endLine) {
+        this.selection = { anchor: startLine, startLine, endLine };
+        this.renderSelection();
+        this.renderAnnotations();
+        $(`.lyric-line[data-line="${startLine}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    clearSelection() {
+        this.selection = null;
+        this.renderSelection();
+        this.renderAnnotations();
+    }
+
+    renderSelection() {
+        const selection = this.selection;
+        $$('.lyric-line').forEach(line => {
+            const lineNumber = parseInt(line.dataset.line);
+            line.classList.toggle('selected', !!selection &&
+                lineNumber >= selection.startLine && lineNumber <= selection.endLine);
+        });
+
+        const label = $('#annotationSelection');
+        if (label) {
+            label.textContent = !selection
+                ? 'No lines selected'
+                : selection.startLine === selection.endLine
+                    ? `Line ${selection.startLine}`
+                    : `Lines ${selection.startLine}-${selection.endLine}`;
+        }
+    }
+
+    // Show annotations overlapping the selection, or all of them
+    renderAnnotations() {
+        const list = $('#annotationsList');
+        if (!list) return;
+
+        const selection = this.selection;
+        const annotations = selection
+            ? this.annotations.filter(annotation =>
+                annotation.startLine <= selection.endLine && annotation.endLine >= selection.startLine)
+            : this.annotations;
+
+        list.innerHTML = '';
+        if (annotations.length === 0) {
+            list.appendChild(createElement('p', { className: 'text-muted' },
+                selection ? 'No annotations on these lines yet.' : 'No annotations yet.'));
+            return;
+        }
+
+        annotations.forEach(annotation => list.appendChild(this.renderAnnotation(annotation)));
+    }
+
+    renderAnnotation(annotation) {
+        const currentUser = auth?.currentUser;
+        const isAuthor = currentUser && annotation.author?._id === currentUser._id;
+        const isOwner = currentUser && this.song.addedBy?._id === currentUser._id;
+        const kindLabels = { meaning: 'Meaning', pronunciation: 'Pronunciation', 'chord-hint': 'Chord hint' };
+
+        const range = annotation.startLine === annotation.endLine
+            ? `Line ${annotation.startLine}`
+            : `Lines ${annotation.startLine}-${annotation.endLine}`;
+
+        const element = createElement('div', { className: 'annotation', dataset: { id: annotation._id } });
+
+        element.appendChild(createElement('div', { className: 'comment-header' },
+            createElement('span', { className: `annotation-kind annotation-kind-${annotation.kind}` }, kindLabels[annotation.kind]),
+            createElement('button', {
+                className: 'btn-link',
+                onclick: () => this.selectRange(annotation.startLine, annotation.endLine)
+            }, range),
+            createElement('span', { className: 'comment-author' }, annotation.author?.username || 'Anonymous'),
+            createElement('span', { className: 'comment-time' }, formatRelativeTime(annotation.createdAt))
+        ));
+        element.appendChild(createElement('p', { className: 'comment-body' }, annotation.body));
+
+        const actions = createElement('div', { className: 'comment-actions' },
+            createElement('button', {
+                className: `btn-link annotation-vote${annotation.userVote === 'up' ? ' active' : ''}`,
+                title: 'Helpful',
+                onclick: () => this.voteAnnotation(annotation, 'up')
+            }, createElement('i', { className: 'fas fa-arrow-up' })),
+            createElement('span', { className: 'annotation-score' }, String(annotation.score || 0)),
+            createElement('button', {
+                className: `btn-link annotation-vote${annotation.userVote === 'down' ? ' active' : ''}`,
+                title: 'Not helpful',
+                onclick: () => this.voteAnnotation(annotation, 'down')
+            }, createElement('i', { className: 'fas fa-arrow-down' }))
+        );
+
+        if (isAuthor || isOwner || auth?.hasRole('admin')) {
+            actions.appendChild(createElement('button', {
+                className: 'btn-link',
+                onclick: () => this.removeAnnotation(annotation)
+            }, 'Delete'));
+        }
+
+        element.appendChild(actions);
+        return element;
+    }
+
+    async voteAnnotation(annotation, type) {
+        if (!auth.requireAuth()) return;
+
+        try {
+            const response = await api.voteAnnotation(this.songId, annotation._id, type);
+            Object.assign(annotation, {
+                upvotes: response.upvotes,
+                downvotes: response.downvotes,
+                score: response.score,
+                userVote: response.userVote
+            });
+            this.renderAnnotations();
+        } catch (error) {
+            toast.error(error.message || 'Failed to vote on annotation');
+        }
+    }
+
+    async removeAnnotation(annotation) {
+        if (!confirm('Delete this annotation?')) return;
+
+        try {
+            await api.deleteAnnotation(this.songId, annotation._id);
+            toast.success('Annotation deleted');
+            await this.loadAnnotations();
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete annotation');
+        }
+    }
+}
+
+// Highlights synced lyrics against a local audio file or a manual play clock
+class KaraokePlayer {
+    constructor(view) {
+        this.view = view;
+        this.audio = $('#karaokeAudio');
+        this.lines = [];
+        this.activeIndex = -1;
+        this.clockStart = null;
+        this.clockOffset = 0;
+        this.frame = null;
+        this.audioUrl = null;
+
+        if (this.audio) {
+            this.audio.addEventListener('play', () => this.startLoop());
+            this.audio.addEventListener('pause', () => this.stopLoop());
+            this.audio.addEventListener('seeked', () => this.update());
+        }
+    }
+
+    load(lines) {
+        this.lines = lines || [];
+        this.activeIndex = -1;
+        this.render();
+        this.update();
+    }
+
+    render() {
+        if (!this.view) return;
+
+        this.view.innerHTML = '';
+        this.lines.forEach((line, index) => {
+            const element = createElement('div', { className: 'karaoke-line', dataset: { index } });
+
+            if (line.words.length > 0) {
+                line.words.forEach(word => {
+                    element.appendChild(createElement('span', { className: 'karaoke-word' }, word.text));
+                });
+            } else {
+                element.textContent = line.text || '\u00a0';
+            }
+
+            this.view.appendChild(element);
+        });
+    }
+
+    isUsingAudio() {
+        return !!this.audioUrl;
+    }
+
+    currentTime() {
+        if (this.isUsingAudio()) {
+            return this.audio.currentTime * 1000;
+        }
+        return this.clockOffset + (this.clockStart !== null ? performance.now() - this.clockStart : 0);
+    }
+
+    useAudio(file) {
+        if (this.audioUrl) URL.revokeObjectURL(this.audioUrl);
+        this.pause();
+        this.clockOffset = 0;
+
+        this.audioUrl = URL.createObjectURL(file);
+        this.audio.src = this.audioUrl;
+        this.audio.style.display = '';
+
+        const clock = $('#karaokeClock');
+        if (clock) clock.style.display = 'none';
+        this.update();
+    }
+
+    toggleClock() {
+        if (this.clockStart !== null) {
+            this.pause();
+        } else {
+            this.clockStart = performance.now();
+            this.startLoop();
+        }
+        this.updatePlayButton();
+    }
+
+    resetClock() {
+        this.pause();
+        this.clockOffset = 0;
+        this.update();
+    }
+
+    pause() {
+        if (this.isUsingAudio()) {
+            this.audio.pause();
+        } else if (this.clockStart !== null) {
+            this.clockOffset = this.currentTime();
+            this.clockStart = null;
+        }
+        this.stopLoop();
+        this.updatePlayButton();
+    }
+
+    updatePlayButton() {
+        const button = $('#karaokePlayBtn');
+        if (button) {
+            button.innerHTML = `<i class="fas fa-${this.clockStart !== null ? 'pause' : 'play'}"></i>`;
+        }
+    }
+
+    startLoop() {
+        this.stopLoop();
+        const tick = () => {
+            this.update();
+            this.frame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    stopLoop() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    update() {
+        const time = this.currentTime();
+
+        const timeLabel = $('#karaokeTime');
+        if (timeLabel) timeLabel.textContent = this.formatTime(time);
+
+        // Last line whose timestamp has been reached
+        let index = -1;
+        while (index + 1 < this.lines.length && this.lines[index + 1].time <= time) {
+            index++;
+        }
+
+        const elements = this.view ? this.view.children : [];
+        if (index !== this.activeIndex) {
+            Array.from(elements).forEach((element, elementIndex) => {
+                element.classList.toggle('active', elementIndex === index);
+                element.classList.toggle('past', elementIndex < index);
+            });
+            this.activeIndex = index;
+            this.scrollToActive();
+        }
+
+        const active = elements[index];
+        if (active && this.lines[index].words.length > 0) {
+            Array.from(active.children).forEach((word, wordIndex) => {
+                word.classList.toggle('sung', this.lines[index].words[wordIndex].time <= time);
+            });
+        }
+    }
+
+    scrollToActive() {
+        const active = this.view?.children[this.activeIndex];
+        if (!active) return;
+
+        this.view.scrollTo({
+            top: active.offsetTop - (this.view.clientHeight - active.clientHeight) / 2,
+            behavior: 'smooth'
+        });
+    }
+
+    formatTime(ms) {
+        const centiseconds = Math.floor(ms / 10);
+        const minutes = Math.floor(centiseconds / 6000);
+        const seconds = Math.floor((centiseconds % 6000) / 100);
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+    }
+}
+
+// Create page instance
+const songDetails = new SongDetails();
+
+// Global functions for HTML onclick handlers
+window.postAnnotation = async function() {
+    const textarea = $('#annotationText');
+    const text = textarea?.value.trim();
+    if (!auth.requireAuth()) return;
+
+    if (!songDetails.selection) {
+        toast.warning('Select the lines you want to annotate first');
+        return;
+    }
+    if (!text) return;
+
+    try {
+        await api.addAnnotation(songDetails.songId, {
+            startLine: songDetails.selection.startLine,
+            endLine: songDetails.selection.endLine,
+            kind: $('#annotationKind')?.value || 'meaning',
+            body: text
+        });
+        textarea.value = '';
+        toast.success('Annotation added');
+        await songDetails.loadAnnotations();
+    } catch (error) {
+        console.error('Annotation failed:', error);
+        toast.error(error.message || 'Failed to add annotation');
+    }
+};
+
+window.clearLineSelection = function() {
+    songDetails.clearSelection();
+};
+
+window.copyLyrics = async function() {
+    if (!songDetails.song) return;
+
+    try {
+        await navigator.clipboard.writeText(songDetails.song.officialLyrics);
+        toast.success('Lyrics copied to clipboard');
+    } catch (error) {
+        toast.error('Failed to copy lyrics');
+    }
+};
+
+window.printLyrics = function() {
+    window.print();
+};
+
+window.toggleFollowSong = function() {
+    songDetails.toggleFollow();
+};
+
+window.toggleBookmarkSong = function() {
+    songDetails.toggleBookmark();
+};
+
+window.toggleKaraoke = function() {
+    songDetails.toggleKaraoke();
+};
+
+window.toggleKaraokeClock = function() {
+    songDetails.karaoke.toggleClock();
+};
+
+window.resetKaraokeClock = function() {
+    songDetails.karaoke.resetClock();
+};
+
+window.downloadLrc = async function() {
+    try {
+        const { blob, filename } = await api.downloadSongLyrics(songDetails.songId, 'lrc');
+        downloadBlob(blob, filename);
+    } catch (error) {
+        console.error('LRC download failed:', error);
+        toast.error(error.message || 'Failed to download synced lyrics');
+    }
+};
+
+window.createComposition = function() {
+    if (!auth.requireAuth()) return;
+    window.location.href = `add-composition.html?song=${songDetails.songId}`;
+};
+
+window.showSuggestEdit = function() {
+    songDetails.showSuggestEdit();
+};
+
+window.showSongReview = function() {
+    songDetails.showReview();
+};
+
+window.toggleDuplicateSearch = function() {
+    songDetails.toggleDuplicateSearch();
+};
+
+window.reportSong = function() {
+    reportContent('song', songDetails.songId);
+};
+
+window.editSong = function() {
+    window.location.href = `add-song.html?id=${songDetails.songId}`;
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SongDetails, KaraokePlayer };
+}
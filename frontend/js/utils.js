@@ -453,6 +453,75 @@ function updateQueryParams(params) {
     window.history.replaceState({}, '', url);
 }
 
+// Save a Blob as a file download
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = createElement('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Render a parsed ChordPro document ({ sections }) with chords above the lyrics
+function renderChordSheet(chordSheet) {
+    const sheet = createElement('div', { className: 'chord-sheet' });
+
+    chordSheet.sections.forEach(section => {
+        const sectionElement = createElement('div', {
+            className: `chord-section chord-section-${section.type}`
+        });
+
+        if (section.label) {
+            sectionElement.appendChild(createElement('div', { className: 'chord-section-label' }, section.label));
+        }
+
+        section.lines.forEach(line => {
+            if (line.type === 'comment') {
+                sectionElement.appendChild(createElement('div', { className: 'chord-comment' }, line.text));
+            } else if (line.type === 'tab') {
+                sectionElement.appendChild(createElement('pre', { className: 'chord-tab' }, line.text));
+            } else {
+                sectionElement.appendChild(renderChordLine(line));
+            }
+        });
+
+        sheet.appendChild(sectionElement);
+    });
+
+    return sheet;
+}
+
+function renderChordLine(line) {
+    const lineElement = createElement('div', { className: 'chord-line' });
+
+    if (line.chords.length === 0) {
+        lineElement.appendChild(createElement('span', { className: 'chord-lyric' }, line.lyrics || '\u00a0'));
+        return lineElement;
+    }
+
+    // Lyrics before the first chord have no chord above them
+    const firstPosition = line.chords[0].position;
+    if (firstPosition > 0) {
+        lineElement.appendChild(createChordSegment('', line.lyrics.slice(0, firstPosition)));
+    }
+
+    line.chords.forEach((chord, index) => {
+        const next = line.chords[index + 1];
+        const end = next ? next.position : line.lyrics.length;
+        lineElement.appendChild(createChordSegment(chord.chord, line.lyrics.slice(chord.position, end)));
+    });
+
+    return lineElement;
+}
+
+function createChordSegment(chord, lyric) {
+    return createElement('span', { className: 'chord-segment' },
+        createElement('span', { className: 'chord' }, chord || '\u00a0'),
+        createElement('span', { className: 'chord-lyric' }, lyric || '\u00a0')
+    );
+}
+
 // Animation utilities
 function animateCSS(element, animationName, callback) {
     const node = typeof element === 'string' ? $(element) : element;
@@ -498,6 +567,6 @@ if (typeof module !== 'undefined' && module.exports) {
         $, $$, createElement, formatDate, formatRelativeTime, formatNumber,
         debounce, throttle, deepClone, generateId, isValidEmail, validatePassword,
         sanitizeHTML, escapeHTML, toast, modal, loading, validateForm, storage,
-        getQueryParam, updateQueryParams, animateCSS, setupScrollAnimations
+        getQueryParam, updateQueryParams, downloadBlob, renderChordSheet, animateCSS, setupScrollAnimations
     };
 }